@@ -0,0 +1,9 @@
+// Jest runs the ES module sources through Babel (NODE_ENV=test); the
+// Rollup build is left untouched
+module.exports = {
+  env: {
+    test: {
+      presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+    },
+  },
+};
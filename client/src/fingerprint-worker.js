@@ -0,0 +1,505 @@
+/**
+ * IKY Fingerprint Worker
+ * Runs the fingerprint work that does not need the DOM (OffscreenCanvas 2D
+ * and WebGL rendering, hashing, WorkerNavigator properties) in a dedicated
+ * worker, off the main thread.
+ *
+ * The worker is started from a Blob URL built from the self-contained
+ * functions below, which the main thread also calls directly so both sides
+ * render the same scenes. Messages are structured-clone objects:
+ * `{ id, task, options }` to the worker, `{ id, value }` or `{ id, error }`
+ * back.
+ */
+/* global FileReaderSync */
+
+// Functions copied into the worker source; each may only use the others,
+// its arguments and worker globals
+const WORKER_FUNCTIONS = [
+  hashString, navigatorInfo, drawCanvasScene, renderNoiseProbe, webglContext, readWebGLInfo,
+  renderWebGLFingerprint, renderWebGLScene, readWebGLParameters, renderCanvasInWorker, runWorkerTask,
+  handleWorkerMessage,
+];
+
+/**
+ * A dedicated worker started on first use; one instance serves one
+ * collection and is terminated afterwards
+ */
+export class FingerprintWorker {
+  constructor() {
+    this.worker = null;
+    this.url = null;
+    this.failure = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Whether dedicated workers can be started from a Blob URL here
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof Blob !== 'undefined'
+      && typeof URL !== 'undefined'
+      && typeof URL.createObjectURL === 'function';
+  }
+
+  /**
+   * Run a task in the worker
+   * @param {string} task - Task name (see runWorkerTask)
+   * @param {Object} [options] - Task options; must be structured-cloneable
+   * @param {AbortSignal} [signal] - Rejects the call when aborted
+   * @returns {Promise<*>} Rejects when the task fails, the worker cannot
+   *   start (no Worker, OffscreenCanvas or a CSP blocking Blob URLs) or the
+   *   worker was terminated
+   */
+  run(task, options = {}, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    try {
+      this._start();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const abort = () => {
+        this.pending.delete(id);
+        reject(signal.reason);
+      };
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        cleanup: () => signal?.removeEventListener('abort', abort),
+      });
+      signal?.addEventListener('abort', abort, { once: true });
+      this.worker.postMessage({ id, task, options });
+    });
+  }
+
+  /**
+   * Stop the worker; pending and later calls are rejected
+   */
+  terminate() {
+    this._fail(new Error('Fingerprint worker terminated'));
+  }
+
+  /**
+   * Start the worker unless it is running or failed to start
+   */
+  _start() {
+    if (this.failure) throw this.failure;
+    if (this.worker) return;
+
+    if (!FingerprintWorker.isSupported()) {
+      this.failure = new Error('Workers not available');
+      throw this.failure;
+    }
+
+    try {
+      this.url = URL.createObjectURL(new Blob([workerSource()], { type: 'text/javascript' }));
+      this.worker = new Worker(this.url);
+    } catch (error) {
+      this._fail(error);
+      throw error;
+    }
+
+    this.worker.onmessage = event => this._settle(event.data);
+    this.worker.onerror = event => {
+      event.preventDefault?.();
+      this._fail(new Error(event.message || 'Fingerprint worker failed to start'));
+    };
+  }
+
+  /**
+   * Resolve or reject the call a worker reply belongs to
+   */
+  _settle({ id, value, error }) {
+    const call = this.pending.get(id);
+    if (!call) return;
+
+    this.pending.delete(id);
+    call.cleanup();
+    if (error !== undefined) {
+      call.reject(new Error(error));
+    } else {
+      call.resolve(value);
+    }
+  }
+
+  /**
+   * Stop the worker and reject every pending call with `error`
+   */
+  _fail(error) {
+    this.failure = this.failure || error;
+    this.worker?.terminate();
+    this.worker = null;
+    if (this.url) {
+      URL.revokeObjectURL(this.url);
+      this.url = null;
+    }
+
+    for (const call of this.pending.values()) {
+      call.cleanup();
+      call.reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+/**
+ * Source of the worker script
+ */
+function workerSource() {
+  return [
+    ...WORKER_FUNCTIONS.map(fn => fn.toString()),
+    `self.onmessage = ${handleWorkerMessage.name};`,
+  ].join('\n\n');
+}
+
+/**
+ * Worker side of the protocol: run the task and post its value or error
+ */
+function handleWorkerMessage(event) {
+  const { id, task, options } = event.data;
+
+  Promise.resolve()
+    .then(() => runWorkerTask(task, options))
+    .then(
+      value => self.postMessage({ id, value }),
+      error => self.postMessage({ id, error: error?.message || String(error) }),
+    );
+}
+
+/**
+ * Tasks the worker runs; each returns a structured-cloneable value (or a
+ * promise of one) and throws when the worker cannot produce it, so the
+ * caller falls back to the main thread
+ */
+function runWorkerTask(task, options) {
+  if (task === 'navigator') {
+    return navigatorInfo();
+  }
+
+  if (typeof OffscreenCanvas === 'undefined') {
+    throw new Error('OffscreenCanvas not available');
+  }
+
+  if (task === 'noiseProbe') {
+    const pixels = renderNoiseProbe(new OffscreenCanvas(1, 1));
+    if (!pixels) throw new Error('OffscreenCanvas 2D context not available');
+    return pixels;
+  }
+
+  if (task === 'canvas') {
+    return renderCanvasInWorker(options.width, options.height);
+  }
+
+  if (task === 'webgl') {
+    const info = readWebGLInfo(new OffscreenCanvas(1, 1));
+    if (!info) throw new Error('OffscreenCanvas WebGL context not available');
+    return info;
+  }
+
+  if (task === 'webglRender') {
+    return renderWebGLFingerprint(new OffscreenCanvas(1, 1), new OffscreenCanvas(1, 1), options).then(result => {
+      if (!result) throw new Error('OffscreenCanvas WebGL context not available');
+      return result;
+    });
+  }
+
+  throw new Error(`Unknown worker task: ${task}`);
+}
+
+/**
+ * Hash a string with SHA-256 (SubtleCrypto) or a 32-bit fallback hash
+ */
+export async function hashString(str) {
+  try {
+    if (crypto.subtle && crypto.subtle.digest) {
+      const encoder = new TextEncoder();
+      const data = encoder.encode(str);
+      const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+      const hashArray = Array.from(new Uint8Array(hashBuffer));
+      return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+  } catch (error) {
+    console.warn('SubtleCrypto not available, using fallback hash');
+  }
+
+  // Fallback to simple hash
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return hash.toString(16);
+}
+
+/**
+ * Navigator properties available both on the page (Navigator) and in
+ * workers (WorkerNavigator), plus the time zone
+ */
+export function navigatorInfo() {
+  return {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    language: navigator.language,
+    languages: Array.from(navigator.languages || [navigator.language]),
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    deviceMemory: navigator.deviceMemory ?? null,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
+}
+
+/**
+ * Draw the canvas fingerprint scene; works on a canvas element or an
+ * OffscreenCanvas. Returns false without a 2D context
+ */
+export function drawCanvasScene(canvas, width, height) {
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return false;
+
+  // Draw text with various styles
+  ctx.textBaseline = 'top';
+  ctx.font = '14px "Arial"';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = '#f60';
+  ctx.fillRect(125, 1, 62, 20);
+  ctx.fillStyle = '#069';
+  ctx.fillText('IKY 🔍', 2, 15);
+  ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+  ctx.fillText('Device Fingerprint', 4, 35);
+
+  // Draw some shapes
+  ctx.beginPath();
+  ctx.arc(50, 50, 20, 0, Math.PI * 2, true);
+  ctx.closePath();
+  ctx.fill();
+
+  return true;
+}
+
+/**
+ * Render the canvas scene twice on OffscreenCanvas and hash the first
+ * readback (a PNG data URL, as canvas.toDataURL() returns on the page);
+ * also renders the noise probe for comparison with the page
+ */
+async function renderCanvasInWorker(width, height) {
+  const render = async () => {
+    const canvas = new OffscreenCanvas(width, height);
+    if (!drawCanvasScene(canvas, width, height)) return null;
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new FileReaderSync().readAsDataURL(blob);
+  };
+
+  const first = await render();
+  if (!first) throw new Error('OffscreenCanvas 2D context not available');
+  const second = await render();
+
+  return {
+    hash: await hashString(first),
+    readbacksDiffer: first !== second,
+    probe: renderNoiseProbe(new OffscreenCanvas(1, 1)),
+  };
+}
+
+/**
+ * Draw the canvas noise probe and return its pixels: the left half is a
+ * solid fill whose readback is known exactly, the right half a gradient arc.
+ * Null without a 2D context
+ */
+export function renderNoiseProbe(canvas) {
+  const size = 32;
+  canvas.width = size;
+  canvas.height = size;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  ctx.fillStyle = 'rgb(255, 0, 0)';
+  ctx.fillRect(0, 0, size / 2, size);
+
+  const gradient = ctx.createLinearGradient(size / 2, 0, size, size);
+  gradient.addColorStop(0, '#069');
+  gradient.addColorStop(1, '#f60');
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(size * 0.75, size / 2, size / 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  return ctx.getImageData(0, 0, size, size).data;
+}
+
+/**
+ * WebGL 1 context of a canvas element or OffscreenCanvas; null when not
+ * supported ('experimental-webgl' only exists on canvas elements)
+ */
+function webglContext(canvas, attributes) {
+  try {
+    return canvas.getContext('webgl', attributes) || canvas.getContext('experimental-webgl', attributes);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * WebGL vendor, renderer and basic capabilities; null without WebGL
+ */
+export function readWebGLInfo(canvas) {
+  const gl = webglContext(canvas);
+  if (!gl) return null;
+
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+
+  return {
+    vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : gl.getParameter(gl.VENDOR),
+    renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
+    version: gl.getParameter(gl.VERSION),
+    shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+    extensions: gl.getSupportedExtensions() || [],
+    maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+    maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS),
+  };
+}
+
+/**
+ * Render the WebGL scene on `canvas` and hash its pixels and the WebGL
+ * parameters; `webgl2Canvas` is used to read the WebGL2 limits. Resolves to
+ * null without WebGL
+ * @param {Object} names - `{ parameters, webgl2Parameters }` to read
+ */
+export async function renderWebGLFingerprint(canvas, webgl2Canvas, names) {
+  canvas.width = 64;
+  canvas.height = 64;
+
+  const gl = webglContext(canvas, { antialias: false, preserveDrawingBuffer: true });
+  if (!gl) return null;
+
+  try {
+    const pixels = renderWebGLScene(gl, canvas.width, canvas.height);
+    const parameters = readWebGLParameters(gl, webgl2Canvas, names);
+
+    return {
+      hash: await hashString(pixels.join(',')),
+      width: canvas.width,
+      height: canvas.height,
+      parametersHash: await hashString(JSON.stringify(parameters)),
+      parameters: parameters,
+      webgl2: Boolean(parameters.webgl2),
+    };
+  } finally {
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+}
+
+/**
+ * Draw the WebGL fingerprint scene and read back its RGBA pixels
+ */
+function renderWebGLScene(gl, width, height) {
+  const vertexSource = `
+    attribute vec2 position;
+    attribute vec3 color;
+    varying vec3 vColor;
+    void main() {
+      vColor = color;
+      gl_Position = vec4(position, 0.0, 1.0);
+    }`;
+  const fragmentSource = `
+    precision mediump float;
+    varying vec3 vColor;
+    void main() {
+      gl_FragColor = vec4(vColor * 0.9 + 0.05, 1.0);
+    }`;
+
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error('WebGL program failed to link');
+  }
+  gl.useProgram(program);
+
+  // x, y, r, g, b per vertex
+  const vertices = new Float32Array([
+    -0.9, -0.8, 1.0, 0.2, 0.1,
+    0.85, -0.6, 0.1, 0.9, 0.3,
+    -0.2, 0.95, 0.2, 0.3, 1.0,
+  ]);
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+
+  const stride = 5 * Float32Array.BYTES_PER_ELEMENT;
+  const position = gl.getAttribLocation(program, 'position');
+  gl.enableVertexAttribArray(position);
+  gl.vertexAttribPointer(position, 2, gl.FLOAT, false, stride, 0);
+  const color = gl.getAttribLocation(program, 'color');
+  gl.enableVertexAttribArray(color);
+  gl.vertexAttribPointer(color, 3, gl.FLOAT, false, stride, 2 * Float32Array.BYTES_PER_ELEMENT);
+
+  gl.viewport(0, 0, width, height);
+  gl.clearColor(0.1, 0.15, 0.2, 1.0);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+  const pixels = new Uint8Array(width * height * 4);
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  return Array.from(pixels);
+}
+
+/**
+ * Numeric WebGL parameters, shader precision formats and, when available,
+ * WebGL2 limits (null when WebGL2 is not supported)
+ */
+function readWebGLParameters(gl, webgl2Canvas, names) {
+  const read = (context, name) => {
+    const value = context.getParameter(context[name]);
+    return ArrayBuffer.isView(value) ? Array.from(value) : value;
+  };
+
+  const parameters = {};
+  for (const name of names.parameters) {
+    parameters[name] = read(gl, name);
+  }
+
+  const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic');
+  parameters.MAX_TEXTURE_MAX_ANISOTROPY_EXT = anisotropic
+    ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT)
+    : null;
+
+  const precisions = {};
+  for (const shader of ['VERTEX_SHADER', 'FRAGMENT_SHADER']) {
+    for (const precision of ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT']) {
+      const format = gl.getShaderPrecisionFormat(gl[shader], gl[precision]);
+      precisions[`${shader}.${precision}`] = format ? [format.rangeMin, format.rangeMax, format.precision] : null;
+    }
+  }
+  parameters.shaderPrecision = precisions;
+
+  parameters.webgl2 = null;
+  const gl2 = webgl2Canvas.getContext('webgl2');
+  if (gl2) {
+    parameters.webgl2 = {};
+    for (const name of names.webgl2Parameters) {
+      parameters.webgl2[name] = read(gl2, name);
+    }
+    gl2.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+
+  return parameters;
+}
+
+export default FingerprintWorker;
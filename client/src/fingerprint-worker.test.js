@@ -0,0 +1,192 @@
+/**
+ * Tests for FingerprintWorker
+ * The worker script built from the Blob URL runs in a Node VM context that
+ * stands in for the worker global scope
+ */
+
+import vm from 'vm';
+import { FingerprintWorker, navigatorInfo } from './fingerprint-worker.js';
+
+const WORKER_NAVIGATOR = {
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0',
+  platform: 'Win32',
+  language: 'en-US',
+  languages: ['en-US', 'en'],
+  hardwareConcurrency: 8,
+  deviceMemory: 16,
+};
+
+// Blobs behind the stubbed object URLs
+const blobs = new Map();
+
+/**
+ * Dedicated worker running the Blob URL's script in a VM context; replies
+ * are delivered asynchronously like real worker messages
+ */
+class FakeWorker {
+  constructor(url) {
+    FakeWorker.instances.push(this);
+    this.terminated = false;
+
+    const scope = {
+      postMessage: data => setImmediate(() => {
+        if (!this.terminated) this.onmessage?.({ data });
+      }),
+    };
+    const context = vm.createContext({
+      self: scope,
+      navigator: WORKER_NAVIGATOR,
+      Intl,
+      crypto,
+      TextEncoder,
+      ...FakeWorker.globals,
+    });
+    this.ready = blobs.get(url).text().then(source => {
+      vm.runInContext(source, context);
+      this.scope = scope;
+    });
+  }
+
+  postMessage(data) {
+    this.ready.then(() => this.scope.onmessage({ data }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+beforeEach(() => {
+  FakeWorker.instances = [];
+  FakeWorker.globals = {};
+  blobs.clear();
+  globalThis.Worker = FakeWorker;
+  jest.spyOn(URL, 'createObjectURL').mockImplementation(blob => {
+    const url = `blob:iky/${blobs.size + 1}`;
+    blobs.set(url, blob);
+    return url;
+  });
+  jest.spyOn(URL, 'revokeObjectURL').mockImplementation(url => blobs.delete(url));
+});
+
+afterEach(() => {
+  delete globalThis.Worker;
+  jest.restoreAllMocks();
+});
+
+describe('FingerprintWorker', () => {
+  it('should run tasks in the worker script', async () => {
+    const worker = new FingerprintWorker();
+
+    await expect(worker.run('navigator')).resolves.toEqual({
+      ...WORKER_NAVIGATOR,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
+    expect(FakeWorker.instances).toHaveLength(1);
+    worker.terminate();
+  });
+
+  it('should match replies to calls and reject failed tasks', async () => {
+    FakeWorker.globals.OffscreenCanvas = class {};
+    const worker = new FingerprintWorker();
+
+    const [known, unknown] = await Promise.allSettled([
+      worker.run('navigator'),
+      worker.run('unknownTask'),
+    ]);
+
+    expect(known).toMatchObject({ status: 'fulfilled', value: { platform: 'Win32' } });
+    expect(unknown.reason.message).toBe('Unknown worker task: unknownTask');
+    expect(FakeWorker.instances).toHaveLength(1);
+    worker.terminate();
+  });
+
+  it('should reject rendering tasks without OffscreenCanvas', async () => {
+    const worker = new FingerprintWorker();
+
+    await expect(worker.run('canvas', { width: 280, height: 60 })).rejects.toThrow('OffscreenCanvas not available');
+    await expect(worker.run('webgl')).rejects.toThrow('OffscreenCanvas not available');
+    worker.terminate();
+  });
+
+  it('should reject calls that are aborted', async () => {
+    const worker = new FingerprintWorker();
+    const controller = new AbortController();
+
+    const call = worker.run('navigator', {}, controller.signal);
+    controller.abort(new Error('Timed out'));
+
+    await expect(call).rejects.toThrow('Timed out');
+    await expect(worker.run('navigator', {}, controller.signal)).rejects.toThrow('Timed out');
+    expect(worker.pending.size).toBe(0);
+    worker.terminate();
+  });
+
+  it('should reject pending and later calls once terminated', async () => {
+    const worker = new FingerprintWorker();
+
+    const call = worker.run('navigator');
+    worker.terminate();
+
+    await expect(call).rejects.toThrow('Fingerprint worker terminated');
+    await expect(worker.run('navigator')).rejects.toThrow('Fingerprint worker terminated');
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:iky/1');
+  });
+
+  it('should fail calls when the worker script cannot start', async () => {
+    const worker = new FingerprintWorker();
+
+    const call = worker.run('navigator');
+    FakeWorker.instances[0].onerror({ message: 'Refused to load the script (Content Security Policy)' });
+
+    await expect(call).rejects.toThrow('Content Security Policy');
+    await expect(worker.run('navigator')).rejects.toThrow('Content Security Policy');
+    expect(FakeWorker.instances).toHaveLength(1);
+  });
+
+  it('should fail calls when the worker cannot be created', async () => {
+    globalThis.Worker = class {
+      constructor() {
+        throw new Error('Blocked by CSP');
+      }
+    };
+    const worker = new FingerprintWorker();
+
+    await expect(worker.run('navigator')).rejects.toThrow('Blocked by CSP');
+    await expect(worker.run('navigator')).rejects.toThrow('Blocked by CSP');
+    expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail calls without worker support', async () => {
+    delete globalThis.Worker;
+    const worker = new FingerprintWorker();
+
+    expect(FingerprintWorker.isSupported()).toBe(false);
+    await expect(worker.run('navigator')).rejects.toThrow('Workers not available');
+  });
+});
+
+describe('navigatorInfo', () => {
+  it('should default missing hardware properties to null', () => {
+    const originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { userAgent: 'UA', platform: 'MacIntel', language: 'de-DE' },
+      configurable: true,
+    });
+
+    try {
+      expect(navigatorInfo()).toMatchObject({
+        languages: ['de-DE'],
+        hardwareConcurrency: null,
+        deviceMemory: null,
+      });
+    } finally {
+      if (originalNavigator) {
+        Object.defineProperty(globalThis, 'navigator', originalNavigator);
+      } else {
+        delete globalThis.navigator;
+      }
+    }
+  });
+});
@@ -3,56 +3,416 @@
  * Collects comprehensive device information for user identification
  */
 
+import { fontPlatform, fontsForPlatform } from './font-lists.js';
+import {
+  FingerprintWorker,
+  drawCanvasScene,
+  hashString,
+  navigatorInfo,
+  readWebGLInfo,
+  renderNoiseProbe,
+  renderWebGLFingerprint,
+} from './fingerprint-worker.js';
+
+// Top-level device_info fields that a collector of the same name writes to;
+// the server reads them for matching (see server/src/services/device-profile.js)
+const DEVICE_INFO_FIELDS = [
+  'screen', 'hardware', 'browser', 'network', 'clientHints', 'canvas', 'audio', 'fonts', 'webgl', 'webglRender',
+  'webgpu', 'media', 'mediaFeatures', 'bot', 'worker', 'privateMode',
+];
+
+// WebGL parameters captured by the WebGL render collector
+const WEBGL_PARAMETERS = [
+  'ALIASED_LINE_WIDTH_RANGE', 'ALIASED_POINT_SIZE_RANGE', 'ALPHA_BITS', 'BLUE_BITS', 'DEPTH_BITS',
+  'GREEN_BITS', 'MAX_COMBINED_TEXTURE_IMAGE_UNITS', 'MAX_CUBE_MAP_TEXTURE_SIZE',
+  'MAX_FRAGMENT_UNIFORM_VECTORS', 'MAX_RENDERBUFFER_SIZE', 'MAX_TEXTURE_IMAGE_UNITS', 'MAX_TEXTURE_SIZE',
+  'MAX_VARYING_VECTORS', 'MAX_VERTEX_ATTRIBS', 'MAX_VERTEX_TEXTURE_IMAGE_UNITS',
+  'MAX_VERTEX_UNIFORM_VECTORS', 'MAX_VIEWPORT_DIMS', 'RED_BITS', 'STENCIL_BITS', 'SUBPIXEL_BITS',
+];
+
+// Canvas fingerprint scene size
+const CANVAS_WIDTH = 280;
+const CANVAS_HEIGHT = 60;
+
+// Audio fingerprint: rendered samples and the summarized tail
+const AUDIO_RENDER_LENGTH = 5000;
+const AUDIO_SUMMARY_LENGTH = 500;
+const AUDIO_SUMMARY_BUCKETS = 10;
+
+// Font detection: fallback families, test string and batch size
+const FONT_BASE_FAMILIES = ['monospace', 'sans-serif', 'serif'];
+const FONT_TEST_STRING = 'mmmmmmmmmmlli WMwQ@ 永あ한';
+const FONT_TEST_SIZE = '72px';
+const FONT_BATCH_SIZE = 40;
+const MISSING_FONT = 'IKY Missing Font 7f3a';
+
+// WebGPU adapter limits captured by the WebGPU collector
+const WEBGPU_LIMITS = [
+  'maxTextureDimension1D', 'maxTextureDimension2D', 'maxTextureDimension3D', 'maxTextureArrayLayers',
+  'maxBindGroups', 'maxSampledTexturesPerShaderStage', 'maxStorageBuffersPerShaderStage',
+  'maxUniformBufferBindingSize', 'maxStorageBufferBindingSize', 'maxBufferSize', 'maxVertexBuffers',
+  'maxVertexAttributes', 'maxComputeWorkgroupStorageSize', 'maxComputeInvocationsPerWorkgroup',
+  'maxComputeWorkgroupSizeX', 'maxComputeWorkgroupsPerDimension',
+];
+
+// Additional parameters read from a WebGL2 context
+const WEBGL2_PARAMETERS = [
+  'MAX_3D_TEXTURE_SIZE', 'MAX_ARRAY_TEXTURE_LAYERS', 'MAX_COLOR_ATTACHMENTS', 'MAX_DRAW_BUFFERS',
+  'MAX_ELEMENTS_INDICES', 'MAX_ELEMENTS_VERTICES', 'MAX_FRAGMENT_INPUT_COMPONENTS',
+  'MAX_FRAGMENT_UNIFORM_BLOCKS', 'MAX_SAMPLES', 'MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS',
+  'MAX_UNIFORM_BLOCK_SIZE', 'MAX_UNIFORM_BUFFER_BINDINGS', 'MAX_VERTEX_OUTPUT_COMPONENTS',
+  'MAX_VERTEX_UNIFORM_BLOCKS',
+];
+
+// Parameter lists passed to renderWebGLFingerprint (also posted to the worker)
+const WEBGL_PARAMETER_NAMES = { parameters: WEBGL_PARAMETERS, webgl2Parameters: WEBGL2_PARAMETERS };
+
+// Container/codec strings probed with canPlayType and MediaSource.isTypeSupported
+const MEDIA_TYPES = [
+  'audio/mpeg', 'audio/mp4; codecs="mp4a.40.2"', 'audio/mp4; codecs="ac-3"', 'audio/mp4; codecs="ec-3"',
+  'audio/mp4; codecs="flac"', 'audio/mp4; codecs="opus"', 'audio/ogg; codecs="vorbis"', 'audio/ogg; codecs="opus"',
+  'audio/webm; codecs="opus"', 'audio/wav; codecs="1"', 'audio/aac', 'audio/x-m4a',
+  'video/mp4; codecs="avc1.42E01E"', 'video/mp4; codecs="avc1.640028"', 'video/mp4; codecs="hvc1.1.6.L93.B0"',
+  'video/mp4; codecs="hev1.1.6.L93.B0"', 'video/mp4; codecs="av01.0.05M.08"', 'video/mp4; codecs="vp09.00.10.08"',
+  'video/mp4; codecs="dvh1.05.06"', 'video/webm; codecs="vp8"', 'video/webm; codecs="vp9"',
+  'video/webm; codecs="av1"', 'video/ogg; codecs="theora"', 'video/quicktime', 'application/vnd.apple.mpegurl',
+];
+
+// Video configurations probed with navigator.mediaCapabilities.decodingInfo;
+// smooth/powerEfficient reflect hardware decode support
+const MEDIA_DECODING_CONFIGS = [
+  'video/mp4; codecs="avc1.640028"', 'video/mp4; codecs="hvc1.1.6.L93.B0"', 'video/mp4; codecs="av01.0.05M.08"',
+  'video/webm; codecs="vp09.00.10.08"',
+].map(contentType => ({
+  type: 'media-source',
+  video: { contentType, width: 1920, height: 1080, bitrate: 5000000, framerate: 30 },
+}));
+
+// How long to wait for speechSynthesis to load its voice list
+const VOICES_WAIT_MS = 500;
+
+// CSS media features probed with matchMedia: field, feature and the values
+// tried in order (the first match wins)
+const MEDIA_FEATURES = [
+  ['colorScheme', 'prefers-color-scheme', ['dark', 'light']],
+  ['reducedMotion', 'prefers-reduced-motion', ['reduce', 'no-preference']],
+  ['forcedColors', 'forced-colors', ['active', 'none']],
+  ['invertedColors', 'inverted-colors', ['inverted', 'none']],
+  ['colorGamut', 'color-gamut', ['rec2020', 'p3', 'srgb']],
+  ['dynamicRange', 'dynamic-range', ['high', 'standard']],
+  ['pointer', 'pointer', ['fine', 'coarse', 'none']],
+  ['hover', 'hover', ['hover', 'none']],
+];
+
+// Highest monochrome bit depth probed with (monochrome: N)
+const MAX_MONOCHROME_BITS = 16;
+
+// Globals left behind by automation tools (PhantomJS, Nightmare, Selenium,
+// ChromeDriver, Puppeteer, Playwright)
+const AUTOMATION_GLOBALS = [
+  '_phantom', 'callPhantom', '__nightmare', '_selenium', 'domAutomation', 'domAutomationController',
+  '__webdriver_evaluate', '__selenium_unwrapped', '__fxdriver_unwrapped', '__puppeteer_evaluation_script__',
+  '__playwright__binding__', '__pwInitScripts',
+];
+
+// Storage quota below which storage is taken to be kept in memory (private
+// window) when the JS heap limit is unknown
+const PRIVATE_QUOTA_BYTES = 120 * 1024 * 1024;
+
+// IndexedDB database opened, then deleted, to probe private-window storage
+const PRIVATE_PROBE_DATABASE = 'iky-private-probe';
+
+const STABILITY_HINTS = ['high', 'medium', 'low'];
+
+/**
+ * A collector did not settle within its timeout or the collection budget
+ */
+class CollectorTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CollectorTimeoutError';
+  }
+}
+
 export class DeviceFingerprint {
+  /**
+   * @param {Object} options
+   * @param {Object[]} [options.collectors] - Custom collectors to register
+   * @param {string[]} [options.disable] - Names of collectors to skip
+   * @param {number} [options.budgetMs] - Default overall time limit for collect()
+   * @param {string[]} [options.fontList] - Fonts to test instead of the platform dictionaries
+   * @param {string[]} [options.extraFonts] - Fonts to test in addition to the platform dictionaries
+   * @param {number} [options.fontBudgetMs] - Time limit for font detection
+   * @param {boolean} [options.useWorker] - Run the canvas and WebGL collectors in a
+   *   dedicated worker (OffscreenCanvas) instead of the main thread
+   * @param {AudioContext} [options.audioContext] - AudioContext the page already
+   *   runs; its channel count and base latency are reported while it is running
+   */
   constructor(options = {}) {
-    this.includeCanvas = options.includeCanvas !== false;
-    this.includeAudio = options.includeAudio !== false;
-    this.includeFonts = options.includeFonts !== false;
-    this.includeWebGL = options.includeWebGL !== false;
+    this.collectors = new Map();
+    this.budgetMs = options.budgetMs ?? null;
+    this.fontList = options.fontList || null;
+    this.extraFonts = options.extraFonts || [];
+    this.fontBudgetMs = options.fontBudgetMs ?? 1000;
+    this.useWorker = options.useWorker === true;
+    this.audioContext = options.audioContext || null;
+    this.disabled = new Set(options.disable || []);
+
+    // Boolean switches kept for compatibility with `disable`
+    const switches = {
+      canvas: options.includeCanvas,
+      audio: options.includeAudio,
+      fonts: options.includeFonts,
+      webgl: options.includeWebGL,
+      clientHints: options.includeClientHints,
+    };
+    for (const [name, include] of Object.entries(switches)) {
+      if (include === false) {
+        this.disabled.add(name);
+      }
+    }
+
+    for (const collector of [...this._builtInCollectors(), ...(options.collectors || [])]) {
+      this.register(collector);
+    }
+  }
+
+  /**
+   * Register a collector; one with the same name replaces the existing one
+   * @param {Object} collector - `{ name, timeout, stability, collect }` where
+   *   `collect(context)` may be async and `stability` is 'high', 'medium' or 'low';
+   *   `context` holds `hashString(str)`, an AbortSignal fired on timeout and the
+   *   collection's FingerprintWorker
+   */
+  register(collector) {
+    if (!collector || typeof collector.name !== 'string' || collector.name === '') {
+      throw new TypeError('Collector must have a name');
+    }
+    if (typeof collector.collect !== 'function') {
+      throw new TypeError(`Collector "${collector.name}" must have a collect() function`);
+    }
+    if (collector.stability !== undefined && !STABILITY_HINTS.includes(collector.stability)) {
+      throw new TypeError(`Collector "${collector.name}" has an invalid stability hint: ${collector.stability}`);
+    }
+
+    this.collectors.set(collector.name, {
+      timeout: 1000,
+      stability: 'medium',
+      ...collector,
+    });
+    return this;
+  }
+
+  /**
+   * Remove a collector by name
+   */
+  unregister(name) {
+    this.collectors.delete(name);
+    return this;
+  }
+
+  /**
+   * Skip a collector by name
+   */
+  disable(name) {
+    this.disabled.add(name);
+    return this;
+  }
+
+  /**
+   * Re-enable a disabled collector
+   */
+  enable(name) {
+    this.disabled.delete(name);
+    return this;
+  }
+
+  /**
+   * Registered collectors that are not disabled, in registration order
+   */
+  getCollectors() {
+    return [...this.collectors.values()].filter(collector => !this.disabled.has(collector.name));
+  }
+
+  /**
+   * Built-in collectors; each one is named after the device_info field it fills
+   */
+  _builtInCollectors() {
+    return [
+      // User-Agent Client Hints (the UA string is frozen in Chromium)
+      { name: 'clientHints', timeout: 1000, stability: 'high', collect: () => this._collectClientHints() },
+      { name: 'screen', timeout: 500, stability: 'medium', collect: () => this._collectScreenInfo() },
+      { name: 'mediaFeatures', timeout: 500, stability: 'medium', collect: () => this._collectMediaFeatures() },
+      { name: 'hardware', timeout: 500, stability: 'high', collect: () => this._collectHardwareInfo() },
+      { name: 'browser', timeout: 500, stability: 'medium', collect: () => this._collectBrowserInfo() },
+      { name: 'network', timeout: 500, stability: 'low', collect: () => this._collectNetworkInfo() },
+      // Headless browser and automation signals (scored by the server)
+      { name: 'bot', timeout: 500, stability: 'high', collect: () => this._collectBotSignals() },
+      // Private/incognito window estimate (its storage, client UUID included, is wiped on close)
+      { name: 'privateMode', timeout: 1000, stability: 'low', collect: ({ signal }) => this._detectPrivateMode(signal) },
+      { name: 'canvas', timeout: 1000, stability: 'high', collect: context => this._generateCanvasFingerprint(context) },
+      { name: 'audio', timeout: 1000, stability: 'medium', collect: ({ signal }) => this._generateAudioFingerprint(signal) },
+      { name: 'fonts', timeout: 2000, stability: 'medium', collect: ({ signal }) => this._detectFonts(signal) },
+      {
+        name: 'webgl',
+        timeout: 1000,
+        stability: 'high',
+        collect: context => this._preferWorker(context, 'webgl', {}, () => this._collectWebGLInfo()),
+      },
+      {
+        name: 'webglRender',
+        timeout: 1000,
+        stability: 'high',
+        collect: context => this._preferWorker(context, 'webglRender', WEBGL_PARAMETER_NAMES,
+          () => this._generateWebGLRenderFingerprint()),
+      },
+      { name: 'webgpu', timeout: 1000, stability: 'high', collect: () => this._collectWebGPUInfo() },
+      { name: 'media', timeout: 1500, stability: 'high', collect: ({ signal }) => this._collectMediaCapabilities(signal) },
+      // Navigator properties seen by a worker, compared with the page's (tamper signal)
+      { name: 'worker', timeout: 1000, stability: 'high', collect: ({ worker, signal }) => this._compareWorkerNavigator(worker, signal) },
+    ];
   }
 
   /**
    * Collect all available device information
+   * Collectors run in parallel, each within its own timeout and the overall
+   * budget; the ones still running when time is up are reported with status
+   * 'timeout' and the rest of the result is returned.
+   * Collectors named after a device_info field (canvas, fonts, ...) write their
+   * value to that field; the value of any other collector is reported in
+   * `components[name].value`. Every collector gets a `components` entry with
+   * its status ('ok', 'error' or 'timeout'), duration, stability hint and
+   * error, if any.
+   * One worker serves the collection: it compares navigator properties and,
+   * with `useWorker`, runs the canvas and WebGL collectors off the main
+   * thread; it is terminated once the result is returned.
+   * @param {Object} [options]
+   * @param {number} [options.budgetMs] - Overall time limit for all collectors
    */
-  async collect() {
+  async collect(options = {}) {
+    const budgetMs = options.budgetMs ?? this.budgetMs;
+    const deadline = Number.isFinite(budgetMs) ? now() + budgetMs : Infinity;
+
     const deviceInfo = {
       // Timestamp of collection
       collectedAt: new Date().toISOString(),
 
-      // Basic environment
+      // Basic environment (always collected)
       ...this._collectBasicInfo(),
+    };
+
+    const collectors = this.getCollectors();
+    const worker = new FingerprintWorker();
+    let results;
+    try {
+      results = await Promise.all(collectors.map(collector => this._runCollector(collector, deadline, worker)));
+    } finally {
+      worker.terminate();
+    }
 
-      // Screen information
-      screen: this._collectScreenInfo(),
+    const components = {};
+    collectors.forEach((collector, index) => {
+      const result = results[index];
+      const error = result.error || result.value?.error;
+      const component = {
+        status: result.status === 'ok' && error ? 'error' : result.status,
+        duration: result.duration,
+        stability: collector.stability,
+      };
+
+      if (DEVICE_INFO_FIELDS.includes(collector.name)) {
+        if (result.value !== undefined) {
+          deviceInfo[collector.name] = result.value;
+        }
+      } else {
+        component.value = result.value ?? null;
+      }
 
-      // Hardware information
-      hardware: this._collectHardwareInfo(),
+      if (error) {
+        component.error = error;
+      }
 
-      // Browser features
-      browser: this._collectBrowserInfo(),
+      components[collector.name] = component;
+    });
 
-      // Network information (basic client-side info)
-      network: this._collectNetworkInfo(),
+    deviceInfo.components = components;
+    return deviceInfo;
+  }
+
+  /**
+   * Run one collector until it settles, its timeout passes or the deadline
+   * is reached; the context's AbortSignal fires on timeout so the collector
+   * can release what it holds (audio contexts, workers, ...)
+   * @returns {Promise<{status: string, value: *, duration: number, error?: string}>}
+   */
+  async _runCollector(collector, deadline, worker = null) {
+    const start = now();
+    const timeoutMs = Math.max(0, Math.min(collector.timeout, deadline - start));
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const context = {
+      hashString: str => this._hashString(str),
+      signal: controller?.signal,
+      worker: worker,
     };
+    let timer = null;
 
-    // Add fingerprints (may be async)
-    if (this.includeCanvas) {
-      deviceInfo.canvas = await this._generateCanvasFingerprint();
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const message = timeoutMs < collector.timeout
+            ? 'Collection budget exhausted'
+            : `Timed out after ${collector.timeout}ms`;
+          reject(new CollectorTimeoutError(message));
+        }, timeoutMs);
+      });
+      const value = await Promise.race([Promise.resolve().then(() => collector.collect(context)), timeout]);
+      return { status: 'ok', value, duration: elapsed(start) };
+    } catch (error) {
+      if (error instanceof CollectorTimeoutError) {
+        controller?.abort(error);
+        return { status: 'timeout', value: undefined, duration: elapsed(start), error: error.message };
+      }
+      console.warn(`Collector "${collector.name}" failed:`, error);
+      return { status: 'error', value: undefined, duration: elapsed(start), error: error.message };
+    } finally {
+      clearTimeout(timer);
     }
+  }
 
-    if (this.includeAudio) {
-      deviceInfo.audio = await this._generateAudioFingerprint();
+  /**
+   * Run a worker task when `useWorker` is set, falling back to `mainThread`
+   * when the worker cannot run it (no OffscreenCanvas, CSP, ...)
+   */
+  async _preferWorker({ worker, signal }, task, options, mainThread) {
+    if (this.useWorker && worker) {
+      try {
+        return await worker.run(task, options, signal);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+      }
     }
+    return mainThread();
+  }
 
-    if (this.includeFonts) {
-      deviceInfo.fonts = await this._detectFonts();
+  /**
+   * Compare the navigator properties a worker sees (WorkerNavigator) with
+   * the page's; spoofing extensions often patch only the page's navigator,
+   * so `mismatches` lists the properties that differ
+   */
+  async _compareWorkerNavigator(worker, signal) {
+    let workerValues;
+    try {
+      workerValues = await worker.run('navigator', {}, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return { available: false, mismatches: [] };
     }
 
-    if (this.includeWebGL) {
-      deviceInfo.webgl = this._collectWebGLInfo();
-    }
+    const pageValues = navigatorInfo();
+    const mismatches = Object.keys(pageValues)
+      .filter(key => JSON.stringify(pageValues[key]) !== JSON.stringify(workerValues[key]));
 
-    return deviceInfo;
+    return { available: true, mismatches };
   }
 
   /**
@@ -71,6 +431,45 @@ export class DeviceFingerprint {
     };
   }
 
+  /**
+   * Collect User-Agent Client Hints, including the high-entropy values
+   * (Chromium-based browsers only)
+   */
+  async _collectClientHints() {
+    const uaData = navigator.userAgentData;
+    if (!uaData) {
+      return { error: 'User-Agent Client Hints not available' };
+    }
+
+    const hints = {
+      brands: uaData.brands || [],
+      mobile: uaData.mobile,
+      platform: uaData.platform,
+    };
+
+    try {
+      const values = await uaData.getHighEntropyValues([
+        'platformVersion',
+        'architecture',
+        'bitness',
+        'model',
+        'fullVersionList',
+      ]);
+
+      return {
+        ...hints,
+        platformVersion: values.platformVersion,
+        architecture: values.architecture,
+        bitness: values.bitness,
+        model: values.model,
+        fullVersionList: values.fullVersionList || [],
+      };
+    } catch (error) {
+      console.warn('Client hints error:', error);
+      return { ...hints, error: error.message };
+    }
+  }
+
   /**
    * Collect screen information
    */
@@ -88,6 +487,35 @@ export class DeviceFingerprint {
     };
   }
 
+  /**
+   * Collect CSS media features: user preferences (color scheme, reduced
+   * motion, forced and inverted colors) and display/input capabilities;
+   * features the browser does not support are null
+   */
+  _collectMediaFeatures() {
+    if (!window.matchMedia) {
+      return { error: 'matchMedia not available' };
+    }
+
+    const features = {};
+    for (const [field, feature, values] of MEDIA_FEATURES) {
+      features[field] = values.find(value => window.matchMedia(`(${feature}: ${value})`).matches) ?? null;
+    }
+
+    // (monochrome) matches any non-zero bit depth; find the exact one
+    features.monochrome = 0;
+    if (window.matchMedia('(monochrome)').matches) {
+      for (let bits = 1; bits <= MAX_MONOCHROME_BITS; bits++) {
+        if (window.matchMedia(`(monochrome: ${bits})`).matches) {
+          features.monochrome = bits;
+          break;
+        }
+      }
+    }
+
+    return features;
+  }
+
   /**
    * Collect hardware information
    */
@@ -142,6 +570,191 @@ export class DeviceFingerprint {
     return mimeTypes;
   }
 
+  /**
+   * Collect signs of a headless or automated browser; each flag is only a
+   * hint, the server combines them (and the WebGL renderer) into a bot score
+   */
+  async _collectBotSignals() {
+    const userAgent = navigator.userAgent || '';
+    const languages = navigator.languages;
+    const isChrome = /Chrome\//.test(userAgent) && !/Edg\/|OPR\//.test(userAgent);
+    const isMobile = /Android|iPhone|iPad|iPod/.test(userAgent);
+
+    return {
+      webdriver: navigator.webdriver === true,
+      headlessUserAgent: /HeadlessChrome|PhantomJS/.test(userAgent),
+      automationGlobals: AUTOMATION_GLOBALS.filter(name => name in window)
+        .concat(Object.keys(document).filter(name => /^\$?cdc_|^\$wdc_/.test(name))),
+      noPlugins: !isMobile && isChrome && (navigator.plugins?.length ?? 0) === 0,
+      noLanguages: !languages || languages.length === 0,
+      languageMismatch: Boolean(languages?.length && navigator.language &&
+        !languages[0].toLowerCase().startsWith(navigator.language.toLowerCase().split('-')[0])),
+      chromeObjectMissing: isChrome && !window.chrome,
+      permissionsInconsistent: await this._notificationPermissionsInconsistent(),
+      cdp: this._detectCDP(),
+    };
+  }
+
+  /**
+   * Headless Chrome reports Notification.permission 'denied' while the
+   * Permissions API still says 'prompt'
+   */
+  async _notificationPermissionsInconsistent() {
+    try {
+      if (typeof Notification === 'undefined' || !navigator.permissions?.query) return false;
+      const status = await navigator.permissions.query({ name: 'notifications' });
+      return Notification.permission === 'denied' && status.state === 'prompt';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Chrome DevTools Protocol side effect: with the Runtime domain enabled
+   * (Puppeteer, Playwright, open DevTools) logged errors are serialized,
+   * which reads their `stack`
+   */
+  _detectCDP() {
+    let detected = false;
+    try {
+      const error = new Error('');
+      Object.defineProperty(error, 'stack', {
+        configurable: false,
+        enumerable: false,
+        get() {
+          detected = true;
+          return '';
+        },
+      });
+      console.debug(error);
+    } catch (error) {
+      return false;
+    }
+    return detected;
+  }
+
+  /**
+   * Estimate whether the page runs in a private/incognito window. Each check
+   * is true, false or null (not supported): a small storage quota, IndexedDB
+   * refusing to open or a blocked origin file system mark the window as
+   * private. A denied persistent-storage permission is reported in `signals`
+   * but is not enough alone, since normal windows can deny it too
+   * @param {AbortSignal} [signal] - Aborted when the collector times out
+   */
+  async _detectPrivateMode(signal) {
+    const [quota, indexedDBBlocked, fileSystemBlocked, persistenceDenied] = await Promise.all([
+      this._storageQuota(),
+      this._indexedDBBlocked(signal),
+      this._fileSystemBlocked(),
+      this._persistenceDenied(),
+    ]);
+
+    const checks = {
+      storageQuota: quota === null ? null : quota < this._privateQuotaLimit(),
+      indexedDB: indexedDBBlocked,
+      fileSystem: fileSystemBlocked,
+      persistence: persistenceDenied,
+    };
+    const decisive = [checks.storageQuota, checks.indexedDB, checks.fileSystem];
+
+    let detected = null;
+    if (decisive.includes(true)) {
+      detected = true;
+    } else if (decisive.includes(false)) {
+      detected = false;
+    }
+
+    return {
+      detected,
+      signals: Object.keys(checks).filter(name => checks[name] === true),
+      quota,
+    };
+  }
+
+  /**
+   * Storage quota in bytes (navigator.storage.estimate()); null without the
+   * Storage API
+   */
+  async _storageQuota() {
+    try {
+      if (!navigator.storage?.estimate) return null;
+      const { quota } = await navigator.storage.estimate();
+      return Number.isFinite(quota) ? quota : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Quota below which storage is taken to be in memory: Chromium caps
+   * incognito storage well under twice the JS heap limit, while normal
+   * profiles get a share of the disk
+   */
+  _privateQuotaLimit() {
+    const heapLimit = typeof performance !== 'undefined' ? performance.memory?.jsHeapSizeLimit : null;
+    return heapLimit ? heapLimit * 2 : PRIVATE_QUOTA_BYTES;
+  }
+
+  /**
+   * Whether IndexedDB refuses to open (private windows of Firefox before
+   * 115 and of older Safari); null without IndexedDB or when it cannot be
+   * used at all (sandboxed frames)
+   */
+  _indexedDBBlocked(signal) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+      try {
+        const request = indexedDB.open(PRIVATE_PROBE_DATABASE);
+        request.onsuccess = () => {
+          request.result.close();
+          indexedDB.deleteDatabase(PRIVATE_PROBE_DATABASE);
+          resolve(false);
+        };
+        request.onerror = event => {
+          event.preventDefault();
+          resolve(true);
+        };
+        signal?.addEventListener('abort', () => resolve(null), { once: true });
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Whether the origin private file system is blocked (private windows of
+   * Safari reject navigator.storage.getDirectory()); null without the API
+   * or on a SecurityError, which sandboxed and opaque-origin frames and
+   * storage-blocking settings raise in normal windows too
+   */
+  async _fileSystemBlocked() {
+    if (!navigator.storage?.getDirectory) return null;
+
+    try {
+      await navigator.storage.getDirectory();
+      return false;
+    } catch (error) {
+      return error?.name === 'SecurityError' ? null : true;
+    }
+  }
+
+  /**
+   * Whether the persistent-storage permission is denied outright; null
+   * without the Permissions API or the permission name
+   */
+  async _persistenceDenied() {
+    try {
+      if (!navigator.permissions?.query) return null;
+      const status = await navigator.permissions.query({ name: 'persistent-storage' });
+      return status.state === 'denied';
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Collect network information
    */
@@ -160,45 +773,28 @@ export class DeviceFingerprint {
 
   /**
    * Generate Canvas fingerprint
+   * The scene is rendered twice and a noise probe checks whether readbacks
+   * are randomized (Brave, Firefox resistFingerprinting, anti-detect
+   * browsers); `noise.detected` tells the server not to match on the hash.
+   * With `useWorker` the scene is rendered on an OffscreenCanvas in the
+   * worker and only the small probe is drawn on the page
+   * @param {Object} context - Collector context (signal, worker)
    */
-  async _generateCanvasFingerprint() {
+  async _generateCanvasFingerprint(context) {
     try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      
-      if (!ctx) {
+      const rendered = await this._preferWorker(context, 'canvas', { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
+        () => this._renderCanvasFingerprint());
+      if (!rendered) {
         return { hash: 'unavailable', error: 'Canvas context not available' };
       }
 
-      // Set canvas size
-      canvas.width = 280;
-      canvas.height = 60;
-
-      // Draw text with various styles
-      ctx.textBaseline = 'top';
-      ctx.font = '14px "Arial"';
-      ctx.textBaseline = 'alphabetic';
-      ctx.fillStyle = '#f60';
-      ctx.fillRect(125, 1, 62, 20);
-      ctx.fillStyle = '#069';
-      ctx.fillText('IKY 🔍', 2, 15);
-      ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
-      ctx.fillText('Device Fingerprint', 4, 35);
-
-      // Draw some shapes
-      ctx.beginPath();
-      ctx.arc(50, 50, 20, 0, Math.PI * 2, true);
-      ctx.closePath();
-      ctx.fill();
-
-      // Get canvas data
-      const canvasData = canvas.toDataURL();
-      const hash = await this._hashString(canvasData);
+      const workerProbe = rendered.probe ?? await this._renderNoiseProbeInWorker(context);
 
       return {
-        hash: hash,
-        width: canvas.width,
-        height: canvas.height,
+        hash: rendered.hash,
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        noise: this._detectCanvasNoise(rendered.readbacksDiffer, workerProbe),
       };
     } catch (error) {
       console.warn('Canvas fingerprint error:', error);
@@ -206,176 +802,500 @@ export class DeviceFingerprint {
     }
   }
 
+  /**
+   * Render the canvas scene twice on the page and hash the first readback;
+   * null without a 2D context
+   */
+  async _renderCanvasFingerprint() {
+    const first = this._renderCanvasScene();
+    if (!first) {
+      return null;
+    }
+
+    const second = this._renderCanvasScene();
+    return { hash: await this._hashString(first), readbacksDiffer: first !== second };
+  }
+
+  /**
+   * Draw the fingerprint scene on a new canvas and return its data URL;
+   * null without a 2D context
+   */
+  _renderCanvasScene() {
+    const canvas = document.createElement('canvas');
+    return drawCanvasScene(canvas, CANVAS_WIDTH, CANVAS_HEIGHT) ? canvas.toDataURL() : null;
+  }
+
+  /**
+   * Check canvas readbacks for injected noise: differing readbacks of the
+   * same scene, altered pixels of a solid fill, or a text-free probe that
+   * reads back differently in a worker (OffscreenCanvas)
+   * @param {boolean} readbacksDiffer - Whether two renders of the scene differed
+   * @param {?Uint8ClampedArray} workerProbe - Probe pixels rendered in the worker
+   */
+  _detectCanvasNoise(readbacksDiffer, workerProbe) {
+    const probe = renderNoiseProbe(document.createElement('canvas'));
+    if (!probe) {
+      return { detected: readbacksDiffer, readbacksDiffer, pixelsAltered: null, workerDiffers: null };
+    }
+
+    const pixelsAltered = !solidProbePixels(probe);
+    const workerDiffers = workerProbe ? !pixelsEqual(probe, workerProbe) : null;
+
+    return {
+      detected: readbacksDiffer || pixelsAltered || workerDiffers === true,
+      readbacksDiffer,
+      pixelsAltered,
+      workerDiffers,
+    };
+  }
+
+  /**
+   * Render the noise probe on an OffscreenCanvas in the worker; null when
+   * workers or OffscreenCanvas are unavailable (or blocked by CSP)
+   */
+  async _renderNoiseProbeInWorker({ worker, signal }) {
+    try {
+      return await worker.run('noiseProbe', {}, signal);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Generate Audio fingerprint
+   * Renders a triangle oscillator through a DynamicsCompressor in an
+   * OfflineAudioContext (no output device, no autoplay restrictions) and
+   * hashes a summary of the rendered tail; floating-point differences in the
+   * browser's DSP code and CPU show up in the samples. `noise.detected` flags
+   * readbacks randomized by the browser
+   * @param {AbortSignal} [signal] - Aborted when the collector times out
    */
-  async _generateAudioFingerprint() {
+  async _generateAudioFingerprint(signal) {
+    let sampleRate = null;
+
     try {
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      if (!AudioContext) {
-        return { hash: 'unavailable', error: 'AudioContext not available' };
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      if (!OfflineContext) {
+        return { hash: 'unavailable', error: 'OfflineAudioContext not available', ...this._collectAudioAttributes() };
       }
 
-      const context = new AudioContext();
-      const oscillator = context.createOscillator();
-      const analyser = context.createAnalyser();
-      const gainNode = context.createGain();
-      const scriptProcessor = context.createScriptProcessor(4096, 1, 1);
-
-      // Mute the output
-      gainNode.gain.value = 0;
-
-      oscillator.type = 'triangle';
-      oscillator.frequency.value = 10000;
-
-      oscillator.connect(analyser);
-      analyser.connect(scriptProcessor);
-      scriptProcessor.connect(gainNode);
-      gainNode.connect(context.destination);
-
-      oscillator.start(0);
-
-      return new Promise((resolve) => {
-        scriptProcessor.onaudioprocess = async (event) => {
-          const output = event.outputBuffer.getChannelData(0);
-          const fingerprint = Array.from(output.slice(0, 100)).join(',');
-          
-          oscillator.stop();
-          scriptProcessor.disconnect();
-          gainNode.disconnect();
-          analyser.disconnect();
-          oscillator.disconnect();
-          
-          if (context.close) {
-            context.close();
-          }
+      // Rendered twice: privacy browsers randomize each readback
+      const first = await this._renderAudioSummary(OfflineContext, signal);
+      sampleRate = first.sampleRate;
+      const second = await this._renderAudioSummary(OfflineContext, signal);
+      const samplesAltered = !(await this._audioReadbackIntact(OfflineContext, signal));
+      const readbacksDiffer = first.sum !== second.sum;
 
-          const hash = await this._hashString(fingerprint);
-          resolve({ hash: hash, sampleSize: 100 });
-        };
-
-        // Timeout after 1 second
-        setTimeout(() => {
-          oscillator.stop();
-          if (context.close) {
-            context.close();
-          }
-          resolve({ hash: 'timeout', error: 'Audio fingerprint timeout' });
-        }, 1000);
-      });
+      return {
+        hash: await this._hashString(first.summary),
+        sum: first.sum,
+        sampleSize: AUDIO_SUMMARY_LENGTH,
+        ...this._collectAudioAttributes(sampleRate),
+        noise: { detected: readbacksDiffer || samplesAltered, readbacksDiffer, samplesAltered },
+      };
     } catch (error) {
       console.warn('Audio fingerprint error:', error);
-      return { hash: 'error', error: error.message };
+      return { hash: 'error', error: error.message, ...this._collectAudioAttributes(sampleRate) };
     }
   }
 
   /**
-   * Detect installed fonts
+   * Render the oscillator → compressor graph and summarize the tail of the
+   * rendered samples
    */
-  async _detectFonts() {
-    const baseFonts = ['monospace', 'sans-serif', 'serif'];
-    const testFonts = [
-      'Arial', 'Verdana', 'Times New Roman', 'Courier New', 'Georgia',
-      'Palatino', 'Garamond', 'Bookman', 'Comic Sans MS', 'Trebuchet MS',
-      'Impact', 'Lucida Console', 'Tahoma', 'Helvetica', 'Geneva',
-      'MS Sans Serif', 'MS Serif', 'Courier', 'Monaco', 'Consolas',
-    ];
+  async _renderAudioSummary(OfflineContext, signal) {
+    const context = new OfflineContext(1, AUDIO_RENDER_LENGTH, 44100);
+
+    const oscillator = context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = 10000;
+
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -50;
+    compressor.knee.value = 40;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0;
+    compressor.release.value = 0.25;
+
+    oscillator.connect(compressor);
+    compressor.connect(context.destination);
+    oscillator.start(0);
+
+    const buffer = await this._renderOfflineAudio(context, signal);
+    const samples = buffer.getChannelData(0).subarray(AUDIO_RENDER_LENGTH - AUDIO_SUMMARY_LENGTH);
+
+    // Sum of absolute values overall and per bucket, rounded to drop
+    // platform-independent float noise
+    const bucketSize = AUDIO_SUMMARY_LENGTH / AUDIO_SUMMARY_BUCKETS;
+    const buckets = new Array(AUDIO_SUMMARY_BUCKETS).fill(0);
+    let sum = 0;
+    samples.forEach((sample, index) => {
+      buckets[Math.floor(index / bucketSize)] += Math.abs(sample);
+      sum += Math.abs(sample);
+    });
+
+    return { summary: buckets.map(bucket => bucket.toFixed(6)).join(','), sum, sampleRate: context.sampleRate ?? null };
+  }
+
+  /**
+   * Play a constant 0.5 buffer through an offline context; any other sample
+   * in the readback means the browser adds noise to audio data
+   */
+  async _audioReadbackIntact(OfflineContext, signal) {
+    const context = new OfflineContext(1, 128, 44100);
+    const input = context.createBuffer(1, 128, 44100);
+    input.getChannelData(0).fill(0.5);
+
+    const source = context.createBufferSource();
+    source.buffer = input;
+    source.connect(context.destination);
+    source.start(0);
+
+    const rendered = await this._renderOfflineAudio(context, signal);
+    return rendered.getChannelData(0).every(sample => sample === 0.5);
+  }
+
+  /**
+   * Render an offline audio graph; older WebKit only fires `oncomplete`
+   */
+  _renderOfflineAudio(context, signal) {
+    return new Promise((resolve, reject) => {
+      context.oncomplete = event => resolve(event.renderedBuffer);
+      signal?.addEventListener('abort', () => reject(new Error('Audio fingerprint timeout')), { once: true });
+
+      const rendering = context.startRendering();
+      if (rendering && typeof rendering.then === 'function') {
+        rendering.then(resolve, reject);
+      }
+    });
+  }
+
+  /**
+   * Sample rate, output channel count and base latency of the audio device
+   * The sample rate is the one the offline render ran at. No AudioContext is
+   * created here (that would open the output device on every collect()): the
+   * channel count and base latency are only read from the page's own
+   * `audioContext` while it is running
+   * @param {number|null} [sampleRate] - Sample rate of the OfflineAudioContext
+   */
+  _collectAudioAttributes(sampleRate = null) {
+    const context = this.audioContext;
+    if (context?.state !== 'running') {
+      return { sampleRate, channelCount: null, baseLatency: null };
+    }
+
+    return {
+      sampleRate,
+      channelCount: context.destination?.maxChannelCount ?? null,
+      baseLatency: context.baseLatency ?? null,
+    };
+  }
 
-    const detectedFonts = [];
+  /**
+   * Detect installed fonts from the platform's font dictionaries
+   * Uses the Local Font Access API when the page already holds the
+   * permission, document.fonts.check() when the browser answers it truthfully
+   * and canvas text measurement otherwise. Fonts are tested in batches with a
+   * yield in between; when the font budget runs out the fonts tested so far
+   * are returned with `complete: false`.
+   * @param {AbortSignal} [signal] - Aborted when the collector times out
+   */
+  async _detectFonts(signal) {
+    const start = now();
+    const candidates = this.fontList ||
+      fontsForPlatform(
+        fontPlatform(navigator.platform, navigator.userAgent, navigator.maxTouchPoints),
+        this.extraFonts,
+      );
 
     try {
-      const testString = 'mmmmmmmmmmlli';
-      const testSize = '72px';
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
+      const localFonts = await this._queryLocalFonts();
+      if (localFonts) {
+        const fonts = candidates.filter(font => localFonts.has(font.toLowerCase()));
+        return {
+          fonts: fonts,
+          count: fonts.length,
+          tested: candidates.length,
+          method: 'local-font-access',
+          complete: true,
+        };
+      }
 
-      if (!ctx) {
+      const detector = this._fontFaceSetDetector() || this._fontMeasurementDetector();
+      if (!detector) {
         return { fonts: [], error: 'Canvas not available' };
       }
 
-      // Measure baselines
-      const baselines = {};
-      for (const baseFont of baseFonts) {
-        ctx.font = `${testSize} ${baseFont}`;
-        baselines[baseFont] = ctx.measureText(testString).width;
-      }
+      const detectedFonts = [];
+      let tested = 0;
+      while (tested < candidates.length) {
+        if (tested > 0) {
+          await yieldToEventLoop();
+        }
+        if (signal?.aborted || now() - start > this.fontBudgetMs) {
+          break;
+        }
 
-      // Test each font
-      for (const testFont of testFonts) {
-        let detected = false;
-        for (const baseFont of baseFonts) {
-          ctx.font = `${testSize} '${testFont}', ${baseFont}`;
-          const width = ctx.measureText(testString).width;
-          if (width !== baselines[baseFont]) {
-            detected = true;
-            break;
+        for (const font of candidates.slice(tested, tested + FONT_BATCH_SIZE)) {
+          if (detector.test(font)) {
+            detectedFonts.push(font);
           }
         }
-        if (detected) {
-          detectedFonts.push(testFont);
-        }
+        tested = Math.min(tested + FONT_BATCH_SIZE, candidates.length);
       }
 
-      return { fonts: detectedFonts, count: detectedFonts.length };
+      return {
+        fonts: detectedFonts,
+        count: detectedFonts.length,
+        tested: tested,
+        method: detector.method,
+        complete: tested === candidates.length,
+      };
     } catch (error) {
       console.warn('Font detection error:', error);
       return { fonts: [], error: error.message };
     }
   }
 
+  /**
+   * Lowercased local font families, or null unless the Local Font Access
+   * permission was already granted (never prompts)
+   */
+  async _queryLocalFonts() {
+    if (typeof window.queryLocalFonts !== 'function' || !navigator.permissions?.query) {
+      return null;
+    }
+
+    try {
+      const status = await navigator.permissions.query({ name: 'local-fonts' });
+      if (status.state !== 'granted') {
+        return null;
+      }
+
+      const fonts = await window.queryLocalFonts();
+      return new Set(fonts.map(font => font.family.toLowerCase()));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Font test based on document.fonts.check()
+   * Some browsers report every font that needs no download as available,
+   * installed or not; the API is only used when it rejects a made-up font.
+   */
+  _fontFaceSetDetector() {
+    const fontFaces = typeof document !== 'undefined' ? document.fonts : null;
+    if (!fontFaces || typeof fontFaces.check !== 'function') {
+      return null;
+    }
+
+    const check = font => fontFaces.check(`12px ${quoteFontFamily(font)}`);
+    try {
+      if (check(MISSING_FONT)) {
+        return null;
+      }
+    } catch (error) {
+      return null;
+    }
+
+    return { method: 'font-face-set', test: check };
+  }
+
+  /**
+   * Font test based on canvas text widths against generic fallbacks; the
+   * test string mixes Latin and CJK glyphs so CJK fonts change its width too
+   */
+  _fontMeasurementDetector() {
+    const ctx = document.createElement('canvas').getContext('2d');
+    if (!ctx) {
+      return null;
+    }
+
+    const measure = family => {
+      ctx.font = `${FONT_TEST_SIZE} ${family}`;
+      return ctx.measureText(FONT_TEST_STRING).width;
+    };
+    const baselines = FONT_BASE_FAMILIES.map(base => [base, measure(base)]);
+
+    return {
+      method: 'measurement',
+      test: font => baselines.some(([base, width]) => measure(`${quoteFontFamily(font)}, ${base}`) !== width),
+    };
+  }
+
   /**
    * Collect WebGL information
    */
   _collectWebGLInfo() {
     try {
-      const canvas = document.createElement('canvas');
-      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+      return readWebGLInfo(document.createElement('canvas')) || { vendor: 'unavailable', renderer: 'unavailable' };
+    } catch (error) {
+      console.warn('WebGL info error:', error);
+      return { vendor: 'error', renderer: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Generate WebGL rendering fingerprint
+   * Draws a triangle with per-vertex colours over a cleared background and
+   * hashes the pixels read back; GPU, driver and rasterizer differences show
+   * up in the interpolated colours. Also hashes the numeric WebGL parameters
+   * and shader precisions.
+   */
+  async _generateWebGLRenderFingerprint() {
+    try {
+      const result = await renderWebGLFingerprint(
+        document.createElement('canvas'),
+        document.createElement('canvas'),
+        WEBGL_PARAMETER_NAMES,
+      );
+      return result || { hash: 'unavailable', parametersHash: 'unavailable', webgl2: false, error: 'WebGL context not available' };
+    } catch (error) {
+      console.warn('WebGL render fingerprint error:', error);
+      return { hash: 'error', parametersHash: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Collect WebGPU adapter information: identity, sorted features and key
+   * limits; browsers without WebGPU report `available: false`
+   */
+  async _collectWebGPUInfo() {
+    if (!navigator.gpu) {
+      return { available: false, error: 'WebGPU not available' };
+    }
 
-      if (!gl) {
-        return { vendor: 'unavailable', renderer: 'unavailable' };
+    try {
+      const adapter = await navigator.gpu.requestAdapter();
+      if (!adapter) {
+        return { available: false, error: 'No WebGPU adapter' };
+      }
+
+      // GPUAdapter.info replaced requestAdapterInfo() in Chromium 127
+      const info = adapter.info || (adapter.requestAdapterInfo ? await adapter.requestAdapterInfo() : {});
+
+      const limits = {};
+      for (const name of WEBGPU_LIMITS) {
+        limits[name] = adapter.limits?.[name] ?? null;
       }
 
-      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-      
       return {
-        vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : gl.getParameter(gl.VENDOR),
-        renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
-        version: gl.getParameter(gl.VERSION),
-        shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-        extensions: gl.getSupportedExtensions() || [],
-        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-        maxViewportDims: gl.getParameter(gl.MAX_VIEWPORT_DIMS),
+        available: true,
+        vendor: info.vendor || null,
+        architecture: info.architecture || null,
+        device: info.device || null,
+        description: info.description || null,
+        isFallbackAdapter: Boolean(adapter.isFallbackAdapter ?? info.isFallbackAdapter),
+        features: Array.from(adapter.features || []).sort(),
+        limits: limits,
       };
     } catch (error) {
-      console.warn('WebGL info error:', error);
-      return { vendor: 'error', renderer: 'error', error: error.message };
+      console.warn('WebGPU info error:', error);
+      return { available: false, error: error.message };
     }
   }
 
   /**
-   * Hash a string using SubtleCrypto or fallback
+   * Collect codec support, hardware decoding capabilities and speech
+   * synthesis voices; they depend on the OS build and decode hardware and
+   * replace the plugin and MIME type lists modern browsers leave empty
+   * @param {AbortSignal} [signal] - Aborted when the collector times out
    */
-  async _hashString(str) {
+  async _collectMediaCapabilities(signal) {
+    const [decoding, voices] = await Promise.all([
+      this._collectDecodingInfo(),
+      this._collectSpeechVoices(signal),
+    ]);
+
+    return {
+      codecs: this._collectCodecSupport(),
+      decoding: decoding,
+      voices: voices,
+    };
+  }
+
+  /**
+   * canPlayType ('probably', 'maybe' or '') and MediaSource support per type
+   */
+  _collectCodecSupport() {
+    const codecs = {};
+
     try {
-      if (crypto.subtle && crypto.subtle.digest) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(str);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+      const video = document.createElement('video');
+      const MediaSource = window.MediaSource || window.ManagedMediaSource || window.WebKitMediaSource;
+
+      for (const type of MEDIA_TYPES) {
+        codecs[type] = {
+          canPlay: video.canPlayType(type),
+          mediaSource: MediaSource?.isTypeSupported ? MediaSource.isTypeSupported(type) : null,
+        };
       }
     } catch (error) {
-      console.warn('SubtleCrypto not available, using fallback hash');
+      console.warn('Codec support error:', error);
     }
 
-    // Fallback to simple hash
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+    return codecs;
+  }
+
+  /**
+   * mediaCapabilities.decodingInfo flags per video configuration; null when
+   * the API is not available
+   */
+  async _collectDecodingInfo() {
+    if (!navigator.mediaCapabilities?.decodingInfo) {
+      return null;
     }
-    return hash.toString(16);
+
+    const decoding = {};
+    await Promise.all(MEDIA_DECODING_CONFIGS.map(async config => {
+      try {
+        const info = await navigator.mediaCapabilities.decodingInfo(config);
+        decoding[config.video.contentType] = {
+          supported: info.supported,
+          smooth: info.smooth,
+          powerEfficient: info.powerEfficient,
+        };
+      } catch (error) {
+        decoding[config.video.contentType] = { supported: false, error: error.message };
+      }
+    }));
+
+    return decoding;
+  }
+
+  /**
+   * Sorted speech synthesis voice names; browsers load them asynchronously,
+   * so wait briefly for `voiceschanged` when the list starts out empty
+   */
+  async _collectSpeechVoices(signal) {
+    const synthesis = window.speechSynthesis;
+    if (!synthesis?.getVoices) {
+      return null;
+    }
+
+    let voices = synthesis.getVoices();
+    if (voices.length === 0 && synthesis.addEventListener) {
+      voices = await new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          synthesis.removeEventListener('voiceschanged', done);
+          resolve(synthesis.getVoices());
+        };
+        const timer = setTimeout(done, VOICES_WAIT_MS);
+        synthesis.addEventListener('voiceschanged', done);
+        signal?.addEventListener('abort', done, { once: true });
+      });
+    }
+
+    return [...new Set(voices.map(voice => voice.name))].sort();
+  }
+
+  /**
+   * Hash a string using SubtleCrypto or fallback
+   */
+  async _hashString(str) {
+    return hashString(str);
   }
 
   /**
@@ -395,4 +1315,59 @@ export class DeviceFingerprint {
   }
 }
 
+/**
+ * Whether the solid left half of the noise probe read back unchanged
+ */
+function solidProbePixels(pixels) {
+  const size = Math.sqrt(pixels.length / 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size / 2; x++) {
+      const i = (y * size + x) * 4;
+      if (pixels[i] !== 255 || pixels[i + 1] !== 0 || pixels[i + 2] !== 0 || pixels[i + 3] !== 255) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether two pixel arrays are identical
+ */
+function pixelsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * High-resolution timestamp in milliseconds
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Font family name as a quoted CSS string
+ */
+function quoteFontFamily(name) {
+  return `"${name.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Let pending timers and events run before continuing
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Milliseconds since `start`, rounded to 0.1ms
+ */
+function elapsed(start) {
+  return Math.round((now() - start) * 10) / 10;
+}
+
 export default DeviceFingerprint;
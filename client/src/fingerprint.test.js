@@ -0,0 +1,341 @@
+/**
+ * Tests for DeviceFingerprint
+ * Run in Node: the browser globals each test needs are stubbed
+ */
+
+import { DeviceFingerprint } from './fingerprint.js';
+import { navigatorInfo } from './fingerprint-worker.js';
+
+const originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+
+function stubNavigator(values = {}) {
+  Object.defineProperty(globalThis, 'navigator', {
+    value: {
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0',
+      platform: 'Win32',
+      language: 'en-US',
+      languages: ['en-US', 'en'],
+      cookieEnabled: true,
+      ...values,
+    },
+    configurable: true,
+    writable: true,
+  });
+}
+
+// Names of the built-in collectors, disabled where a test only needs its own
+const BUILT_IN_COLLECTORS = new DeviceFingerprint().getCollectors().map(collector => collector.name);
+
+function customOnly(collectors, options = {}) {
+  const names = collectors.map(c => c.name);
+  const disable = BUILT_IN_COLLECTORS.filter(name => !names.includes(name));
+  return new DeviceFingerprint({ ...options, collectors, disable });
+}
+
+const collector = (name, collect, options = {}) => ({ name, collect, ...options });
+
+afterEach(() => {
+  if (originalNavigator) {
+    Object.defineProperty(globalThis, 'navigator', originalNavigator);
+  } else {
+    delete globalThis.navigator;
+  }
+  jest.restoreAllMocks();
+});
+
+describe('DeviceFingerprint', () => {
+  describe('collector registry', () => {
+    it('should register the built-in collectors', () => {
+      expect(BUILT_IN_COLLECTORS).toEqual(expect.arrayContaining(['screen', 'canvas', 'fonts', 'webgl', 'worker']));
+    });
+
+    it('should append custom collectors with default timeout and stability', () => {
+      const fingerprint = new DeviceFingerprint({ collectors: [collector('battery', () => 1)] });
+      const collectors = fingerprint.getCollectors();
+
+      expect(collectors[collectors.length - 1]).toMatchObject({ name: 'battery', timeout: 1000, stability: 'medium' });
+    });
+
+    it('should replace a collector registered under the same name', () => {
+      const collect = () => ({ width: 1 });
+      const fingerprint = new DeviceFingerprint().register(collector('screen', collect, { timeout: 50 }));
+      const screen = fingerprint.getCollectors().filter(c => c.name === 'screen');
+
+      expect(screen).toHaveLength(1);
+      expect(screen[0]).toMatchObject({ collect, timeout: 50 });
+    });
+
+    it('should reject invalid collectors', () => {
+      const fingerprint = customOnly([]);
+
+      expect(() => fingerprint.register()).toThrow('Collector must have a name');
+      expect(() => fingerprint.register({ name: '', collect: () => 1 })).toThrow('Collector must have a name');
+      expect(() => fingerprint.register({ name: 'x' })).toThrow('Collector "x" must have a collect() function');
+      expect(() => fingerprint.register(collector('x', () => 1, { stability: 'stable' })))
+        .toThrow('Collector "x" has an invalid stability hint: stable');
+      expect(fingerprint.getCollectors()).toEqual([]);
+    });
+
+    it('should skip disabled collectors until they are enabled again', () => {
+      const fingerprint = new DeviceFingerprint({ disable: ['audio'], includeCanvas: false });
+      const names = () => fingerprint.getCollectors().map(c => c.name);
+
+      expect(names()).not.toContain('audio');
+      expect(names()).not.toContain('canvas');
+
+      fingerprint.enable('audio').disable('fonts');
+      expect(names()).toContain('audio');
+      expect(names()).not.toContain('fonts');
+    });
+
+    it('should remove unregistered collectors', () => {
+      const fingerprint = new DeviceFingerprint().unregister('webgpu');
+
+      expect(fingerprint.getCollectors().map(c => c.name)).not.toContain('webgpu');
+    });
+  });
+
+  describe('collect', () => {
+    const never = () => new Promise(() => {});
+
+    beforeEach(() => {
+      stubNavigator();
+    });
+
+    it('should run collectors in parallel', async () => {
+      let startB;
+      const bStarted = new Promise(resolve => {
+        startB = resolve;
+      });
+      const fingerprint = customOnly([
+        collector('a', async () => {
+          await bStarted;
+          return 'a';
+        }),
+        collector('b', () => {
+          startB();
+          return 'b';
+        }),
+      ]);
+
+      const { components } = await fingerprint.collect();
+
+      expect(components.a).toMatchObject({ status: 'ok', value: 'a' });
+      expect(components.b).toMatchObject({ status: 'ok', value: 'b' });
+    });
+
+    it('should report collectors that exceed their timeout and keep the others', async () => {
+      const fingerprint = customOnly([
+        collector('slow', never, { timeout: 20 }),
+        collector('fast', () => 42, { timeout: 20 }),
+      ]);
+
+      const { components } = await fingerprint.collect();
+
+      expect(components.slow).toMatchObject({ status: 'timeout', value: null, error: 'Timed out after 20ms' });
+      expect(components.fast).toMatchObject({ status: 'ok', value: 42 });
+    });
+
+    it('should stop every collector at the overall budget', async () => {
+      const fingerprint = customOnly([collector('slow', never, { timeout: 5000 })], { budgetMs: 10000 });
+
+      const start = Date.now();
+      const { components } = await fingerprint.collect({ budgetMs: 20 });
+
+      expect(components.slow).toMatchObject({ status: 'timeout', error: 'Collection budget exhausted' });
+      expect(Date.now() - start).toBeLessThan(2000);
+    });
+
+    it('should abort the signal of a timed-out collector', async () => {
+      let signal;
+      const fingerprint = customOnly([
+        collector('slow', context => {
+          signal = context.signal;
+          return never();
+        }, { timeout: 10 }),
+      ]);
+
+      await fingerprint.collect();
+
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should report failing collectors as errors', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const fingerprint = customOnly([
+        collector('throws', () => {
+          throw new Error('boom');
+        }),
+        collector('reports', () => ({ error: 'unsupported' })),
+      ]);
+
+      const { components } = await fingerprint.collect();
+
+      expect(components.throws).toMatchObject({ status: 'error', value: null, error: 'boom' });
+      expect(components.reports).toMatchObject({ status: 'error', value: { error: 'unsupported' }, error: 'unsupported' });
+    });
+
+    it('should write built-in fields to device info and custom values to components', async () => {
+      const fingerprint = customOnly([
+        collector('screen', () => ({ width: 1920 }), { stability: 'high' }),
+        collector('fonts', never, { timeout: 10 }),
+        collector('battery', () => 0.5, { stability: 'low' }),
+      ]);
+
+      const deviceInfo = await fingerprint.collect();
+
+      expect(deviceInfo).toMatchObject({ userAgent: navigator.userAgent, platform: 'Win32', screen: { width: 1920 } });
+      expect(deviceInfo).not.toHaveProperty('fonts');
+      expect(deviceInfo).not.toHaveProperty('battery');
+      expect(deviceInfo.components.screen).toEqual({ status: 'ok', duration: expect.any(Number), stability: 'high' });
+      expect(deviceInfo.components.fonts).toMatchObject({ status: 'timeout', stability: 'medium' });
+      expect(deviceInfo.components.battery).toMatchObject({ status: 'ok', value: 0.5, stability: 'low' });
+    });
+
+    it('should pass a hash function and the collection worker to collectors', async () => {
+      let context;
+      const fingerprint = customOnly([
+        collector('context', async c => {
+          context = c;
+          return c.hashString('abc');
+        }),
+      ]);
+
+      const { components } = await fingerprint.collect();
+
+      expect(components.context.value).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+      expect(context.worker).toBeDefined();
+    });
+  });
+
+  describe('worker', () => {
+    const failingWorker = () => ({ run: jest.fn(() => Promise.reject(new Error('Workers not available'))) });
+
+    beforeEach(() => {
+      stubNavigator({ hardwareConcurrency: 8 });
+    });
+
+    it('should use the worker result when useWorker is set', async () => {
+      const worker = { run: jest.fn(() => Promise.resolve('from worker')) };
+      const mainThread = jest.fn(() => 'from page');
+
+      const value = await new DeviceFingerprint({ useWorker: true })._preferWorker({ worker }, 'webgl', {}, mainThread);
+
+      expect(value).toBe('from worker');
+      expect(worker.run).toHaveBeenCalledWith('webgl', {}, undefined);
+      expect(mainThread).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the main thread when the worker fails or is not used', async () => {
+      const mainThread = () => 'from page';
+      const worker = failingWorker();
+
+      await expect(new DeviceFingerprint({ useWorker: true })._preferWorker({ worker }, 'webgl', {}, mainThread))
+        .resolves.toBe('from page');
+      await expect(new DeviceFingerprint()._preferWorker({ worker: failingWorker() }, 'webgl', {}, mainThread))
+        .resolves.toBe('from page');
+    });
+
+    it('should not fall back once the collector timed out', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Timed out'));
+      const worker = { run: () => Promise.reject(controller.signal.reason) };
+      const mainThread = jest.fn();
+
+      await expect(new DeviceFingerprint({ useWorker: true })._preferWorker(
+        { worker, signal: controller.signal }, 'webgl', {}, mainThread,
+      )).rejects.toThrow('Timed out');
+      expect(mainThread).not.toHaveBeenCalled();
+    });
+
+    it('should list navigator properties that differ in the worker', async () => {
+      const workerValues = { ...navigatorInfo(), platform: 'Linux x86_64', hardwareConcurrency: 4 };
+      const worker = { run: () => Promise.resolve(workerValues) };
+
+      await expect(new DeviceFingerprint()._compareWorkerNavigator(worker)).resolves.toEqual({
+        available: true,
+        mismatches: ['platform', 'hardwareConcurrency'],
+      });
+    });
+
+    it('should report the comparison as unavailable when the worker fails', async () => {
+      await expect(new DeviceFingerprint()._compareWorkerNavigator(failingWorker())).resolves.toEqual({
+        available: false,
+        mismatches: [],
+      });
+    });
+
+    it('should terminate the collection worker afterwards', async () => {
+      let worker;
+      const fingerprint = customOnly([
+        collector('keep', context => {
+          worker = context.worker;
+        }),
+      ]);
+
+      await fingerprint.collect();
+
+      await expect(worker.run('navigator')).rejects.toThrow('Fingerprint worker terminated');
+    });
+  });
+
+  describe('audio', () => {
+    afterEach(() => {
+      delete globalThis.window;
+    });
+
+    it('should not create an AudioContext', async () => {
+      const AudioContext = jest.fn();
+      globalThis.window = { AudioContext };
+
+      const audio = await new DeviceFingerprint()._generateAudioFingerprint();
+
+      expect(audio).toEqual({
+        hash: 'unavailable',
+        error: 'OfflineAudioContext not available',
+        sampleRate: null,
+        channelCount: null,
+        baseLatency: null,
+      });
+      expect(AudioContext).not.toHaveBeenCalled();
+    });
+
+    it('should read channel count and base latency only from a running page AudioContext', () => {
+      const audioContext = { state: 'suspended', baseLatency: 0.01, destination: { maxChannelCount: 2 } };
+      const fingerprint = new DeviceFingerprint({ audioContext });
+
+      expect(fingerprint._collectAudioAttributes(44100)).toEqual({ sampleRate: 44100, channelCount: null, baseLatency: null });
+      audioContext.state = 'running';
+      expect(fingerprint._collectAudioAttributes(44100)).toEqual({ sampleRate: 44100, channelCount: 2, baseLatency: 0.01 });
+      expect(new DeviceFingerprint()._collectAudioAttributes(44100)).toMatchObject({ channelCount: null, baseLatency: null });
+    });
+  });
+
+  describe('private mode', () => {
+    const withDirectory = getDirectory => stubNavigator({ storage: { getDirectory } });
+
+    it('should report a refused origin file system as blocked', async () => {
+      withDirectory(() => Promise.reject(new DOMException('The operation failed', 'UnknownError')));
+
+      await expect(new DeviceFingerprint()._fileSystemBlocked()).resolves.toBe(true);
+    });
+
+    it('should not count a SecurityError as a private window', async () => {
+      withDirectory(() => Promise.reject(new DOMException('Storage is blocked', 'SecurityError')));
+
+      await expect(new DeviceFingerprint()._fileSystemBlocked()).resolves.toBeNull();
+    });
+
+    it('should report an available origin file system as not blocked', async () => {
+      withDirectory(() => Promise.resolve({}));
+
+      await expect(new DeviceFingerprint()._fileSystemBlocked()).resolves.toBe(false);
+    });
+
+    it('should report null without the API', async () => {
+      stubNavigator();
+
+      await expect(new DeviceFingerprint()._fileSystemBlocked()).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Font dictionaries for font detection
+ * Grouped by where the fonts ship so the collector can test the ones that
+ * are likely on the current platform; `office` holds fonts installed by
+ * productivity and design software on any desktop OS
+ */
+
+export const FONT_LISTS = {
+  common: [
+    'Arial', 'Arial Black', 'Comic Sans MS', 'Courier', 'Courier New', 'Georgia', 'Helvetica',
+    'Impact', 'Times', 'Times New Roman', 'Trebuchet MS', 'Verdana', 'Webdings', 'Wingdings',
+  ],
+
+  windows: [
+    'Bahnschrift', 'Calibri', 'Calibri Light', 'Cambria', 'Cambria Math', 'Candara', 'Candara Light',
+    'Cascadia Code', 'Cascadia Mono', 'Consolas', 'Constantia', 'Corbel', 'Corbel Light', 'Ebrima',
+    'Franklin Gothic Medium', 'Gabriola', 'Gadugi', 'HoloLens MDL2 Assets', 'Ink Free', 'Javanese Text',
+    'Leelawadee', 'Leelawadee UI', 'Lucida Console', 'Lucida Sans Unicode', 'Malgun Gothic',
+    'Marlett', 'Microsoft Himalaya', 'Microsoft JhengHei', 'Microsoft JhengHei UI', 'Microsoft New Tai Lue',
+    'Microsoft PhagsPa', 'Microsoft Sans Serif', 'Microsoft Tai Le', 'Microsoft YaHei',
+    'Microsoft YaHei UI', 'Microsoft Yi Baiti', 'MingLiU-ExtB', 'Mongolian Baiti', 'MS Gothic',
+    'MS PGothic', 'MS Sans Serif', 'MS Serif', 'MS UI Gothic', 'MV Boli', 'Myanmar Text', 'Nirmala UI',
+    'Palatino Linotype', 'Segoe Fluent Icons', 'Segoe MDL2 Assets', 'Segoe Print', 'Segoe Script',
+    'Segoe UI', 'Segoe UI Black', 'Segoe UI Emoji', 'Segoe UI Historic', 'Segoe UI Light',
+    'Segoe UI Semibold', 'Segoe UI Semilight', 'Segoe UI Symbol', 'Segoe UI Variable', 'SimSun',
+    'SimSun-ExtB', 'Sitka Banner', 'Sitka Display', 'Sitka Heading', 'Sitka Small', 'Sitka Subheading',
+    'Sitka Text', 'Small Fonts', 'Sylfaen', 'Symbol', 'Tahoma', 'Yu Gothic', 'Yu Gothic UI',
+    'Arial Nova', 'Georgia Pro', 'Gill Sans Nova', 'Neue Haas Grotesk Text Pro', 'Rockwell Nova',
+    'Verdana Pro', 'Aptos', 'Aptos Display', 'Aptos Narrow', 'Modern', 'Roman', 'Script', 'System',
+    'Terminal', 'Fixedsys', 'Lucida Sans', 'Estrangelo Edessa', 'Gautami', 'Kartika', 'Latha', 'Mangal',
+    'Raavi', 'Shruti', 'Tunga', 'Vrinda', 'Iskoola Pota', 'Kalinga', 'DokChampa', 'Euphemia',
+    'Plantagenet Cherokee', 'Nyala', 'Aharoni', 'David', 'FrankRuehl', 'Miriam', 'Narkisim', 'Rod',
+    'Andalus', 'Arabic Typesetting', 'Simplified Arabic', 'Traditional Arabic', 'Sakkal Majalla',
+    'Urdu Typesetting', 'Angsana New', 'Browallia New', 'Cordia New', 'DilleniaUPC',
+  ],
+
+  macos: [
+    'American Typewriter', 'Andale Mono', 'Apple Braille', 'Apple Chancery', 'Apple Color Emoji',
+    'Apple SD Gothic Neo', 'Apple Symbols', 'AppleGothic', 'AppleMyungjo', 'Arial Hebrew',
+    'Arial Narrow', 'Arial Rounded MT Bold', 'Arial Unicode MS', 'Avenir', 'Avenir Next',
+    'Avenir Next Condensed', 'Ayuthaya', 'Baghdad', 'Bangla MN', 'Bangla Sangam MN', 'Baskerville',
+    'Beirut', 'Big Caslon', 'Bodoni 72', 'Bodoni 72 Oldstyle', 'Bodoni 72 Smallcaps',
+    'Bradley Hand', 'Brush Script MT', 'Chalkboard', 'Chalkboard SE', 'Chalkduster', 'Charter',
+    'Cochin', 'Copperplate', 'Corsiva Hebrew', 'Damascus', 'DecoType Naskh', 'Devanagari MT',
+    'Devanagari Sangam MN', 'Didot', 'DIN Alternate', 'DIN Condensed', 'Diwan Kufi', 'Diwan Thuluth',
+    'Euphemia UCAS', 'Farah', 'Farisi', 'Futura', 'Galvji', 'GB18030 Bitmap', 'Geeza Pro', 'Geneva',
+    'Gill Sans', 'Grantha Sangam MN', 'Gujarati MT', 'Gujarati Sangam MN', 'Gurmukhi MN',
+    'Gurmukhi MT', 'Gurmukhi Sangam MN', 'Heiti SC', 'Heiti TC', 'Helvetica Neue', 'Herculanum',
+    'Hiragino Kaku Gothic ProN', 'Hiragino Maru Gothic ProN', 'Hiragino Mincho ProN', 'Hiragino Sans',
+    'Hiragino Sans GB', 'Hoefler Text', 'InaiMathi', 'ITF Devanagari', 'Kailasa', 'Kannada MN',
+    'Kannada Sangam MN', 'Kefa', 'Khmer MN', 'Khmer Sangam MN', 'Kohinoor Bangla',
+    'Kohinoor Devanagari', 'Kohinoor Telugu', 'Kokonor', 'Krungthep', 'KufiStandardGK', 'Lao MN',
+    'Lao Sangam MN', 'Lucida Grande', 'Luminari', 'Malayalam MN', 'Malayalam Sangam MN',
+    'Marker Felt', 'Menlo', 'Mishafi', 'Monaco', 'Mshtakan', 'Muna', 'Myanmar MN',
+    'Myanmar Sangam MN', 'Nadeem', 'New Peninim MT', 'Noteworthy', 'Noto Nastaliq Urdu', 'Optima',
+    'Oriya MN', 'Oriya Sangam MN', 'Palatino', 'Papyrus', 'Phosphate', 'PingFang HK', 'PingFang SC',
+    'PingFang TC', 'Plantagenet Cherokee', 'PT Mono', 'PT Sans', 'PT Serif', 'Raanana', 'Rockwell',
+    'Sana', 'Sathu', 'Savoye LET', 'Shree Devanagari 714', 'SignPainter', 'Silom', 'Sinhala MN',
+    'Sinhala Sangam MN', 'Skia', 'Snell Roundhand', 'Songti SC', 'Songti TC', 'STIXGeneral',
+    'Sukhumvit Set', 'Superclarendon', 'Tamil MN', 'Tamil Sangam MN', 'Telugu MN',
+    'Telugu Sangam MN', 'Thonburi', 'Trattatello', 'Waseem', 'Zapf Dingbats', 'Zapfino',
+    'SF Pro', 'SF Pro Display', 'SF Pro Rounded', 'SF Mono', 'New York', 'Apple LiGothic',
+    'BiauKai', 'Kaiti SC', 'Lantinghei SC', 'Libian SC', 'Osaka', 'Toppan Bunkyu Gothic',
+  ],
+
+  linux: [
+    'Bitstream Charter', 'Bitstream Vera Sans', 'Bitstream Vera Sans Mono', 'Bitstream Vera Serif',
+    'C059', 'Cantarell', 'Century Schoolbook L', 'D050000L', 'DejaVu Math TeX Gyre', 'DejaVu Sans',
+    'DejaVu Sans Condensed', 'DejaVu Sans Mono', 'DejaVu Serif', 'DejaVu Serif Condensed',
+    'Droid Sans', 'Droid Sans Mono', 'Droid Serif', 'FreeMono', 'FreeSans', 'FreeSerif',
+    'Hack', 'Inconsolata', 'Liberation Mono', 'Liberation Sans', 'Liberation Sans Narrow',
+    'Liberation Serif', 'Linux Biolinum G', 'Linux Libertine G', 'Linux Libertine O', 'Lato',
+    'Nimbus Mono L', 'Nimbus Mono PS', 'Nimbus Roman', 'Nimbus Roman No9 L', 'Nimbus Sans',
+    'Nimbus Sans L', 'Nimbus Sans Narrow', 'Noto Color Emoji', 'Noto Mono', 'Noto Sans',
+    'Noto Sans Arabic', 'Noto Sans Devanagari', 'Noto Sans Hebrew', 'Noto Sans Mono',
+    'Noto Sans Symbols', 'Noto Sans Symbols2', 'Noto Sans Thai', 'Noto Serif', 'Open Sans',
+    'Overpass', 'Oxygen', 'Oxygen Mono', 'P052', 'Red Hat Display', 'Red Hat Mono', 'Red Hat Text',
+    'Source Code Pro', 'Source Sans Pro', 'Source Serif Pro', 'Standard Symbols PS', 'TeX Gyre Adventor',
+    'TeX Gyre Bonum', 'TeX Gyre Chorus', 'TeX Gyre Cursor', 'TeX Gyre Heros', 'TeX Gyre Pagella',
+    'TeX Gyre Schola', 'TeX Gyre Termes', 'Ubuntu', 'Ubuntu Condensed', 'Ubuntu Mono', 'Ubuntu Sans',
+    'Ubuntu Sans Mono', 'URW Bookman', 'URW Gothic', 'URW Palladio L', 'Z003', 'Fira Code',
+    'Fira Mono', 'Fira Sans', 'Noto Sans Mono CJK SC', 'Comfortaa', 'Abyssinica SIL', 'Padauk',
+    'Lohit Devanagari', 'Lohit Tamil', 'Lohit Bengali', 'Khmer OS', 'Jamrul', 'Kacst Book',
+  ],
+
+  mobile: [
+    'Roboto', 'Roboto Condensed', 'Roboto Mono', 'Roboto Slab', 'Google Sans', 'Product Sans',
+    'Dancing Script', 'Coming Soon', 'Cutive Mono', 'Carrois Gothic SC',
+    'Samsung Sans', 'SamsungOne', 'SEC Roboto Light', 'MiSans', 'HarmonyOS Sans', 'OPPOSans',
+    'Clock2017L', 'NanumGothic', 'Android Emoji',
+  ],
+
+  cjk: [
+    'BIZ UDGothic', 'BIZ UDMincho', 'BIZ UDPGothic', 'BIZ UDPMincho', 'DengXian', 'DFKai-SB',
+    'FangSong', 'Gulim', 'GulimChe', 'Dotum', 'DotumChe', 'Batang', 'BatangChe', 'Gungsuh',
+    'KaiTi', 'Meiryo', 'Meiryo UI', 'MingLiU', 'MingLiU_HKSCS', 'MS Mincho', 'MS PMincho', 'NSimSun',
+    'PMingLiU', 'SimHei', 'SimKai', 'STFangsong', 'STHeiti', 'STKaiti', 'STSong', 'STXihei',
+    'UD Digi Kyokasho N-R', 'Yu Mincho', 'YuGothic', 'YuMincho', 'Noto Sans CJK JP',
+    'Noto Sans CJK KR', 'Noto Sans CJK SC', 'Noto Sans CJK TC', 'Noto Serif CJK JP',
+    'Noto Serif CJK KR', 'Noto Serif CJK SC', 'Noto Serif CJK TC', 'Noto Sans JP', 'Noto Sans KR',
+    'Noto Sans SC', 'Noto Sans TC', 'Source Han Sans', 'Source Han Serif', 'WenQuanYi Micro Hei',
+    'WenQuanYi Zen Hei', 'AR PL UMing CN', 'AR PL UKai CN', 'IPAGothic', 'IPAMincho', 'IPAPGothic',
+    'IPAexGothic', 'IPAexMincho', 'TakaoGothic', 'TakaoPGothic', 'VL Gothic', 'UnDotum', 'UnBatang',
+    'Baekmuk Dotum', 'Nanum Gothic', 'Nanum Myeongjo', 'NanumBarunGothic', 'Malgun Gothic Semilight',
+    'Microsoft JhengHei Light', 'Microsoft YaHei Light', 'Hiragino Kaku Gothic Pro', 'Osaka-Mono',
+  ],
+
+  office: [
+    'Agency FB', 'Algerian', 'Baskerville Old Face', 'Bauhaus 93', 'Bell MT', 'Berlin Sans FB',
+    'Bernard MT Condensed', 'Blackadder ITC', 'Bodoni MT', 'Book Antiqua', 'Bookman Old Style',
+    'Bookshelf Symbol 7', 'Bradley Hand ITC', 'Britannic Bold', 'Broadway', 'Calisto MT', 'Castellar',
+    'Centaur', 'Century', 'Century Gothic', 'Century Schoolbook', 'Chiller', 'Colonna MT',
+    'Cooper Black', 'Copperplate Gothic Bold', 'Curlz MT', 'Edwardian Script ITC', 'Elephant',
+    'Engravers MT', 'Eras Bold ITC', 'Felix Titling', 'Footlight MT Light', 'Forte',
+    'Franklin Gothic Book', 'Freestyle Script', 'French Script MT', 'Garamond', 'Gigi',
+    'Gill Sans MT', 'Gloucester MT Extra Condensed', 'Goudy Old Style', 'Goudy Stout', 'Haettenschweiler',
+    'Harlow Solid Italic', 'Harrington', 'High Tower Text', 'Imprint MT Shadow', 'Informal Roman',
+    'Jokerman', 'Juice ITC', 'Kristen ITC', 'Kunstler Script', 'Lucida Bright', 'Lucida Calligraphy',
+    'Lucida Fax', 'Lucida Handwriting', 'Magneto', 'Maiandra GD', 'Matura MT Script Capitals',
+    'Mistral', 'Modern No. 20', 'Monotype Corsiva', 'MS Outlook', 'MS Reference Sans Serif',
+    'MS Reference Specialty', 'MT Extra', 'Niagara Engraved', 'OCR A Extended', 'Old English Text MT',
+    'Onyx', 'Palace Script MT', 'Parchment', 'Perpetua', 'Playbill', 'Poor Richard', 'Pristina',
+    'Rage Italic', 'Ravie', 'Rockwell Condensed', 'Script MT Bold', 'Showcard Gothic', 'Snap ITC',
+    'Stencil', 'Tempus Sans ITC', 'Tw Cen MT', 'Viner Hand ITC', 'Vivaldi', 'Vladimir Script',
+    'Wide Latin', 'Wingdings 2', 'Wingdings 3', 'Adobe Caslon Pro', 'Adobe Garamond Pro',
+    'Minion Pro', 'Myriad Pro', 'Source Sans 3', 'Acumin Pro', 'Kozuka Gothic Pro', 'Kozuka Mincho Pro',
+  ],
+};
+
+// Dictionaries tested on each platform, most likely first
+const PLATFORM_LISTS = {
+  windows: ['common', 'windows', 'cjk', 'office'],
+  macos: ['common', 'macos', 'cjk', 'office'],
+  linux: ['common', 'linux', 'cjk', 'office'],
+  android: ['common', 'mobile', 'linux', 'cjk'],
+  ios: ['common', 'macos', 'cjk'],
+};
+
+/**
+ * Platform family from navigator.platform, the user agent and
+ * navigator.maxTouchPoints
+ */
+export function fontPlatform(platform = '', userAgent = '', maxTouchPoints = 0) {
+  const value = `${platform} ${userAgent}`.toLowerCase();
+
+  // Order matters: Android reports Linux, and iPadOS reports "MacIntel" and
+  // "Macintosh" like a Mac but has a touch screen
+  if (/android/.test(value)) return 'android';
+  if (/iphone|ipad|ipod/.test(value)) return 'ios';
+  if (/win/.test(value)) return 'windows';
+  if (/mac/.test(value)) return maxTouchPoints > 1 ? 'ios' : 'macos';
+  return 'linux';
+}
+
+/**
+ * De-duplicated font names to test on a platform
+ * @param {string} platform - Key of PLATFORM_LISTS (see fontPlatform)
+ * @param {string[]} [extraFonts] - Additional fonts to test
+ */
+export function fontsForPlatform(platform, extraFonts = []) {
+  const lists = PLATFORM_LISTS[platform] || Object.keys(FONT_LISTS);
+  return [...new Set([...lists.flatMap(list => FONT_LISTS[list]), ...extraFonts])];
+}
+
+export default FONT_LISTS;
@@ -0,0 +1,62 @@
+/**
+ * Tests for the font dictionaries and platform selection
+ */
+
+import { FONT_LISTS, fontPlatform, fontsForPlatform } from './font-lists.js';
+
+const USER_AGENTS = {
+  windows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  mac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15',
+  linux: 'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0',
+  android: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  iphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+};
+
+describe('fontPlatform', () => {
+  it('should detect desktop platforms', () => {
+    expect(fontPlatform('Win32', USER_AGENTS.windows)).toBe('windows');
+    expect(fontPlatform('MacIntel', USER_AGENTS.mac)).toBe('macos');
+    expect(fontPlatform('Linux x86_64', USER_AGENTS.linux)).toBe('linux');
+  });
+
+  it('should detect Android before Linux and iOS before macOS', () => {
+    expect(fontPlatform('Linux armv8l', USER_AGENTS.android)).toBe('android');
+    expect(fontPlatform('iPhone', USER_AGENTS.iphone)).toBe('ios');
+  });
+
+  it('should detect iPadOS reporting a Mac by its touch points', () => {
+    expect(fontPlatform('MacIntel', USER_AGENTS.mac, 5)).toBe('ios');
+    expect(fontPlatform('MacIntel', USER_AGENTS.mac, 0)).toBe('macos');
+  });
+
+  it('should fall back to Linux for unknown platforms', () => {
+    expect(fontPlatform()).toBe('linux');
+    expect(fontPlatform('FreeBSD amd64', '')).toBe('linux');
+  });
+});
+
+describe('fontsForPlatform', () => {
+  it('should test the platform dictionaries, common fonts first', () => {
+    const fonts = fontsForPlatform('windows');
+
+    expect(fonts.slice(0, FONT_LISTS.common.length)).toEqual(FONT_LISTS.common);
+    expect(fonts).toEqual(expect.arrayContaining(FONT_LISTS.windows));
+    expect(fonts).not.toContain('Ubuntu');
+  });
+
+  it('should de-duplicate fonts and append extra fonts', () => {
+    const fonts = fontsForPlatform('macos', ['Arial', 'Company Sans']);
+
+    expect(new Set(fonts).size).toBe(fonts.length);
+    expect(fonts[fonts.length - 1]).toBe('Company Sans');
+    expect(fonts.filter(font => font === 'Arial')).toHaveLength(1);
+  });
+
+  it('should test every dictionary for unknown platforms', () => {
+    const fonts = fontsForPlatform('unknown');
+
+    for (const list of Object.values(FONT_LISTS)) {
+      expect(fonts).toEqual(expect.arrayContaining(list));
+    }
+  });
+});
@@ -5,6 +5,7 @@
 
 export { UUIDManager } from './uuid.js';
 export { DeviceFingerprint } from './fingerprint.js';
+export { FONT_LISTS, fontsForPlatform } from './font-lists.js';
 export { APIClient } from './api-client.js';
 
 /**
@@ -0,0 +1,30 @@
+-- IKY Database Schema - Migration 003
+-- Add GeoIP/ASN enrichment columns to device profiles
+
+-- ============================================================================
+-- Add ASN and coordinates to user_device_profiles
+-- (country, city and isp already exist)
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS asn INTEGER,
+ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6),
+ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6);
+
+-- Create index for country aggregation in admin listings
+CREATE INDEX IF NOT EXISTS idx_device_profiles_country ON user_device_profiles(country);
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.country IS 'ISO 3166-1 alpha-2 country code from offline GeoIP lookup';
+COMMENT ON COLUMN user_device_profiles.asn IS 'Autonomous system number from offline ASN lookup';
+COMMENT ON COLUMN user_device_profiles.isp IS 'ISP or autonomous system organization';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ GeoIP enrichment migration completed';
+    RAISE NOTICE '✓ Added asn, latitude and longitude to user_device_profiles';
+END $$;
@@ -0,0 +1,37 @@
+-- IKY Database Schema - Migration 004
+-- MinHash/LSH signatures for scalable similarity search
+
+-- ============================================================================
+-- Table: device_profile_lsh
+-- Purpose: One MinHash signature per device profile, split into banded
+--          bucket keys ("<band>:<hash>") for near-duplicate candidate lookup
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS device_profile_lsh (
+    device_profile_id UUID PRIMARY KEY REFERENCES user_device_profiles(id) ON DELETE CASCADE,
+    scheme VARCHAR(50) NOT NULL, -- e.g. 'minhash-v1:16x4' (version, bands x rows)
+    signature INTEGER[] NOT NULL,
+    bucket_keys TEXT[] NOT NULL,
+    token_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- GIN index for bucket overlap queries (bucket_keys && $1)
+CREATE INDEX IF NOT EXISTS idx_device_profile_lsh_buckets ON device_profile_lsh USING GIN(bucket_keys);
+CREATE INDEX IF NOT EXISTS idx_device_profile_lsh_scheme ON device_profile_lsh(scheme);
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON TABLE device_profile_lsh IS 'MinHash/LSH signatures of device profiles for sub-linear similarity search';
+COMMENT ON COLUMN device_profile_lsh.bucket_keys IS 'Banded LSH bucket keys; profiles sharing a key are near-duplicate candidates';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ LSH index migration completed';
+    RAISE NOTICE '✓ Created device_profile_lsh table';
+    RAISE NOTICE '✓ Run "pnpm run lsh:backfill" to index existing device profiles';
+END $$;
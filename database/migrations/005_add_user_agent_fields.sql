@@ -0,0 +1,81 @@
+-- IKY Database Schema - Migration 005
+-- Store parsed user-agent fields (browser, engine, OS, device) on device profiles
+
+-- ============================================================================
+-- Add parsed user-agent columns to user_device_profiles
+-- Existing rows are filled by `pnpm run ua:backfill` (server/)
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS browser_name VARCHAR(100),
+ADD COLUMN IF NOT EXISTS browser_version VARCHAR(50),
+ADD COLUMN IF NOT EXISTS engine_name VARCHAR(50),
+ADD COLUMN IF NOT EXISTS engine_version VARCHAR(50),
+ADD COLUMN IF NOT EXISTS os_name VARCHAR(100),
+ADD COLUMN IF NOT EXISTS os_version VARCHAR(50),
+ADD COLUMN IF NOT EXISTS device_type VARCHAR(20),
+ADD COLUMN IF NOT EXISTS device_vendor VARCHAR(100),
+ADD COLUMN IF NOT EXISTS device_model VARCHAR(100);
+
+-- Indexes for browser/OS aggregation in admin listings
+CREATE INDEX IF NOT EXISTS idx_device_profiles_browser_name ON user_device_profiles(browser_name);
+CREATE INDEX IF NOT EXISTS idx_device_profiles_os_name ON user_device_profiles(os_name);
+
+-- ============================================================================
+-- Extend views with the parsed fields (new columns are appended)
+-- ============================================================================
+CREATE OR REPLACE VIEW v_active_user_devices AS
+SELECT 
+    ui.user_identity_id,
+    ui.last_seen_at as user_last_seen,
+    udp.device_session_id,
+    udp.client_uuid,
+    udp.platform,
+    udp.user_agent,
+    udp.last_seen_at as device_last_seen,
+    udp.visit_count,
+    udp.ip_address,
+    udp.country,
+    udp.city,
+    udp.browser_name,
+    udp.browser_version,
+    udp.os_name,
+    udp.os_version,
+    udp.device_type
+FROM user_identities ui
+JOIN user_device_profiles udp ON ui.id = udp.user_identity_id
+WHERE ui.is_active = true AND udp.is_current = true;
+
+CREATE OR REPLACE VIEW v_user_statistics AS
+SELECT 
+    ui.user_identity_id,
+    ui.created_at,
+    ui.last_seen_at,
+    ui.total_sessions,
+    ui.total_devices,
+    COUNT(DISTINCT udp.id) as active_devices,
+    COUNT(dch.id) as total_changes,
+    MAX(dch.detected_at) as last_change_at,
+    array_remove(array_agg(DISTINCT udp.browser_name), NULL) as browsers,
+    array_remove(array_agg(DISTINCT udp.os_name), NULL) as operating_systems,
+    array_remove(array_agg(DISTINCT udp.device_type), NULL) as device_types
+FROM user_identities ui
+LEFT JOIN user_device_profiles udp ON ui.id = udp.user_identity_id AND udp.is_current = true
+LEFT JOIN device_change_history dch ON ui.id = dch.user_identity_id
+WHERE ui.is_active = true
+GROUP BY ui.id, ui.user_identity_id, ui.created_at, ui.last_seen_at, ui.total_sessions, ui.total_devices;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.browser_name IS 'Browser parsed from user_agent (e.g. Chrome, Edge, Opera, Safari)';
+COMMENT ON COLUMN user_device_profiles.os_name IS 'Operating system parsed from user_agent (e.g. Windows, macOS, iOS, Android)';
+COMMENT ON COLUMN user_device_profiles.device_type IS 'desktop, mobile, tablet, smarttv or console';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ User-agent fields migration completed';
+    RAISE NOTICE '✓ Added browser, engine, OS and device columns to user_device_profiles';
+END $$;
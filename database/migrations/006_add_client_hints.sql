@@ -0,0 +1,26 @@
+-- IKY Database Schema - Migration 006
+-- Store User-Agent Client Hints on device profiles
+
+-- ============================================================================
+-- Add client hint columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS cpu_architecture VARCHAR(20),
+ADD COLUMN IF NOT EXISTS cpu_bitness VARCHAR(10),
+ADD COLUMN IF NOT EXISTS client_hints JSONB;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.cpu_architecture IS 'CPU architecture from the Sec-CH-UA-Arch hint (e.g. x86, arm)';
+COMMENT ON COLUMN user_device_profiles.cpu_bitness IS 'CPU bitness from the Sec-CH-UA-Bitness hint (e.g. 64)';
+COMMENT ON COLUMN user_device_profiles.client_hints IS 'User-Agent Client Hints merged from Sec-CH-UA-* headers and navigator.userAgentData';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Client hints migration completed';
+    RAISE NOTICE '✓ Added cpu_architecture, cpu_bitness and client_hints to user_device_profiles';
+END $$;
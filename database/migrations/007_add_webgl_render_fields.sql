@@ -0,0 +1,27 @@
+-- IKY Database Schema - Migration 007
+-- Store WebGL rendering and parameter fingerprints on device profiles
+
+-- ============================================================================
+-- Add WebGL fingerprint columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS webgl_render_hash VARCHAR(64),
+ADD COLUMN IF NOT EXISTS webgl_parameters_hash VARCHAR(64);
+
+-- Index for looking up devices by rendered scene
+CREATE INDEX IF NOT EXISTS idx_device_profiles_webgl_render_hash ON user_device_profiles(webgl_render_hash);
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.webgl_render_hash IS 'SHA-256 hash of the pixels of a WebGL scene rendered by the client';
+COMMENT ON COLUMN user_device_profiles.webgl_parameters_hash IS 'SHA-256 hash of WebGL parameters, shader precision formats and WebGL2 limits';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ WebGL render fingerprint migration completed';
+    RAISE NOTICE '✓ Added webgl_render_hash and webgl_parameters_hash to user_device_profiles';
+END $$;
@@ -0,0 +1,30 @@
+-- IKY Database Schema - Migration 008
+-- Store WebGPU adapter information on device profiles
+
+-- ============================================================================
+-- Add WebGPU columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS webgpu_vendor VARCHAR(100),
+ADD COLUMN IF NOT EXISTS webgpu_architecture VARCHAR(100),
+ADD COLUMN IF NOT EXISTS webgpu_device VARCHAR(100),
+ADD COLUMN IF NOT EXISTS webgpu_description VARCHAR(255),
+ADD COLUMN IF NOT EXISTS webgpu_capabilities_hash VARCHAR(64);
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.webgpu_vendor IS 'WebGPU adapter vendor (GPUAdapterInfo.vendor)';
+COMMENT ON COLUMN user_device_profiles.webgpu_architecture IS 'WebGPU adapter architecture (GPUAdapterInfo.architecture)';
+COMMENT ON COLUMN user_device_profiles.webgpu_device IS 'WebGPU adapter device identifier, usually empty';
+COMMENT ON COLUMN user_device_profiles.webgpu_description IS 'WebGPU adapter description, usually empty';
+COMMENT ON COLUMN user_device_profiles.webgpu_capabilities_hash IS 'SHA-256 hash of the sorted WebGPU adapter features and limits';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ WebGPU migration completed';
+    RAISE NOTICE '✓ Added webgpu_* columns to user_device_profiles';
+END $$;
@@ -0,0 +1,26 @@
+-- IKY Database Schema - Migration 009
+-- Store audio output attributes reported alongside the audio fingerprint
+
+-- ============================================================================
+-- Add audio attribute columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS audio_sample_rate INTEGER,
+ADD COLUMN IF NOT EXISTS audio_channel_count SMALLINT,
+ADD COLUMN IF NOT EXISTS audio_base_latency DECIMAL(8, 6);
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.audio_sample_rate IS 'Output sample rate of the default AudioContext (Hz)';
+COMMENT ON COLUMN user_device_profiles.audio_channel_count IS 'Maximum channel count of the audio destination';
+COMMENT ON COLUMN user_device_profiles.audio_base_latency IS 'AudioContext.baseLatency in seconds';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Audio attributes migration completed';
+    RAISE NOTICE '✓ Added audio_sample_rate, audio_channel_count, audio_base_latency to user_device_profiles';
+END $$;
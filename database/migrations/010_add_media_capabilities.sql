@@ -0,0 +1,26 @@
+-- IKY Database Schema - Migration 010
+-- Store media codec support and speech synthesis voices on device profiles
+
+-- ============================================================================
+-- Add media capability columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS media_capabilities_hash VARCHAR(64),
+ADD COLUMN IF NOT EXISTS speech_voices_hash VARCHAR(64),
+ADD COLUMN IF NOT EXISTS speech_voices_count INTEGER;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.media_capabilities_hash IS 'SHA-256 hash of canPlayType/MediaSource codec support and mediaCapabilities decoding flags';
+COMMENT ON COLUMN user_device_profiles.speech_voices_hash IS 'SHA-256 hash of the sorted speechSynthesis voice names';
+COMMENT ON COLUMN user_device_profiles.speech_voices_count IS 'Number of speechSynthesis voices';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Media capabilities migration completed';
+    RAISE NOTICE '✓ Added media_capabilities_hash, speech_voices_hash, speech_voices_count to user_device_profiles';
+END $$;
@@ -0,0 +1,38 @@
+-- IKY Database Schema - Migration 011
+-- Store CSS media features (user preferences and display/input capabilities)
+
+-- ============================================================================
+-- Add CSS media feature columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS css_color_scheme VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_reduced_motion VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_forced_colors VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_inverted_colors VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_color_gamut VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_dynamic_range VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_pointer VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_hover VARCHAR(20),
+ADD COLUMN IF NOT EXISTS css_monochrome SMALLINT;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.css_color_scheme IS 'prefers-color-scheme: dark or light (user preference)';
+COMMENT ON COLUMN user_device_profiles.css_reduced_motion IS 'prefers-reduced-motion: reduce or no-preference (user preference)';
+COMMENT ON COLUMN user_device_profiles.css_forced_colors IS 'forced-colors: active or none (user preference)';
+COMMENT ON COLUMN user_device_profiles.css_inverted_colors IS 'inverted-colors: inverted or none (user preference)';
+COMMENT ON COLUMN user_device_profiles.css_color_gamut IS 'color-gamut: rec2020, p3 or srgb';
+COMMENT ON COLUMN user_device_profiles.css_dynamic_range IS 'dynamic-range: high or standard';
+COMMENT ON COLUMN user_device_profiles.css_pointer IS 'pointer: fine, coarse or none (primary input)';
+COMMENT ON COLUMN user_device_profiles.css_hover IS 'hover: hover or none (primary input)';
+COMMENT ON COLUMN user_device_profiles.css_monochrome IS 'monochrome bit depth, 0 on color displays';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ CSS media features migration completed';
+    RAISE NOTICE '✓ Added css_* columns to user_device_profiles';
+END $$;
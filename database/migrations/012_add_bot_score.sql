@@ -0,0 +1,30 @@
+-- IKY Database Schema - Migration 012
+-- Record the bot score of each identification attempt
+
+-- ============================================================================
+-- Add bot detection columns to identity_matching_logs
+-- ============================================================================
+ALTER TABLE identity_matching_logs
+ADD COLUMN IF NOT EXISTS bot_score DECIMAL(5,4),
+ADD COLUMN IF NOT EXISTS bot_signals TEXT[];
+
+-- Find likely bots quickly
+CREATE INDEX IF NOT EXISTS idx_matching_logs_bot_score
+ON identity_matching_logs(bot_score DESC)
+WHERE bot_score IS NOT NULL;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN identity_matching_logs.bot_score IS 'Headless/automation score (0-1) computed from the client bot signals';
+COMMENT ON COLUMN identity_matching_logs.bot_signals IS 'Bot signals present in the request (webdriver, headlessUserAgent, ...)';
+COMMENT ON COLUMN identity_matching_logs.match_status IS 'recognized, recovered, new, blocked (bot refused), failed';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Bot score migration completed';
+    RAISE NOTICE '✓ Added bot_score, bot_signals to identity_matching_logs';
+END $$;
@@ -0,0 +1,31 @@
+-- IKY Database Schema - Migration 013
+-- Store touch support and the result of the anti-spoofing consistency rules
+
+-- ============================================================================
+-- Add consistency columns to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS max_touch_points SMALLINT,
+ADD COLUMN IF NOT EXISTS tamper_score DECIMAL(5,4),
+ADD COLUMN IF NOT EXISTS tamper_rules TEXT[];
+
+-- Find tampered profiles quickly
+CREATE INDEX IF NOT EXISTS idx_device_profiles_tamper_score
+ON user_device_profiles(tamper_score DESC)
+WHERE tamper_score > 0;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.max_touch_points IS 'navigator.maxTouchPoints';
+COMMENT ON COLUMN user_device_profiles.tamper_score IS 'Sum of the weights of triggered consistency rules (0-1)';
+COMMENT ON COLUMN user_device_profiles.tamper_rules IS 'Ids of the triggered consistency rules (see consistency-rules.js)';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Tamper score migration completed';
+    RAISE NOTICE '✓ Added max_touch_points, tamper_score, tamper_rules to user_device_profiles';
+END $$;
@@ -0,0 +1,26 @@
+-- IKY Database Schema - Migration 014
+-- Mark fingerprint components randomized by privacy browsers
+
+-- ============================================================================
+-- Add unstable component list to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS unstable_components TEXT[] DEFAULT '{}';
+
+-- Find devices running with fingerprint protection
+CREATE INDEX IF NOT EXISTS idx_device_profiles_unstable_components
+ON user_device_profiles USING GIN(unstable_components);
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.unstable_components IS 'Components whose readbacks the browser randomizes (canvas, audio); excluded from exact matching';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Unstable components migration completed';
+    RAISE NOTICE '✓ Added unstable_components to user_device_profiles';
+END $$;
@@ -0,0 +1,22 @@
+-- IKY Database Schema - Migration 015
+-- Record navigator properties that differ between the page and a worker
+
+-- ============================================================================
+-- Add worker mismatch list to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS worker_mismatches TEXT[] DEFAULT '{}';
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.worker_mismatches IS 'Navigator properties (userAgent, platform, ...) that differ between the page and a dedicated worker; a sign of spoofing';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Worker mismatches migration completed';
+    RAISE NOTICE '✓ Added worker_mismatches to user_device_profiles';
+END $$;
@@ -0,0 +1,26 @@
+-- IKY Database Schema - Migration 016
+-- Flag device sessions running in private/incognito windows
+
+-- ============================================================================
+-- Add private mode flag to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS private_mode BOOLEAN;
+
+-- Find ephemeral sessions
+CREATE INDEX IF NOT EXISTS idx_device_profiles_private_mode
+ON user_device_profiles(private_mode) WHERE private_mode = true;
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.private_mode IS 'Client estimate that the session runs in a private/incognito window (storage wiped on close); NULL when unknown';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Private mode migration completed';
+    RAISE NOTICE '✓ Added private_mode to user_device_profiles';
+END $$;
@@ -0,0 +1,22 @@
+-- IKY Database Schema - Migration 017
+-- Remember which fields a visit could not collect
+
+-- ============================================================================
+-- Add missing field list to user_device_profiles
+-- ============================================================================
+ALTER TABLE user_device_profiles
+ADD COLUMN IF NOT EXISTS missing_fields TEXT[] DEFAULT '{}';
+
+-- ============================================================================
+-- Add comments
+-- ============================================================================
+COMMENT ON COLUMN user_device_profiles.missing_fields IS 'Fields of components that timed out or returned partial results on this visit; not compared by change detection';
+
+-- ============================================================================
+-- Completion Message
+-- ============================================================================
+DO $$
+BEGIN
+    RAISE NOTICE '✓ Missing fields migration completed';
+    RAISE NOTICE '✓ Added missing_fields to user_device_profiles';
+END $$;
@@ -38,6 +38,9 @@ router.get('/uuids', isAdmin, async (req, res) => {
         COUNT(DISTINCT udp.device_session_id) as session_count,
         MAX(udp.last_seen_at) as last_device_seen,
         array_agg(DISTINCT udp.platform) as platforms,
+        array_agg(DISTINCT udp.browser_name) as browsers,
+        array_agg(DISTINCT udp.os_name) as operating_systems,
+        array_agg(DISTINCT udp.device_type) as device_types,
         array_agg(DISTINCT udp.country) as countries
       FROM user_device_profiles udp
       JOIN user_identities ui ON udp.user_identity_id = ui.id
@@ -89,10 +92,21 @@ router.get('/uuids/:uuid', isAdmin, async (req, res) => {
         ui.is_active,
         udp.platform,
         udp.user_agent,
+        udp.browser_name,
+        udp.browser_version,
+        udp.engine_name,
+        udp.engine_version,
+        udp.os_name,
+        udp.os_version,
+        udp.device_type,
+        udp.device_vendor,
+        udp.device_model,
         udp.language,
         udp.timezone,
         udp.country,
         udp.city,
+        udp.isp,
+        udp.asn,
         udp.ip_address,
         udp.first_seen_at,
         udp.last_seen_at,
@@ -299,11 +313,30 @@ router.get('/users/:userId/profile', isAdmin, async (req, res) => {
         client_uuid,
         platform,
         user_agent,
+        browser_name,
+        browser_version,
+        engine_name,
+        engine_version,
+        os_name,
+        os_version,
+        device_type,
+        device_vendor,
+        device_model,
         language,
         timezone,
         country,
         city,
+        isp,
+        asn,
+        latitude,
+        longitude,
         ip_address,
+        tamper_score,
+        tamper_rules,
+        unstable_components,
+        worker_mismatches,
+        private_mode,
+        COALESCE(cardinality(unstable_components), 0) > 0 AS fingerprint_protection,
         first_seen_at,
         last_seen_at,
         is_current,
@@ -321,6 +354,8 @@ router.get('/users/:userId/profile', isAdmin, async (req, res) => {
         change_category,
         change_summary,
         changed_fields,
+        previous_values,
+        new_values,
         match_confidence,
         detected_at
       FROM device_change_history
@@ -337,6 +372,8 @@ router.get('/users/:userId/profile', isAdmin, async (req, res) => {
         match_method,
         match_confidence,
         processing_time_ms,
+        bot_score,
+        bot_signals,
         attempted_at
       FROM identity_matching_logs
       WHERE user_identity_id = $1
@@ -370,6 +407,7 @@ router.get('/users/:userId/profile', isAdmin, async (req, res) => {
         active_devices: devicesResult.rows.filter(d => d.is_current).length,
         countries_visited: [...new Set(devicesResult.rows.map(d => d.country).filter(Boolean))],
         platforms_used: [...new Set(devicesResult.rows.map(d => d.platform).filter(Boolean))],
+        protected_devices: devicesResult.rows.filter(d => d.fingerprint_protection).map(d => d.device_session_id),
         total_changes: changesResult.rows.length,
         total_visits: devicesResult.rows.reduce((sum, d) => sum + (d.visit_count || 0), 0),
       },
@@ -3,15 +3,21 @@
  */
 import express from 'express';
 import IdentityService from '../services/identity-service.js';
+import { createRequestContextBuilder } from '../utils/request-context.js';
+import { ACCEPT_CH } from '../services/client-hints.js';
 
 const router = express.Router();
 const identityService = new IdentityService();
+const buildRequestContext = createRequestContextBuilder();
 
 /**
  * POST /api/v1/identify
  * Identify or create user based on client UUID and device fingerprint
  */
 router.post('/identify', async (req, res) => {
+  // Ask Chromium browsers for the high-entropy UA hints on later requests
+  res.set('Accept-CH', ACCEPT_CH);
+
   try {
     const { client_uuid, device_info } = req.body;
 
@@ -24,7 +30,8 @@ router.post('/identify', async (req, res) => {
     }
 
     // Perform identification
-    const result = await identityService.identify(client_uuid, device_info);
+    const context = buildRequestContext(req);
+    const result = await identityService.identify(client_uuid, device_info, context);
 
     res.json({
       success: true,
@@ -32,6 +39,15 @@ router.post('/identify', async (req, res) => {
     });
 
   } catch (error) {
+    // New-user creation refused for a likely bot (BOT_NEW_USER_ACTION=block)
+    if (error.code === 'BOT_DETECTED') {
+      return res.status(403).json({
+        success: false,
+        error: 'Automated browser detected',
+        message: error.message,
+      });
+    }
+
     console.error('Identify endpoint error:', error);
     res.status(500).json({
       success: false,
@@ -143,10 +159,8 @@ router.post('/devices/compare', async (req, res) => {
     const device2 = device2Result.rows[0];
 
     // Calculate similarity
-    const { FingerprintMatcher } = await import('../services/fingerprint-matcher.js');
-    const matcher = new FingerprintMatcher();
-    const similarity = matcher.calculateSimilarity(device1, device2);
-    const changes = matcher.detectChanges(device1, device2);
+    const similarity = identityService.matcher.calculateSimilarity(device1, device2);
+    const changes = identityService.matcher.detectChanges(device1, device2);
 
     res.json({
       success: true,
@@ -0,0 +1,56 @@
+/**
+ * Bot detection
+ * Combines the headless/automation signals collected by the client (`bot`
+ * component) and the WebGL renderer into a bot score between 0 and 1
+ */
+
+// Weight of each signal; the score is their sum, capped at 1. Signals that
+// real browsers also show (DevTools open, software rendering in VMs, no
+// plugins) weigh too little to reach the threshold alone
+export const BOT_SIGNAL_WEIGHTS = {
+  webdriver: 0.9,
+  headlessUserAgent: 0.9,
+  automationGlobals: 0.9,
+  softwareRenderer: 0.4,
+  chromeObjectMissing: 0.4,
+  noLanguages: 0.3,
+  permissionsInconsistent: 0.3,
+  cdp: 0.3,
+  languageMismatch: 0.2,
+  noPlugins: 0.1,
+};
+
+// WebGL renderers of software rasterizers used by headless browsers
+const SOFTWARE_RENDERER_PATTERN = /swiftshader|llvmpipe|softpipe|mesa offscreen|software rasterizer/i;
+
+/**
+ * Names of the bot signals present in the device info
+ */
+export function botSignals(deviceInfo) {
+  const bot = deviceInfo?.bot && typeof deviceInfo.bot === 'object' ? deviceInfo.bot : {};
+  const signals = Object.keys(BOT_SIGNAL_WEIGHTS).filter(name => {
+    const value = bot[name];
+    return Array.isArray(value) ? value.length > 0 : value === true;
+  });
+
+  if (SOFTWARE_RENDERER_PATTERN.test(deviceInfo?.webgl?.renderer || '')) {
+    signals.push('softwareRenderer');
+  }
+
+  return signals;
+}
+
+/**
+ * Bot score (0-1) and the signals that contributed to it
+ */
+export function scoreBot(deviceInfo) {
+  const signals = botSignals(deviceInfo);
+  const total = signals.reduce((sum, name) => sum + BOT_SIGNAL_WEIGHTS[name], 0);
+
+  return {
+    score: Math.round(Math.min(total, 1) * 10000) / 10000,
+    signals,
+  };
+}
+
+export default { BOT_SIGNAL_WEIGHTS, botSignals, scoreBot };
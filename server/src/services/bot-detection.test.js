@@ -0,0 +1,41 @@
+/**
+ * Tests for bot detection scoring
+ */
+
+import { BOT_SIGNAL_WEIGHTS, botSignals, scoreBot } from './bot-detection.js';
+
+describe('bot detection', () => {
+  it('should score a regular browser as 0', () => {
+    const deviceInfo = {
+      bot: { webdriver: false, headlessUserAgent: false, automationGlobals: [], noPlugins: false },
+      webgl: { renderer: 'ANGLE (NVIDIA GeForce RTX 3060)' },
+    };
+
+    expect(scoreBot(deviceInfo)).toEqual({ score: 0, signals: [] });
+  });
+
+  it('should treat a missing bot component as no signals', () => {
+    expect(scoreBot({})).toEqual({ score: 0, signals: [] });
+    expect(scoreBot({ bot: 'timeout' })).toEqual({ score: 0, signals: [] });
+  });
+
+  it('should count automation globals and software renderers', () => {
+    const deviceInfo = {
+      bot: { automationGlobals: ['__pwInitScripts'] },
+      webgl: { renderer: 'llvmpipe (LLVM 15.0.7, 256 bits)' },
+    };
+
+    expect(botSignals(deviceInfo)).toEqual(['automationGlobals', 'softwareRenderer']);
+  });
+
+  it('should keep weak signals below the default threshold', () => {
+    const { score } = scoreBot({ bot: { cdp: true, noPlugins: true, languageMismatch: true } });
+
+    expect(score).toBeCloseTo(BOT_SIGNAL_WEIGHTS.cdp + BOT_SIGNAL_WEIGHTS.noPlugins + BOT_SIGNAL_WEIGHTS.languageMismatch, 10);
+    expect(score).toBeLessThan(0.7);
+  });
+
+  it('should cap the score at 1', () => {
+    expect(scoreBot({ bot: { webdriver: true, headlessUserAgent: true } }).score).toBe(1);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * User-Agent Client Hints
+ * Parses the Sec-CH-UA-* request headers, merges them with the hints the
+ * client collected through navigator.userAgentData and applies them to the
+ * fields parsed from the (frozen) user-agent string
+ */
+
+// Hints requested from the browser with Accept-CH
+export const ACCEPT_CH = [
+  'Sec-CH-UA',
+  'Sec-CH-UA-Mobile',
+  'Sec-CH-UA-Platform',
+  'Sec-CH-UA-Platform-Version',
+  'Sec-CH-UA-Arch',
+  'Sec-CH-UA-Bitness',
+  'Sec-CH-UA-Model',
+  'Sec-CH-UA-Full-Version-List',
+].join(', ');
+
+// Brand names reported in hints → names used by the user-agent parser
+const BRAND_NAMES = {
+  'Google Chrome': 'Chrome',
+  'Microsoft Edge': 'Edge',
+  'Opera': 'Opera',
+  'Opera GX': 'Opera',
+  'Brave': 'Brave',
+  'Vivaldi': 'Vivaldi',
+  'YaBrowser': 'Yandex',
+  'Yandex': 'Yandex',
+  'Samsung Internet': 'Samsung Internet',
+  'Chromium': 'Chromium',
+};
+
+// Platform names reported in hints → OS names used by the user-agent parser
+const PLATFORM_NAMES = {
+  'Windows': 'Windows',
+  'macOS': 'macOS',
+  'Linux': 'Linux',
+  'Android': 'Android',
+  'Chrome OS': 'Chrome OS',
+  'Chromium OS': 'Chrome OS',
+  'iOS': 'iOS',
+};
+
+/**
+ * Unquote a structured-header string (`"Windows"` → `Windows`)
+ */
+function unquote(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed.startsWith('"') && trimmed.endsWith('"')
+    ? trimmed.slice(1, -1).replace(/\\(["\\])/g, '$1')
+    : trimmed;
+}
+
+/**
+ * Parse a brand list header (`"Chromium";v="120", "Google Chrome";v="120"`)
+ */
+export function parseBrandList(header) {
+  if (!header) return [];
+
+  const brands = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"\s*;\s*v\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    brands.push({ brand: match[1].replace(/\\(["\\])/g, '$1'), version: match[2] });
+  }
+  return brands;
+}
+
+/**
+ * Client hints from Sec-CH-UA-* request headers (Node lowercases names)
+ */
+export function parseClientHintHeaders(headers = {}) {
+  const mobile = headers['sec-ch-ua-mobile'];
+
+  return {
+    brands: parseBrandList(headers['sec-ch-ua']),
+    fullVersionList: parseBrandList(headers['sec-ch-ua-full-version-list']),
+    mobile: mobile === '?1' ? true : mobile === '?0' ? false : null,
+    platform: unquote(headers['sec-ch-ua-platform']),
+    platformVersion: unquote(headers['sec-ch-ua-platform-version']),
+    architecture: unquote(headers['sec-ch-ua-arch']),
+    bitness: unquote(headers['sec-ch-ua-bitness']),
+    model: unquote(headers['sec-ch-ua-model']),
+  };
+}
+
+/**
+ * Merge hints from request headers with the ones collected by the client
+ * Header values win when present; empty values count as missing.
+ * Returns null when neither source has any hint.
+ */
+export function mergeClientHints(headerHints, clientHints) {
+  const sources = [headerHints, clientHints].filter(hints => hints && typeof hints === 'object');
+  const merged = {};
+
+  for (const field of ['platform', 'platformVersion', 'architecture', 'bitness', 'model']) {
+    const value = sources.map(hints => hints[field]).find(v => typeof v === 'string' && v !== '');
+    merged[field] = value ?? null;
+  }
+
+  merged.mobile = sources.map(hints => hints.mobile).find(v => typeof v === 'boolean') ?? null;
+
+  for (const field of ['brands', 'fullVersionList']) {
+    merged[field] = sources.map(hints => hints[field]).find(v => Array.isArray(v) && v.length > 0) || [];
+  }
+
+  const hasHints = merged.brands.length > 0 || merged.fullVersionList.length > 0 ||
+    Object.values(merged).some(value => typeof value === 'string' || typeof value === 'boolean');
+
+  return hasHints ? merged : null;
+}
+
+/**
+ * Whether a brand is GREASE ("Not_A Brand", "Not A(Brand", ...)
+ */
+function isGreaseBrand(brand) {
+  return /not.?a.?brand/i.test(brand);
+}
+
+/**
+ * The browser brand from a brand list: a specific brand before "Chromium"
+ */
+export function primaryBrand(brands = []) {
+  const known = brands
+    .filter(entry => entry?.brand && !isGreaseBrand(entry.brand))
+    .map(entry => ({ name: BRAND_NAMES[entry.brand] || entry.brand, version: entry.version || null }));
+
+  return known.find(entry => entry.name !== 'Chromium') || known[0] || null;
+}
+
+/**
+ * OS version from a platform version hint
+ * Windows reports the UniversalApiContract version: 13+ is Windows 11,
+ * 1-12 Windows 10; other platforms drop trailing ".0" groups ("14.0.0" → "14")
+ */
+function platformVersionName(osName, platformVersion) {
+  if (!platformVersion) return null;
+
+  if (osName === 'Windows') {
+    const major = parseInt(platformVersion, 10);
+    if (Number.isNaN(major) || major === 0) return null;
+    return major >= 13 ? '11' : '10';
+  }
+
+  return platformVersion.replace(/(\.0)+$/, '');
+}
+
+/**
+ * Apply client hints to a parsed user agent (see UserAgentParser.parse)
+ * Hints replace the reduced values of the UA string: full browser version,
+ * real OS version, device model and mobile flag
+ */
+export function applyClientHints(parsed, hints) {
+  if (!hints) return parsed;
+
+  const result = structuredClone(parsed);
+
+  const brand = primaryBrand(hints.fullVersionList.length > 0 ? hints.fullVersionList : hints.brands);
+  if (brand && (brand.name !== 'Chromium' || !result.browser.name)) {
+    // The brand list only carries a major version without the full list
+    const version = brand.version && (brand.version.includes('.') || !result.browser.version)
+      ? brand.version
+      : result.browser.version;
+    result.browser = { name: brand.name, version, major: version ? version.split('.')[0] : null };
+  }
+
+  const osName = PLATFORM_NAMES[hints.platform] || null;
+  if (osName) {
+    const version = platformVersionName(osName, hints.platformVersion);
+    result.os = {
+      name: osName,
+      version: version || (result.os.name === osName ? result.os.version : null),
+    };
+  }
+
+  if (hints.mobile === true) {
+    result.device.type = 'mobile';
+  }
+  if (hints.model) {
+    result.device.model = hints.model;
+  }
+
+  return result;
+}
+
+export default {
+  ACCEPT_CH,
+  parseBrandList,
+  parseClientHintHeaders,
+  mergeClientHints,
+  primaryBrand,
+  applyClientHints,
+};
@@ -0,0 +1,146 @@
+/**
+ * Tests for User-Agent Client Hints handling
+ */
+
+import {
+  applyClientHints,
+  mergeClientHints,
+  parseBrandList,
+  parseClientHintHeaders,
+  primaryBrand,
+} from './client-hints.js';
+import { parseUserAgent, userAgentColumns } from './user-agent-parser.js';
+
+const FROZEN_WINDOWS_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const REDUCED_ANDROID_UA = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+const windowsHints = {
+  brands: [
+    { brand: 'Not_A Brand', version: '8' },
+    { brand: 'Chromium', version: '120' },
+    { brand: 'Microsoft Edge', version: '120' },
+  ],
+  fullVersionList: [
+    { brand: 'Not_A Brand', version: '8.0.0.0' },
+    { brand: 'Chromium', version: '120.0.6099.130' },
+    { brand: 'Microsoft Edge', version: '120.0.2210.91' },
+  ],
+  mobile: false,
+  platform: 'Windows',
+  platformVersion: '15.0.0',
+  architecture: 'x86',
+  bitness: '64',
+  model: '',
+};
+
+describe('client hints', () => {
+  describe('parseBrandList', () => {
+    it('should parse structured brand lists', () => {
+      expect(parseBrandList('"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"')).toEqual([
+        { brand: 'Not_A Brand', version: '8' },
+        { brand: 'Chromium', version: '120' },
+        { brand: 'Google Chrome', version: '120' },
+      ]);
+    });
+
+    it('should handle escaped quotes and missing headers', () => {
+      expect(parseBrandList('"Not\\"A;Brand";v="99"')).toEqual([{ brand: 'Not"A;Brand', version: '99' }]);
+      expect(parseBrandList(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseClientHintHeaders', () => {
+    it('should unquote string hints and parse the mobile flag', () => {
+      const hints = parseClientHintHeaders({
+        'sec-ch-ua-mobile': '?1',
+        'sec-ch-ua-platform': '"Android"',
+        'sec-ch-ua-platform-version': '"14.0.0"',
+        'sec-ch-ua-model': '"Pixel 8"',
+      });
+
+      expect(hints).toMatchObject({
+        mobile: true,
+        platform: 'Android',
+        platformVersion: '14.0.0',
+        model: 'Pixel 8',
+        architecture: null,
+      });
+    });
+  });
+
+  describe('mergeClientHints', () => {
+    it('should prefer header values and fill gaps from the client', () => {
+      const merged = mergeClientHints(
+        { platform: 'Windows', platformVersion: null, model: '', brands: [], fullVersionList: [], mobile: false },
+        { platform: 'Linux', platformVersion: '15.0.0', architecture: 'arm', fullVersionList: windowsHints.fullVersionList },
+      );
+
+      expect(merged).toMatchObject({
+        platform: 'Windows',
+        platformVersion: '15.0.0',
+        architecture: 'arm',
+        model: null,
+        mobile: false,
+        fullVersionList: windowsHints.fullVersionList,
+      });
+    });
+
+    it('should return null without hints', () => {
+      expect(mergeClientHints(parseClientHintHeaders({}), { error: 'User-Agent Client Hints not available' })).toBeNull();
+      expect(mergeClientHints(undefined, undefined)).toBeNull();
+    });
+  });
+
+  describe('primaryBrand', () => {
+    it('should skip GREASE brands and prefer a specific brand over Chromium', () => {
+      expect(primaryBrand(windowsHints.fullVersionList)).toEqual({ name: 'Edge', version: '120.0.2210.91' });
+      expect(primaryBrand([{ brand: 'Chromium', version: '120' }])).toEqual({ name: 'Chromium', version: '120' });
+      expect(primaryBrand([{ brand: 'Not A(Brand', version: '99' }])).toBeNull();
+    });
+  });
+
+  describe('applyClientHints', () => {
+    it('should restore the full browser version and the Windows release', () => {
+      const result = applyClientHints(parseUserAgent(FROZEN_WINDOWS_UA), windowsHints);
+
+      expect(result.browser).toEqual({ name: 'Edge', version: '120.0.2210.91', major: '120' });
+      expect(result.os).toEqual({ name: 'Windows', version: '11' });
+    });
+
+    it('should map Windows 10 platform versions', () => {
+      const result = applyClientHints(parseUserAgent(FROZEN_WINDOWS_UA), { ...windowsHints, platformVersion: '10.0.0' });
+
+      expect(result.os.version).toBe('10');
+    });
+
+    it('should restore Android version and model of reduced user agents', () => {
+      const result = applyClientHints(parseUserAgent(REDUCED_ANDROID_UA), {
+        brands: [{ brand: 'Google Chrome', version: '120' }],
+        fullVersionList: [],
+        mobile: true,
+        platform: 'Android',
+        platformVersion: '14.0.0',
+        model: 'Pixel 8',
+      });
+
+      expect(result.browser).toEqual({ name: 'Chrome', version: '120.0.0.0', major: '120' });
+      expect(result.os).toEqual({ name: 'Android', version: '14' });
+      expect(result.device).toMatchObject({ type: 'mobile', model: 'Pixel 8' });
+    });
+
+    it('should leave the parsed user agent unchanged without hints', () => {
+      const parsed = parseUserAgent(FROZEN_WINDOWS_UA);
+
+      expect(applyClientHints(parsed, null)).toBe(parsed);
+    });
+  });
+
+  it('should refine profile columns', () => {
+    expect(userAgentColumns(FROZEN_WINDOWS_UA, windowsHints)).toMatchObject({
+      browser_name: 'Edge',
+      browser_version: '120.0.2210.91',
+      os_name: 'Windows',
+      os_version: '11',
+    });
+  });
+});
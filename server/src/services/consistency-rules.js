@@ -0,0 +1,165 @@
+/**
+ * Consistency (anti-spoofing) rules
+ * Spoofing extensions tend to change one attribute and leave the others
+ * alone. Each rule cross-checks fields of a device profile (see
+ * deviceInfoToProfile): when every `when` matcher matches, every `expect`
+ * matcher must match too, otherwise the rule is triggered. A matcher is a
+ * RegExp, a list of allowed values or a predicate `(value, profile)`.
+ * Rules whose fields were not collected are skipped.
+ */
+import { isMissingSignal } from './fingerprint-matcher.js';
+
+// Fonts that only ship with Linux distributions
+const LINUX_FONTS = [
+  'DejaVu Sans', 'DejaVu Sans Mono', 'DejaVu Serif', 'Liberation Mono', 'Liberation Sans',
+  'Liberation Serif', 'Ubuntu', 'Cantarell', 'FreeMono', 'FreeSans', 'FreeSerif',
+];
+
+// Fonts that only ship with Windows
+const WINDOWS_FONTS = ['Segoe MDL2 Assets', 'Segoe UI Emoji', 'Segoe UI Historic', 'Ink Free', 'Bahnschrift'];
+
+// GPU vendors as reported by WebGPU → patterns in the WebGL renderer string
+const GPU_VENDOR_RENDERERS = {
+  nvidia: /nvidia|geforce|quadro|rtx/i,
+  amd: /amd|ati technologies|radeon/i,
+  intel: /intel/i,
+  apple: /apple/i,
+  qualcomm: /adreno|qualcomm/i,
+  arm: /mali|arm/i,
+};
+
+/**
+ * Renderer pattern for a reported WebGPU vendor (own keys only; any type)
+ */
+function vendorRendererPattern(vendor) {
+  const key = String(vendor).toLowerCase();
+  return Object.hasOwn(GPU_VENDOR_RENDERERS, key) ? GPU_VENDOR_RENDERERS[key] : null;
+}
+
+export const CONSISTENCY_RULES = [
+  {
+    id: 'windows_ua_platform',
+    description: 'Windows user agent with a non-Windows navigator.platform',
+    weight: 0.5,
+    when: { os_name: ['Windows'] },
+    expect: { platform: /^win/i },
+  },
+  {
+    id: 'macos_ua_platform',
+    description: 'macOS user agent with a non-Mac navigator.platform',
+    weight: 0.5,
+    when: { os_name: ['macOS'] },
+    expect: { platform: /^mac/i },
+  },
+  {
+    id: 'linux_ua_platform',
+    description: 'Linux or Android user agent with a non-Linux navigator.platform',
+    weight: 0.4,
+    when: { os_name: ['Linux', 'Ubuntu', 'Fedora', 'Android', 'Chrome OS'] },
+    expect: { platform: /linux|x11|cros|android|arm/i },
+  },
+  {
+    id: 'windows_platform_ua',
+    description: 'Windows navigator.platform with a non-Windows user agent',
+    weight: 0.5,
+    when: { platform: /^win/i },
+    expect: { os_name: ['Windows'] },
+  },
+  {
+    id: 'mobile_without_touch',
+    description: 'Mobile or tablet user agent without touch support',
+    weight: 0.4,
+    when: { device_type: ['mobile', 'tablet'] },
+    expect: { max_touch_points: value => value > 0 },
+  },
+  {
+    id: 'apple_gpu_non_apple_os',
+    description: 'Apple GPU on an operating system other than macOS or iOS',
+    weight: 0.4,
+    when: { webgl_renderer: /apple (m\d|gpu)/i },
+    expect: { os_name: ['macOS', 'iOS'] },
+  },
+  {
+    id: 'apple_gpu_linux_fonts',
+    description: 'Apple GPU with fonts that only ship with Linux',
+    weight: 0.3,
+    when: { webgl_renderer: /apple (m\d|gpu)/i },
+    expect: { fonts_list: fonts => !Array.isArray(fonts) || !fonts.some(font => LINUX_FONTS.includes(font)) },
+  },
+  {
+    id: 'macos_windows_fonts',
+    description: 'macOS user agent with fonts that only ship with Windows',
+    weight: 0.2,
+    when: { os_name: ['macOS'] },
+    expect: { fonts_list: fonts => !Array.isArray(fonts) || !fonts.some(font => WINDOWS_FONTS.includes(font)) },
+  },
+  {
+    id: 'ios_non_webkit',
+    description: 'iOS user agent with a browser engine other than WebKit',
+    weight: 0.3,
+    when: { os_name: ['iOS'] },
+    expect: { engine_name: ['WebKit'] },
+  },
+  {
+    id: 'webgpu_webgl_vendor',
+    description: 'WebGPU adapter vendor missing from the WebGL renderer',
+    weight: 0.3,
+    when: { webgpu_vendor: value => vendorRendererPattern(value) !== null },
+    expect: {
+      webgl_renderer: (renderer, profile) => vendorRendererPattern(profile.webgpu_vendor)?.test(String(renderer)) ?? true,
+    },
+  },
+  {
+    id: 'worker_navigator_mismatch',
+    description: 'Navigator properties differ between the page and a worker',
+    weight: 0.5,
+    when: {},
+    expect: { worker_mismatches: mismatches => mismatches.length === 0 },
+  },
+];
+
+/**
+ * Whether a profile value satisfies a rule matcher
+ */
+function matches(matcher, value, profile) {
+  if (matcher instanceof RegExp) return matcher.test(String(value));
+  if (Array.isArray(matcher)) return matcher.includes(value);
+  return Boolean(matcher(value, profile));
+}
+
+/**
+ * Whether a field holds collected data (empty lists count as missing)
+ */
+function isPresent(value) {
+  return Array.isArray(value) ? value.length > 0 : !isMissingSignal(value);
+}
+
+/**
+ * Whether a rule is triggered by a profile; null when one of its fields was
+ * not collected
+ */
+export function evaluateRule(rule, profile) {
+  const fields = [...Object.keys(rule.when), ...Object.keys(rule.expect)];
+  if (!fields.every(field => isPresent(profile[field]))) return null;
+
+  const applies = Object.entries(rule.when).every(([field, matcher]) => matches(matcher, profile[field], profile));
+  if (!applies) return false;
+
+  return !Object.entries(rule.expect).every(([field, matcher]) => matches(matcher, profile[field], profile));
+}
+
+/**
+ * Tamper score (sum of the weights of triggered rules, capped at 1) and the
+ * ids of the triggered rules
+ */
+export function checkConsistency(profile, rules = CONSISTENCY_RULES) {
+  const triggered = rules.filter(rule => evaluateRule(rule, profile) === true);
+  const total = triggered.reduce((sum, rule) => sum + rule.weight, 0);
+
+  return {
+    score: Math.round(Math.min(total, 1) * 10000) / 10000,
+    rules: triggered.map(rule => rule.id),
+  };
+}
+
+export default { CONSISTENCY_RULES, evaluateRule, checkConsistency };
@@ -0,0 +1,102 @@
+/**
+ * Tests for the anti-spoofing consistency rules
+ */
+
+import { CONSISTENCY_RULES, checkConsistency, evaluateRule } from './consistency-rules.js';
+
+const rule = id => CONSISTENCY_RULES.find(r => r.id === id);
+
+const windowsProfile = {
+  platform: 'Win32',
+  os_name: 'Windows',
+  engine_name: 'Blink',
+  device_type: 'desktop',
+  max_touch_points: 0,
+  webgl_renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11)',
+  webgpu_vendor: 'nvidia',
+  fonts_list: ['Arial', 'Segoe UI', 'Calibri'],
+};
+
+describe('consistency rules', () => {
+  it('should not trigger on a consistent profile', () => {
+    expect(checkConsistency(windowsProfile)).toEqual({ score: 0, rules: [] });
+  });
+
+  it('should flag a Windows user agent with a Mac platform', () => {
+    const result = checkConsistency({ ...windowsProfile, platform: 'MacIntel' });
+
+    expect(result.rules).toEqual(['windows_ua_platform']);
+    expect(result.score).toBe(0.5);
+  });
+
+  it('should flag a mobile user agent without touch points', () => {
+    const profile = { ...windowsProfile, os_name: 'Android', platform: 'Linux armv8l', device_type: 'mobile', webgpu_vendor: null };
+
+    expect(checkConsistency(profile).rules).toEqual(['mobile_without_touch']);
+    expect(checkConsistency({ ...profile, max_touch_points: 5 }).rules).toEqual([]);
+  });
+
+  it('should flag a claimed Apple GPU on Linux fonts', () => {
+    const profile = {
+      platform: 'Linux x86_64',
+      os_name: 'Linux',
+      webgl_renderer: 'Apple M2',
+      fonts_list: ['DejaVu Sans', 'Liberation Serif'],
+    };
+
+    expect(checkConsistency(profile).rules).toEqual(['apple_gpu_non_apple_os', 'apple_gpu_linux_fonts']);
+  });
+
+  it('should flag a WebGPU vendor that disagrees with the WebGL renderer', () => {
+    const profile = { ...windowsProfile, webgl_renderer: 'ANGLE (Intel, Intel(R) UHD Graphics 620 Direct3D11)' };
+
+    expect(checkConsistency(profile).rules).toEqual(['webgpu_webgl_vendor']);
+  });
+
+  it('should ignore WebGPU vendors that are not known GPU vendors', () => {
+    for (const webgpu_vendor of ['constructor', '__proto__', 'toString', 42, true, { name: 'nvidia' }]) {
+      expect(checkConsistency({ ...windowsProfile, webgpu_vendor }).rules).toEqual([]);
+    }
+    expect(checkConsistency({ ...windowsProfile, webgpu_vendor: 'NVIDIA', webgl_renderer: 'Apple M2' }).rules)
+      .toContain('webgpu_webgl_vendor');
+  });
+
+  it('should not fail on font lists that are not arrays', () => {
+    const appleProfile = { os_name: 'macOS', platform: 'MacIntel', webgl_renderer: 'Apple M2' };
+
+    for (const fonts_list of ['Ubuntu', 7, { 0: 'Ubuntu' }]) {
+      expect(checkConsistency({ ...appleProfile, fonts_list }).rules).toEqual([]);
+    }
+  });
+
+  it('should flag navigator properties that differ in a worker', () => {
+    const result = checkConsistency({ ...windowsProfile, worker_mismatches: ['userAgent', 'platform'] });
+
+    expect(result.rules).toEqual(['worker_navigator_mismatch']);
+    expect(checkConsistency({ ...windowsProfile, worker_mismatches: [] }).rules).toEqual([]);
+  });
+
+  it('should skip rules whose fields were not collected', () => {
+    expect(evaluateRule(rule('mobile_without_touch'), { device_type: 'mobile', max_touch_points: null })).toBeNull();
+    expect(evaluateRule(rule('apple_gpu_linux_fonts'), { webgl_renderer: 'Apple M1', fonts_list: [] })).toBeNull();
+    expect(evaluateRule(rule('windows_ua_platform'), { os_name: 'macOS', platform: 'Win32' })).toBe(false);
+  });
+
+  it('should cap the score at 1', () => {
+    const profile = {
+      ...windowsProfile,
+      platform: 'MacIntel',
+      os_name: 'Windows',
+      webgl_renderer: 'Apple GPU',
+      fonts_list: ['Ubuntu'],
+    };
+
+    expect(checkConsistency(profile).score).toBe(1);
+  });
+
+  it('should accept a custom rule set', () => {
+    const rules = [{ id: 'no_memory', weight: 0.2, when: { os_name: ['Windows'] }, expect: { device_memory: value => value >= 2 } }];
+
+    expect(checkConsistency({ os_name: 'Windows', device_memory: 1 }, rules)).toEqual({ score: 0.2, rules: ['no_memory'] });
+  });
+});
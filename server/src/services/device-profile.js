@@ -0,0 +1,217 @@
+/**
+ * Device profile conversion
+ * Maps device info collected by the client (plus the request context) to the
+ * user_device_profiles column format used for storage and matching
+ */
+import crypto from 'crypto';
+import { isMissingSignal } from './fingerprint-matcher.js';
+import { userAgentColumns } from './user-agent-parser.js';
+import { mergeClientHints } from './client-hints.js';
+import { checkConsistency } from './consistency-rules.js';
+
+// Profile fields filled from each client component; when the component is
+// missing they are listed in `missing_fields` and not compared
+export const COMPONENT_FIELDS = {
+  screen: ['screen_width', 'screen_height', 'screen_color_depth', 'screen_pixel_ratio'],
+  hardware: ['hardware_concurrency', 'device_memory', 'max_touch_points'],
+  browser: ['plugins_list'],
+  canvas: ['canvas_fingerprint'],
+  audio: ['audio_fingerprint', 'audio_sample_rate', 'audio_channel_count', 'audio_base_latency'],
+  fonts: ['fonts_list'],
+  webgl: ['webgl_fingerprint', 'webgl_vendor', 'webgl_renderer'],
+  webglRender: ['webgl_render_hash', 'webgl_parameters_hash'],
+  webgpu: ['webgpu_vendor', 'webgpu_architecture', 'webgpu_device', 'webgpu_description', 'webgpu_capabilities_hash'],
+  media: ['media_capabilities_hash', 'speech_voices_hash', 'speech_voices_count'],
+  mediaFeatures: [
+    'css_color_scheme', 'css_reduced_motion', 'css_forced_colors', 'css_inverted_colors',
+    'css_color_gamut', 'css_dynamic_range', 'css_pointer', 'css_hover', 'css_monochrome',
+  ],
+};
+
+// Decimal places of the audio_base_latency column (DECIMAL(8, 6)); the value
+// is rounded before it is stored or compared, or it would never read back equal
+const AUDIO_BASE_LATENCY_SCALE = 6;
+
+/**
+ * Round a number to the scale of its DECIMAL column (null when not a number)
+ */
+function roundToScale(value, scale) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return Number(value.toFixed(scale));
+}
+
+/**
+ * Names of the components the client reported as timed out
+ */
+export function timedOutComponents(deviceInfo) {
+  const components = deviceInfo?.components;
+  if (!components || typeof components !== 'object') return [];
+
+  return Object.entries(components)
+    .filter(([, component]) => component?.status === 'timeout')
+    .map(([name]) => name);
+}
+
+/**
+ * Names of the components whose data cannot be compared: timed out, or a
+ * font list cut short by the client's font budget
+ */
+export function missingComponents(deviceInfo) {
+  const missing = timedOutComponents(deviceInfo);
+  if (deviceInfo?.fonts?.complete === false && !missing.includes('fonts')) {
+    missing.push('fonts');
+  }
+  return missing;
+}
+
+/**
+ * Names of the components whose readbacks the client found randomized
+ * (privacy browsers add noise to canvas and audio data)
+ */
+export function unstableComponents(deviceInfo) {
+  return ['canvas', 'audio'].filter(name => deviceInfo?.[name]?.noise?.detected === true);
+}
+
+/**
+ * Convert device info to profile format (user_device_profiles columns)
+ * `missing_fields` lists the fields of missing components (see
+ * missingComponents); it is stored so that a later visit is not compared
+ * against them either. `tamper_score` and `tamper_rules` come from the
+ * consistency rules
+ */
+export function deviceInfoToProfile(deviceInfo, clientUUID = null, context = {}) {
+  const clientHints = mergeClientHints(context.clientHints, deviceInfo.clientHints);
+
+  const profile = {
+    client_uuid: clientUUID,
+    canvas_fingerprint: hashFingerprint(deviceInfo.canvas?.hash),
+    audio_fingerprint: hashFingerprint(deviceInfo.audio?.hash),
+    audio_sample_rate: deviceInfo.audio?.sampleRate ?? null,
+    audio_channel_count: deviceInfo.audio?.channelCount ?? null,
+    audio_base_latency: roundToScale(deviceInfo.audio?.baseLatency, AUDIO_BASE_LATENCY_SCALE),
+    webgl_fingerprint: hashFingerprint(deviceInfo.webgl?.renderer),
+    user_agent: deviceInfo.userAgent,
+    platform: deviceInfo.platform,
+    language: deviceInfo.language,
+    timezone: deviceInfo.timezone,
+    timezone_offset: deviceInfo.timezoneOffset,
+    screen_width: deviceInfo.screen?.width,
+    screen_height: deviceInfo.screen?.height,
+    screen_color_depth: deviceInfo.screen?.colorDepth,
+    screen_pixel_ratio: deviceInfo.screen?.pixelRatio,
+    hardware_concurrency: signalValue(deviceInfo.hardware?.hardwareConcurrency),
+    device_memory: signalValue(deviceInfo.hardware?.deviceMemory),
+    max_touch_points: signalValue(deviceInfo.hardware?.maxTouchPoints),
+    fonts_list: deviceInfo.fonts?.complete === false ? [] : deviceInfo.fonts?.fonts || [],
+    plugins_list: deviceInfo.browser?.plugins?.map(p => p.name) || [],
+    ip_address: context.ip || null,
+    country: context.geo?.country || null,
+    city: context.geo?.city || null,
+    isp: context.geo?.isp || null,
+    asn: context.geo?.asn ?? null,
+    latitude: context.geo?.latitude ?? null,
+    longitude: context.geo?.longitude ?? null,
+    webgl_vendor: signalValue(deviceInfo.webgl?.vendor),
+    webgl_renderer: signalValue(deviceInfo.webgl?.renderer),
+    webgl_render_hash: hashFingerprint(deviceInfo.webglRender?.hash),
+    webgl_parameters_hash: hashFingerprint(deviceInfo.webglRender?.parametersHash),
+    ...webgpuColumns(deviceInfo.webgpu),
+    ...mediaColumns(deviceInfo.media),
+    css_color_scheme: deviceInfo.mediaFeatures?.colorScheme ?? null,
+    css_reduced_motion: deviceInfo.mediaFeatures?.reducedMotion ?? null,
+    css_forced_colors: deviceInfo.mediaFeatures?.forcedColors ?? null,
+    css_inverted_colors: deviceInfo.mediaFeatures?.invertedColors ?? null,
+    css_color_gamut: deviceInfo.mediaFeatures?.colorGamut ?? null,
+    css_dynamic_range: deviceInfo.mediaFeatures?.dynamicRange ?? null,
+    css_pointer: deviceInfo.mediaFeatures?.pointer ?? null,
+    css_hover: deviceInfo.mediaFeatures?.hover ?? null,
+    css_monochrome: deviceInfo.mediaFeatures?.monochrome ?? null,
+    ...userAgentColumns(deviceInfo.userAgent, clientHints),
+    cpu_architecture: clientHints?.architecture ?? null,
+    cpu_bitness: clientHints?.bitness ?? null,
+    client_hints: clientHints,
+    unstable_components: unstableComponents(deviceInfo),
+    worker_mismatches: workerMismatches(deviceInfo.worker),
+    private_mode: typeof deviceInfo.privateMode?.detected === 'boolean' ? deviceInfo.privateMode.detected : null,
+    missing_fields: missingComponents(deviceInfo).flatMap(name => COMPONENT_FIELDS[name] || []),
+  };
+
+  // Attributes that contradict each other (see consistency-rules.js)
+  const tamper = checkConsistency(profile);
+  return { ...profile, tamper_score: tamper.score, tamper_rules: tamper.rules };
+}
+
+/**
+ * Navigator properties the client found different in a worker
+ */
+function workerMismatches(worker) {
+  if (!Array.isArray(worker?.mismatches)) return [];
+  return worker.mismatches.filter(name => typeof name === 'string');
+}
+
+/**
+ * WebGPU adapter columns; features and limits are stored as one hash
+ */
+function webgpuColumns(webgpu) {
+  if (!webgpu?.available) {
+    return {
+      webgpu_vendor: null,
+      webgpu_architecture: null,
+      webgpu_device: null,
+      webgpu_description: null,
+      webgpu_capabilities_hash: null,
+    };
+  }
+
+  const limits = sortKeys(webgpu.limits || {});
+  const features = [...(webgpu.features || [])].sort();
+
+  return {
+    webgpu_vendor: signalValue(webgpu.vendor),
+    webgpu_architecture: signalValue(webgpu.architecture),
+    webgpu_device: signalValue(webgpu.device),
+    webgpu_description: signalValue(webgpu.description),
+    webgpu_capabilities_hash: hashFingerprint(JSON.stringify({ features, limits })),
+  };
+}
+
+/**
+ * Media capability columns: codec support and decoding flags as one hash,
+ * voices as a hash plus count; an empty voice list counts as not collected
+ * since browsers load voices lazily
+ */
+function mediaColumns(media) {
+  const codecs = media?.codecs && Object.keys(media.codecs).length > 0 ? media.codecs : null;
+  const voices = Array.isArray(media?.voices) && media.voices.length > 0 ? [...media.voices].sort() : null;
+
+  return {
+    media_capabilities_hash: codecs
+      ? hashFingerprint(JSON.stringify({ codecs: sortKeys(codecs), decoding: media.decoding ? sortKeys(media.decoding) : null }))
+      : null,
+    speech_voices_hash: voices ? hashFingerprint(JSON.stringify(voices)) : null,
+    speech_voices_count: voices ? voices.length : null,
+  };
+}
+
+/**
+ * Copy of an object with its keys in sorted order, so hashes do not depend
+ * on the order the client filled it in
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Drop failure sentinels ('timeout', 'error', ...) so they are stored as NULL
+ */
+function signalValue(value) {
+  return isMissingSignal(value) ? null : value;
+}
+
+/**
+ * Hash fingerprint for storage; failure sentinels are never hashed
+ */
+export function hashFingerprint(value) {
+  if (isMissingSignal(value)) return null;
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
@@ -1,75 +1,276 @@
 /**
  * Device fingerprint matching and similarity calculation service
  */
+import crypto from 'crypto';
+import { parseUserAgent } from './user-agent-parser.js';
+import { fontWeight } from './font-rarity.js';
+
+// Values the client reports in place of a signal when collection failed
+export const MISSING_SIGNAL_VALUES = ['timeout', 'error', 'unavailable', 'unknown'];
+
+// Profiles stored before sentinels were filtered hold SHA-256 hashes of them
+const MISSING_SIGNAL_HASHES = new Set(
+  MISSING_SIGNAL_VALUES.map(value => crypto.createHash('sha256').update(value).digest('hex')),
+);
+
+/**
+ * Whether a collected value is absent: empty, a failure sentinel or the
+ * stored hash of a sentinel
+ */
+export function isMissingSignal(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (typeof value !== 'string') return false;
+
+  const normalized = value.trim().toLowerCase();
+  return normalized === '' ||
+    MISSING_SIGNAL_VALUES.includes(normalized) ||
+    MISSING_SIGNAL_HASHES.has(normalized);
+}
+
+// Profile fields compared by detectChanges
+const CHANGE_FIELDS = [
+  'user_agent',
+  'platform',
+  'language',
+  'timezone',
+  'screen_width',
+  'screen_height',
+  'screen_color_depth',
+  'screen_pixel_ratio',
+  'hardware_concurrency',
+  'device_memory',
+  'canvas_fingerprint',
+  'audio_fingerprint',
+  'webgl_fingerprint',
+  'ip_address',
+  'country',
+  'city',
+];
+
+// CSS media features the user can toggle at any time (dark mode, reduced
+// motion, ...); not scored, and a change is only an environmental change
+export const PREFERENCE_FIELDS = ['css_color_scheme', 'css_reduced_motion', 'css_forced_colors', 'css_inverted_colors'];
+
+// CSS media features of the display and primary input device; they follow
+// an attached monitor, mouse or touch screen, so a change is updated on the
+// current session rather than starting a new one
+export const DISPLAY_FEATURE_FIELDS = ['css_color_gamut', 'css_dynamic_range', 'css_pointer', 'css_hover', 'css_monochrome'];
+
+// Fields added after the first profiles were stored (parsed user agent and
+// client hints, WebGL render hashes, WebGPU, audio, media and CSS media
+// features); only compared when both profiles have them since older
+// profiles hold NULL
+const OPTIONAL_CHANGE_FIELDS = [
+  'browser_name',
+  'os_name',
+  'os_version',
+  'webgl_render_hash',
+  'webgl_parameters_hash',
+  'webgpu_vendor',
+  'webgpu_architecture',
+  'webgpu_capabilities_hash',
+  'audio_sample_rate',
+  'audio_channel_count',
+  'audio_base_latency',
+  'media_capabilities_hash',
+  'speech_voices_hash',
+  ...PREFERENCE_FIELDS,
+  ...DISPLAY_FEATURE_FIELDS,
+];
+
+// Hash fields of components privacy browsers randomize; when either profile
+// lists the component in `unstable_components` the hash is not compared
+const NOISY_COMPONENT_FIELDS = {
+  canvas: 'canvas_fingerprint',
+  audio: 'audio_fingerprint',
+};
+
+// Profile fields holding lists, diffed as added/removed entries
+const LIST_CHANGE_FIELDS = ['fonts_list', 'plugins_list'];
+
+/**
+ * Scale weights so they sum to 1.0; invalid or negative weights count as 0
+ */
+export function normalizeWeights(weights) {
+  const entries = Object.entries(weights).map(([component, weight]) => [
+    component,
+    Number.isFinite(weight) && weight > 0 ? weight : 0,
+  ]);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  return Object.fromEntries(entries.map(([component, weight]) => [
+    component,
+    total > 0 ? weight / total : 0,
+  ]));
+}
 
 export class FingerprintMatcher {
   constructor() {
-    // Matching weights (should sum to 1.0)
-    this.weights = {
-      canvas: parseFloat(process.env.FINGERPRINT_WEIGHT_CANVAS || '0.30'),
-      audio: parseFloat(process.env.FINGERPRINT_WEIGHT_AUDIO || '0.25'),
-      hardware: parseFloat(process.env.FINGERPRINT_WEIGHT_HARDWARE || '0.20'),
-      screen: parseFloat(process.env.FINGERPRINT_WEIGHT_SCREEN || '0.15'),
+    // Matching weights (normalized to sum to 1.0)
+    this.weights = normalizeWeights({
+      canvas: parseFloat(process.env.FINGERPRINT_WEIGHT_CANVAS || '0.25'),
+      audio: parseFloat(process.env.FINGERPRINT_WEIGHT_AUDIO || '0.20'),
+      hardware: parseFloat(process.env.FINGERPRINT_WEIGHT_HARDWARE || '0.15'),
+      screen: parseFloat(process.env.FINGERPRINT_WEIGHT_SCREEN || '0.10'),
       fonts: parseFloat(process.env.FINGERPRINT_WEIGHT_FONTS || '0.10'),
-    };
+      webgl: parseFloat(process.env.FINGERPRINT_WEIGHT_WEBGL || '0.10'),
+      locale: parseFloat(process.env.FINGERPRINT_WEIGHT_LOCALE || '0.05'),
+      platform: parseFloat(process.env.FINGERPRINT_WEIGHT_PLATFORM || '0.05'),
+    });
 
     this.threshold = parseFloat(process.env.MATCH_CONFIDENCE_THRESHOLD || '0.75');
+
+    // Share of the weight that must be comparable before missing components
+    // stop being renormalized away
+    this.minCoverage = parseFloat(process.env.MATCH_MIN_COVERAGE || '0.3');
+
+    // Weight of fonts preinstalled on common platforms in the font comparison
+    this.commonFontWeight = parseFloat(process.env.FONT_COMMON_WEIGHT || '0.2');
+
+    // Confidence reduction for profiles whose attributes contradict each
+    // other (tamper_score, see consistency-rules.js): scores at or above the
+    // threshold scale the match score by 1 - penalty × tamper score
+    this.tamperThreshold = parseFloat(process.env.TAMPER_SCORE_THRESHOLD || '0.5');
+    this.tamperPenalty = parseFloat(process.env.TAMPER_CONFIDENCE_PENALTY || '0.5');
   }
 
   /**
    * Calculate similarity between two device profiles
+   * Components without data on either side (missing or failure sentinels)
+   * are skipped and the score is renormalized over the compared ones (down
+   * to `minCoverage`); `skipped` lists them
+   * @param {Object} options - `exclude`: components left out of the score (the
+   *   remaining weights are renormalized); `threshold`: match threshold override
    */
-  calculateSimilarity(device1, device2) {
-    let totalScore = 0;
+  calculateSimilarity(device1, device2, options = {}) {
+    const threshold = options.threshold ?? this.threshold;
+    const components = this.compareComponents(device1, device2, options);
+
     const scores = {};
+    const skipped = [];
+    let includedWeight = 0;
+    let comparedWeight = 0;
+
+    for (const [component, score] of Object.entries(components)) {
+      includedWeight += this.weights[component];
 
-    // Canvas fingerprint matching (exact match)
-    scores.canvas = this._compareExact(
-      device1.canvas_fingerprint,
-      device2.canvas_fingerprint,
-    ) * this.weights.canvas;
-
-    // Audio fingerprint matching (exact match)
-    scores.audio = this._compareExact(
-      device1.audio_fingerprint,
-      device2.audio_fingerprint,
-    ) * this.weights.audio;
-
-    // Hardware matching
-    scores.hardware = this._compareHardware(
-      device1,
-      device2,
-    ) * this.weights.hardware;
-
-    // Screen matching
-    scores.screen = this._compareScreen(
-      device1,
-      device2,
-    ) * this.weights.screen;
-
-    // Font list matching
-    scores.fonts = this._compareFonts(
-      device1.fonts_list,
-      device2.fonts_list,
-    ) * this.weights.fonts;
-
-    totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
+      if (score === null) {
+        skipped.push(component);
+        continue;
+      }
+
+      scores[component] = score * this.weights[component];
+      comparedWeight += this.weights[component];
+    }
+
+    // A few comparable components must not be enough to reach a full score
+    const divisor = Math.max(comparedWeight, includedWeight * this.minCoverage);
+    const weightedSum = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const tamper = this.tamperAdjustment(device1, device2);
+    const totalScore = (divisor > 0 ? weightedSum / divisor : 0) * tamper.factor;
 
     return {
       totalScore: Math.min(totalScore, 1.0),
       breakdown: scores,
-      isMatch: totalScore >= this.threshold,
+      coverage: includedWeight > 0 ? comparedWeight / includedWeight : 0,
+      skipped,
+      tamperScore: tamper.score,
+      isMatch: totalScore >= threshold,
+    };
+  }
+
+  /**
+   * Higher tamper score of two profiles and the factor applied to their
+   * match score (1 below the threshold)
+   */
+  tamperAdjustment(device1, device2) {
+    const score = Math.max(Number(device1.tamper_score) || 0, Number(device2.tamper_score) || 0);
+    const factor = score >= this.tamperThreshold ? Math.max(0, 1 - this.tamperPenalty * score) : 1;
+    return { score, factor };
+  }
+
+  /**
+   * Per-component agreement between two profiles: a score in [0, 1], or null
+   * when either side has no data for the component
+   * @param {Object} options - `exclude`: components to leave out
+   */
+  compareComponents(device1, device2, options = {}) {
+    const exclude = new Set(options.exclude || []);
+    const comparators = {
+      // Canvas fingerprint matching (exact match)
+      canvas: () => this._compareStableHash('canvas', device1, device2),
+      // Audio fingerprint matching (exact match, attributes as fallback)
+      audio: () => this._compareAudio(device1, device2),
+      // Hardware matching
+      hardware: () => this._compareHardware(device1, device2),
+      // Screen matching
+      screen: () => this._compareScreen(device1, device2),
+      // Font list matching
+      fonts: () => this._compareFonts(device1.fonts_list, device2.fonts_list),
+      // GPU identity
+      webgl: () => this._compareWebGL(device1, device2),
+      // Timezone and language
+      locale: () => this._compareLocale(device1, device2),
+      // Operating system family, codec support and speech voices
+      platform: () => this._comparePlatform(device1, device2),
     };
+
+    const components = {};
+    for (const [component, compare] of Object.entries(comparators)) {
+      if (!exclude.has(component)) {
+        components[component] = compare();
+      }
+    }
+
+    return components;
   }
 
   /**
-   * Compare exact string values
+   * Compare exact string values (null when either is missing)
    */
   _compareExact(value1, value2) {
-    if (!value1 || !value2) return 0;
+    if (isMissingSignal(value1) || isMissingSignal(value2)) return null;
     return value1 === value2 ? 1.0 : 0.0;
   }
 
+  /**
+   * Compare the hash of a component privacy browsers may randomize; null
+   * when either profile marked it unstable
+   */
+  _compareStableHash(component, device1, device2) {
+    if (this._isUnstable(device1, component) || this._isUnstable(device2, component)) return null;
+
+    const field = NOISY_COMPONENT_FIELDS[component];
+    return this._compareExact(device1[field], device2[field]);
+  }
+
+  /**
+   * Whether a profile's readbacks of a component were found randomized
+   */
+  _isUnstable(device, component) {
+    return Array.isArray(device.unstable_components) && device.unstable_components.includes(component);
+  }
+
+  /**
+   * Compare the audio fingerprint; when either side has no hash, fall back to
+   * the audio output attributes (sample rate, channel count, base latency)
+   */
+  _compareAudio(device1, device2) {
+    const hash = this._compareStableHash('audio', device1, device2);
+    if (hash !== null) return hash;
+
+    let score = 0;
+    let count = 0;
+    for (const field of ['audio_sample_rate', 'audio_channel_count', 'audio_base_latency']) {
+      if (this._bothPresent(device1[field], device2[field])) {
+        score += this._valuesEqual(device1[field], device2[field]) ? 1 : 0;
+        count++;
+      }
+    }
+
+    return count > 0 ? score / count : null;
+  }
+
   /**
    * Compare hardware characteristics
    */
@@ -78,18 +279,42 @@ export class FingerprintMatcher {
     let count = 0;
 
     // Hardware concurrency
-    if (device1.hardware_concurrency && device2.hardware_concurrency) {
+    if (this._bothPresent(device1.hardware_concurrency, device2.hardware_concurrency)) {
       score += device1.hardware_concurrency === device2.hardware_concurrency ? 1 : 0;
       count++;
     }
 
     // Device memory
-    if (device1.device_memory && device2.device_memory) {
+    if (this._bothPresent(device1.device_memory, device2.device_memory)) {
       score += device1.device_memory === device2.device_memory ? 1 : 0;
       count++;
     }
 
-    return count > 0 ? score / count : 0;
+    // WebGPU adapter (vendor and architecture)
+    const adapter1 = this._webgpuAdapter(device1);
+    const adapter2 = this._webgpuAdapter(device2);
+    if (adapter1 && adapter2) {
+      score += adapter1 === adapter2 ? 1 : 0;
+      count++;
+    }
+
+    // WebGPU features and limits
+    const capabilities = this._compareExact(device1.webgpu_capabilities_hash, device2.webgpu_capabilities_hash);
+    if (capabilities !== null) {
+      score += capabilities;
+      count++;
+    }
+
+    return count > 0 ? score / count : null;
+  }
+
+  /**
+   * WebGPU adapter identity ("vendor/architecture"); null without WebGPU
+   */
+  _webgpuAdapter(device) {
+    const vendor = this._normalizeText(device.webgpu_vendor);
+    if (!vendor) return null;
+    return `${vendor}/${this._normalizeText(device.webgpu_architecture) || ''}`;
   }
 
   /**
@@ -100,54 +325,195 @@ export class FingerprintMatcher {
     let count = 0;
 
     // Screen width
-    if (device1.screen_width && device2.screen_width) {
+    if (this._bothPresent(device1.screen_width, device2.screen_width)) {
       score += device1.screen_width === device2.screen_width ? 1 : 0;
       count++;
     }
 
     // Screen height
-    if (device1.screen_height && device2.screen_height) {
+    if (this._bothPresent(device1.screen_height, device2.screen_height)) {
       score += device1.screen_height === device2.screen_height ? 1 : 0;
       count++;
     }
 
     // Color depth
-    if (device1.screen_color_depth && device2.screen_color_depth) {
+    if (this._bothPresent(device1.screen_color_depth, device2.screen_color_depth)) {
       score += device1.screen_color_depth === device2.screen_color_depth ? 1 : 0;
       count++;
     }
 
     // Pixel ratio (allow small tolerance)
-    if (device1.screen_pixel_ratio && device2.screen_pixel_ratio) {
+    if (this._bothPresent(device1.screen_pixel_ratio, device2.screen_pixel_ratio)) {
       const diff = Math.abs(device1.screen_pixel_ratio - device2.screen_pixel_ratio);
       score += diff < 0.1 ? 1 : 0;
       count++;
     }
 
-    return count > 0 ? score / count : 0;
+    // Color gamut, dynamic range, pointer and hover
+    for (const field of DISPLAY_FEATURE_FIELDS) {
+      if (this._bothPresent(device1[field], device2[field])) {
+        score += this._valuesEqual(device1[field], device2[field]) ? 1 : 0;
+        count++;
+      }
+    }
+
+    return count > 0 ? score / count : null;
   }
 
   /**
-   * Compare font lists using Jaccard similarity
+   * Compare font lists using weighted Jaccard similarity: fonts preinstalled
+   * on common platforms count `commonFontWeight`, rarer fonts count 1
    */
   _compareFonts(fonts1, fonts2) {
     if (!fonts1 || !fonts2 || fonts1.length === 0 || fonts2.length === 0) {
-      return 0;
+      return null;
     }
 
     const set1 = new Set(fonts1);
     const set2 = new Set(fonts2);
 
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
+    let intersection = 0;
+    let union = 0;
+    for (const font of new Set([...set1, ...set2])) {
+      const weight = fontWeight(font, this.commonFontWeight);
+      union += weight;
+      if (set1.has(font) && set2.has(font)) {
+        intersection += weight;
+      }
+    }
+
+    return union > 0 ? intersection / union : null;
+  }
+
+  /**
+   * Compare GPU vendor, renderer and the WebGL render and parameter hashes,
+   * falling back to the WebGL hash
+   */
+  _compareWebGL(device1, device2) {
+    let score = 0;
+    let count = 0;
+
+    for (const field of ['webgl_vendor', 'webgl_renderer']) {
+      const value1 = this._normalizeText(device1[field]);
+      const value2 = this._normalizeText(device2[field]);
+      if (value1 && value2) {
+        score += value1 === value2 ? 1 : 0;
+        count++;
+      }
+    }
+
+    // Devices sharing a renderer string still differ in rendered pixels
+    for (const field of ['webgl_render_hash', 'webgl_parameters_hash']) {
+      const match = this._compareExact(device1[field], device2[field]);
+      if (match !== null) {
+        score += match;
+        count++;
+      }
+    }
+
+    if (count === 0) {
+      return this._compareExact(device1.webgl_fingerprint, device2.webgl_fingerprint);
+    }
+
+    return score / count;
+  }
+
+  /**
+   * Compare timezone and language (same primary language scores half)
+   */
+  _compareLocale(device1, device2) {
+    let score = 0;
+    let count = 0;
+
+    if (this._bothPresent(device1.timezone, device2.timezone)) {
+      score += device1.timezone === device2.timezone ? 1 : 0;
+      count++;
+    }
+
+    const language1 = this._normalizeText(device1.language);
+    const language2 = this._normalizeText(device2.language);
+    if (language1 && language2) {
+      if (language1 === language2) {
+        score += 1;
+      } else if (language1.split('-')[0] === language2.split('-')[0]) {
+        score += 0.5;
+      }
+      count++;
+    }
+
+    return count > 0 ? score / count : null;
+  }
+
+  /**
+   * Compare operating system families, plus codec support and speech voices
+   * (both vary with the OS build) when both profiles have them
+   */
+  _comparePlatform(device1, device2) {
+    let score = 0;
+    let count = 0;
+
+    const family1 = this._osFamily(device1.platform, device1.user_agent);
+    const family2 = this._osFamily(device2.platform, device2.user_agent);
+    if (family1 && family2) {
+      score += family1 === family2 ? 1 : 0;
+      count++;
+    }
+
+    for (const field of ['media_capabilities_hash', 'speech_voices_hash']) {
+      const match = this._compareExact(device1[field], device2[field]);
+      if (match !== null) {
+        score += match;
+        count++;
+      }
+    }
+
+    return count > 0 ? score / count : null;
+  }
+
+  /**
+   * Derive the OS family from navigator.platform and the user agent
+   */
+  _osFamily(platform, userAgent) {
+    const value = `${platform || ''} ${userAgent || ''}`.toLowerCase();
+
+    // Order matters: Android reports Linux, iOS reports "like Mac OS X";
+    // Windows is matched as a word so "Darwin" and the like are not Windows
+    const families = [
+      ['android', /android/],
+      ['ios', /iphone|ipad|ipod/],
+      ['windows', /\bwin(32|64|dows)\b/],
+      ['macos', /mac/],
+      ['chromeos', /cros/],
+      ['linux', /linux|x11/],
+    ];
+
+    for (const [family, pattern] of families) {
+      if (pattern.test(value)) return family;
+    }
+
+    return null;
+  }
 
-    return intersection.size / union.size;
+  /**
+   * Whether both values were actually collected
+   */
+  _bothPresent(value1, value2) {
+    return !isMissingSignal(value1) && !isMissingSignal(value2);
+  }
+
+  /**
+   * Lowercase and trim a string value; null when missing
+   */
+  _normalizeText(value) {
+    if (isMissingSignal(value)) return null;
+    return String(value).trim().toLowerCase();
   }
 
   /**
    * Find best matching device from a list of candidates
+   * @param {Object} options - Passed through to calculateSimilarity
    */
-  findBestMatch(targetDevice, candidateDevices) {
+  findBestMatch(targetDevice, candidateDevices, options = {}) {
     if (!candidateDevices || candidateDevices.length === 0) {
       return null;
     }
@@ -156,7 +522,7 @@ export class FingerprintMatcher {
     let bestScore = 0;
 
     for (const candidate of candidateDevices) {
-      const similarity = this.calculateSimilarity(targetDevice, candidate);
+      const similarity = this.calculateSimilarity(targetDevice, candidate, options);
       
       if (similarity.totalScore > bestScore) {
         bestScore = similarity.totalScore;
@@ -175,15 +541,20 @@ export class FingerprintMatcher {
    */
   classifyChange(oldDevice, newDevice) {
     const similarity = this.calculateSimilarity(oldDevice, newDevice);
-    
-    // Major change indicators
-    const hasOSChange = oldDevice.platform !== newDevice.platform;
-    const hasHardwareChange = 
-      oldDevice.hardware_concurrency !== newDevice.hardware_concurrency ||
-      oldDevice.device_memory !== newDevice.device_memory;
-    const hasScreenChange = 
-      oldDevice.screen_width !== newDevice.screen_width ||
-      oldDevice.screen_height !== newDevice.screen_height;
+    const oldAgent = this._userAgentInfo(oldDevice);
+    const newAgent = this._userAgentInfo(newDevice);
+
+    // Fields of components that timed out are unknown, not changed
+    const missing = this._missingFields(oldDevice, newDevice);
+    const changed = field => !missing.has(field) && oldDevice[field] !== newDevice[field];
+
+    // Major change indicators; navigator.platform only when the OS is unknown
+    const hasOSChange = oldAgent.os.name && newAgent.os.name
+      ? oldAgent.os.name !== newAgent.os.name
+      : oldDevice.platform !== newDevice.platform;
+    const hasHardwareChange = changed('hardware_concurrency') || changed('device_memory');
+    const hasScreenChange = changed('screen_width') || changed('screen_height') ||
+      DISPLAY_FEATURE_FIELDS.some(field => this._optionalChanged(oldDevice, newDevice, field));
 
     if (hasOSChange || hasHardwareChange) {
       return {
@@ -201,8 +572,17 @@ export class FingerprintMatcher {
       };
     }
 
+    // Same OS, new version
+    if (oldAgent.os.version && newAgent.os.version && oldAgent.os.version !== newAgent.os.version) {
+      return {
+        type: 'minor',
+        category: 'os_update',
+        confidence: similarity.totalScore,
+      };
+    }
+
     // Check user agent for browser updates
-    if (this._isBrowserUpdate(oldDevice.user_agent, newDevice.user_agent)) {
+    if (this._isBrowserUpdate(oldAgent.browser, newAgent.browser)) {
       return {
         type: 'minor',
         category: 'browser_update',
@@ -210,6 +590,15 @@ export class FingerprintMatcher {
       };
     }
 
+    // Different browser on the same device (e.g. Chrome to Edge)
+    if (oldAgent.browser.name && newAgent.browser.name && oldAgent.browser.name !== newAgent.browser.name) {
+      return {
+        type: 'minor',
+        category: 'browser_change',
+        confidence: similarity.totalScore,
+      };
+    }
+
     // IP or network change
     if (oldDevice.ip_address !== newDevice.ip_address) {
       return {
@@ -219,7 +608,8 @@ export class FingerprintMatcher {
       };
     }
 
-    // Minor environmental change
+    // Minor environmental change, including toggled preferences
+    // (PREFERENCE_FIELDS): they never make a change major
     return {
       type: 'minor',
       category: 'environmental_change',
@@ -228,39 +618,40 @@ export class FingerprintMatcher {
   }
 
   /**
-   * Check if user agent indicates browser update
+   * Whether a field both profiles have differs between them
    */
-  _isBrowserUpdate(oldUA, newUA) {
-    if (!oldUA || !newUA) return false;
+  _optionalChanged(oldDevice, newDevice, field) {
+    return this._bothPresent(oldDevice[field], newDevice[field]) &&
+      !this._valuesEqual(oldDevice[field], newDevice[field]);
+  }
 
-    // Extract browser name and compare
-    const oldBrowser = this._extractBrowserInfo(oldUA);
-    const newBrowser = this._extractBrowserInfo(newUA);
+  /**
+   * Check if the same browser changed its version
+   */
+  _isBrowserUpdate(oldBrowser, newBrowser) {
+    if (!oldBrowser.name || !newBrowser.name || !oldBrowser.version || !newBrowser.version) return false;
 
-    return oldBrowser.name === newBrowser.name && 
+    return oldBrowser.name === newBrowser.name &&
            oldBrowser.version !== newBrowser.version;
   }
 
   /**
-   * Extract browser name and version from user agent
+   * Browser and OS of a profile: the stored parsed columns, or the parsed
+   * user agent for profiles stored without them
    */
-  _extractBrowserInfo(userAgent) {
-    const patterns = [
-      { name: 'Chrome', pattern: /Chrome\/(\d+)/ },
-      { name: 'Firefox', pattern: /Firefox\/(\d+)/ },
-      { name: 'Safari', pattern: /Safari\/(\d+)/ },
-      { name: 'Edge', pattern: /Edg\/(\d+)/ },
-      { name: 'Opera', pattern: /OPR\/(\d+)/ },
-    ];
-
-    for (const { name, pattern } of patterns) {
-      const match = userAgent.match(pattern);
-      if (match) {
-        return { name, version: match[1] };
-      }
+  _userAgentInfo(device) {
+    if (device.browser_name || device.os_name) {
+      return {
+        browser: { name: device.browser_name ?? null, version: device.browser_version ?? null },
+        os: { name: device.os_name ?? null, version: device.os_version ?? null },
+      };
     }
 
-    return { name: 'Unknown', version: '0' };
+    const parsed = parseUserAgent(device.user_agent);
+    return {
+      browser: { name: parsed.browser.name, version: parsed.browser.version },
+      os: parsed.os,
+    };
   }
 
   /**
@@ -268,44 +659,94 @@ export class FingerprintMatcher {
    */
   detectChanges(oldDevice, newDevice) {
     const changes = [];
+    const missing = this._missingFields(oldDevice, newDevice);
 
-    const fields = [
-      'user_agent',
-      'platform',
-      'language',
-      'timezone',
-      'screen_width',
-      'screen_height',
-      'screen_color_depth',
-      'screen_pixel_ratio',
-      'hardware_concurrency',
-      'device_memory',
-      'canvas_fingerprint',
-      'audio_fingerprint',
-      'webgl_fingerprint',
-      'ip_address',
-      'country',
-      'city',
-    ];
-
-    for (const field of fields) {
-      if (oldDevice[field] !== newDevice[field]) {
+    for (const field of CHANGE_FIELDS) {
+      if (!missing.has(field) && !this._valuesEqual(oldDevice[field], newDevice[field])) {
         changes.push(field);
       }
     }
 
-    // Check font list changes
-    if (JSON.stringify(oldDevice.fonts_list) !== JSON.stringify(newDevice.fonts_list)) {
-      changes.push('fonts_list');
+    for (const field of OPTIONAL_CHANGE_FIELDS) {
+      if (this._optionalChanged(oldDevice, newDevice, field)) {
+        changes.push(field);
+      }
     }
 
-    // Check plugins changes
-    if (JSON.stringify(oldDevice.plugins_list) !== JSON.stringify(newDevice.plugins_list)) {
-      changes.push('plugins_list');
+    for (const field of LIST_CHANGE_FIELDS) {
+      if (!missing.has(field) && !this._listsEqual(oldDevice[field], newDevice[field])) {
+        changes.push(field);
+      }
     }
 
     return changes;
   }
+
+  /**
+   * Fields either profile could not collect (components that timed out on
+   * the client, see deviceInfoToProfile) or whose hashes are randomized
+   */
+  _missingFields(oldDevice, newDevice) {
+    const missing = new Set([...(oldDevice.missing_fields || []), ...(newDevice.missing_fields || [])]);
+
+    for (const [component, field] of Object.entries(NOISY_COMPONENT_FIELDS)) {
+      if (this._isUnstable(oldDevice, component) || this._isUnstable(newDevice, component)) {
+        missing.add(field);
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Before/after values of changed fields
+   * List fields are reduced to the entries that were removed (previous) and
+   * added (new) instead of storing both full lists
+   */
+  describeChanges(oldDevice, newDevice, changedFields = this.detectChanges(oldDevice, newDevice)) {
+    const previousValues = {};
+    const newValues = {};
+
+    for (const field of changedFields) {
+      if (LIST_CHANGE_FIELDS.includes(field)) {
+        const oldList = oldDevice[field] || [];
+        const newList = newDevice[field] || [];
+        previousValues[field] = { removed: oldList.filter(item => !newList.includes(item)) };
+        newValues[field] = { added: newList.filter(item => !oldList.includes(item)) };
+        continue;
+      }
+
+      previousValues[field] = oldDevice[field] ?? null;
+      newValues[field] = newDevice[field] ?? null;
+    }
+
+    return { previousValues, newValues };
+  }
+
+  /**
+   * Whether two lists hold the same entries, in any order (as describeChanges
+   * compares them)
+   */
+  _listsEqual(oldList, newList) {
+    const oldSet = new Set(oldList || []);
+    const newSet = new Set(newList || []);
+    return oldSet.size === newSet.size && [...oldSet].every(item => newSet.has(item));
+  }
+
+  /**
+   * Compare a stored column with a collected value; PostgreSQL returns
+   * DECIMAL columns as strings and absent values as null
+   */
+  _valuesEqual(stored, collected) {
+    if ((stored ?? null) === (collected ?? null)) return true;
+    if (stored === null || stored === undefined || collected === null || collected === undefined) return false;
+
+    if (typeof stored === 'number' || typeof collected === 'number') {
+      return Number(stored) === Number(collected);
+    }
+
+    return false;
+  }
 }
 
 export default FingerprintMatcher;
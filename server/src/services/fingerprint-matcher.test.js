@@ -2,7 +2,10 @@
  * Tests for FingerprintMatcher service
  */
 
-import { FingerprintMatcher } from './fingerprint-matcher.js';
+import crypto from 'crypto';
+import { FingerprintMatcher, normalizeWeights, isMissingSignal } from './fingerprint-matcher.js';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
 
 describe('FingerprintMatcher', () => {
   let matcher;
@@ -13,11 +16,31 @@ describe('FingerprintMatcher', () => {
 
   describe('Initialization', () => {
     it('should initialize with default weights', () => {
-      expect(matcher.weights.canvas).toBe(0.30);
-      expect(matcher.weights.audio).toBe(0.25);
-      expect(matcher.weights.hardware).toBe(0.20);
-      expect(matcher.weights.screen).toBe(0.15);
-      expect(matcher.weights.fonts).toBe(0.10);
+      expect(matcher.weights.canvas).toBeCloseTo(0.25, 10);
+      expect(matcher.weights.audio).toBeCloseTo(0.20, 10);
+      expect(matcher.weights.hardware).toBeCloseTo(0.15, 10);
+      expect(matcher.weights.screen).toBeCloseTo(0.10, 10);
+      expect(matcher.weights.fonts).toBeCloseTo(0.10, 10);
+      expect(matcher.weights.webgl).toBeCloseTo(0.10, 10);
+      expect(matcher.weights.locale).toBeCloseTo(0.05, 10);
+      expect(matcher.weights.platform).toBeCloseTo(0.05, 10);
+    });
+
+    it('should normalize weights overridden through the environment', () => {
+      process.env.FINGERPRINT_WEIGHT_CANVAS = '0.60';
+      process.env.FINGERPRINT_WEIGHT_AUDIO = '0.60';
+
+      try {
+        const weights = new FingerprintMatcher().weights;
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+        expect(total).toBeCloseTo(1.0, 10);
+        expect(weights.canvas).toBeCloseTo(0.60 / 1.75, 10);
+        expect(weights.canvas).toBeCloseTo(weights.audio, 10);
+      } finally {
+        delete process.env.FINGERPRINT_WEIGHT_CANVAS;
+        delete process.env.FINGERPRINT_WEIGHT_AUDIO;
+      }
     });
 
     it('should initialize with default threshold', () => {
@@ -25,6 +48,36 @@ describe('FingerprintMatcher', () => {
     });
   });
 
+  describe('isMissingSignal', () => {
+    it('should treat empty values and failure sentinels as missing', () => {
+      [null, undefined, '', ' ', 'timeout', 'error', 'unavailable', 'unknown', 'Timeout'].forEach(value => {
+        expect(isMissingSignal(value)).toBe(true);
+      });
+    });
+
+    it('should treat stored hashes of sentinels as missing', () => {
+      expect(isMissingSignal(sha256('timeout'))).toBe(true);
+      expect(isMissingSignal(sha256('error'))).toBe(true);
+    });
+
+    it('should accept real values', () => {
+      expect(isMissingSignal(sha256('data:image/png;base64,iVBOR'))).toBe(false);
+      expect(isMissingSignal(8)).toBe(false);
+      expect(isMissingSignal('Europe/Berlin')).toBe(false);
+    });
+  });
+
+  describe('normalizeWeights', () => {
+    it('should scale weights to sum to 1.0', () => {
+      expect(normalizeWeights({ a: 2, b: 6 })).toEqual({ a: 0.25, b: 0.75 });
+    });
+
+    it('should treat invalid or negative weights as 0', () => {
+      expect(normalizeWeights({ a: NaN, b: -1, c: 3 })).toEqual({ a: 0, b: 0, c: 1 });
+      expect(normalizeWeights({ a: 0 })).toEqual({ a: 0 });
+    });
+  });
+
   describe('calculateSimilarity', () => {
     it('should return score of 1.0 for identical devices', () => {
       const device = {
@@ -103,6 +156,148 @@ describe('FingerprintMatcher', () => {
       expect(result.breakdown.canvas).toBeGreaterThan(0);
       expect(result.breakdown.audio).toBeGreaterThan(0);
     });
+
+    it('should renormalize over the remaining components when excluding some', () => {
+      const device1 = {
+        canvas_fingerprint: 'abc123',
+        audio_fingerprint: 'def456',
+        hardware_concurrency: 8,
+        device_memory: 16,
+        screen_width: 1920,
+        screen_height: 1080,
+        fonts_list: ['Arial', 'Verdana'],
+      };
+
+      const device2 = {
+        ...device1,
+        canvas_fingerprint: 'changed',
+        audio_fingerprint: 'changed',
+      };
+
+      const full = matcher.calculateSimilarity(device1, device2);
+      const fuzzy = matcher.calculateSimilarity(device1, device2, { exclude: ['canvas', 'audio'] });
+
+      // Canvas and audio carry 0.45 of the 0.80 compared weight
+      expect(full.totalScore).toBeCloseTo(0.35 / 0.80, 5);
+      expect(fuzzy.totalScore).toBeCloseTo(1.0, 5);
+      expect(fuzzy.breakdown.canvas).toBeUndefined();
+      expect(fuzzy.breakdown.audio).toBeUndefined();
+    });
+
+    it('should not let missing components drag the score down', () => {
+      const device1 = {
+        canvas_fingerprint: 'abc123',
+        hardware_concurrency: 8,
+        device_memory: 16,
+        webgl_vendor: 'Google Inc.',
+        webgl_renderer: 'ANGLE (NVIDIA GeForce RTX 3060)',
+        timezone: 'Europe/Berlin',
+        language: 'de-DE',
+        platform: 'Win32',
+      };
+
+      // Audio, screen and fonts were not collected for the second device
+      const result = matcher.calculateSimilarity(device1, { ...device1 });
+
+      expect(result.totalScore).toBe(1.0);
+      expect(result.breakdown.audio).toBeUndefined();
+      expect(result.breakdown.webgl).toBeCloseTo(0.10, 10);
+      expect(result.coverage).toBeCloseTo(0.60, 10);
+    });
+
+    it('should score the new GPU, locale and platform components', () => {
+      const device1 = {
+        canvas_fingerprint: 'abc123',
+        audio_fingerprint: 'def456',
+        webgl_vendor: 'Google Inc.',
+        webgl_renderer: 'ANGLE (NVIDIA GeForce RTX 3060)',
+        timezone: 'Europe/Berlin',
+        language: 'de-DE',
+        platform: 'Win32',
+      };
+
+      const device2 = {
+        ...device1,
+        webgl_renderer: 'ANGLE (Intel UHD Graphics 630)',
+        language: 'en-US',
+        platform: 'MacIntel',
+      };
+
+      const result = matcher.calculateSimilarity(device1, device2);
+
+      expect(result.breakdown.webgl).toBeCloseTo(0.05, 10);
+      expect(result.breakdown.locale).toBeCloseTo(0.025, 10);
+      expect(result.breakdown.platform).toBe(0);
+      expect(result.totalScore).toBeCloseTo(0.525 / 0.65, 10);
+    });
+
+    it('should skip components with failure sentinels and report them', () => {
+      const device1 = {
+        canvas_fingerprint: 'abc123',
+        audio_fingerprint: 'timeout',
+        hardware_concurrency: 8,
+        device_memory: 'unknown',
+        webgl_vendor: 'unavailable',
+        webgl_renderer: 'unavailable',
+      };
+
+      const device2 = {
+        canvas_fingerprint: 'abc123',
+        audio_fingerprint: 'def456',
+        hardware_concurrency: 8,
+        device_memory: 16,
+        webgl_vendor: 'Google Inc.',
+        webgl_renderer: 'ANGLE (Apple M1)',
+      };
+
+      const result = matcher.calculateSimilarity(device1, device2);
+
+      expect(result.totalScore).toBe(1.0);
+      expect(result.skipped).toEqual(expect.arrayContaining(['audio', 'webgl', 'screen', 'fonts']));
+      expect(result.skipped).not.toContain('canvas');
+      expect(result.skipped).not.toContain('hardware');
+    });
+
+    it('should not match unrelated devices on hashed sentinels', () => {
+      const device1 = {
+        canvas_fingerprint: sha256('error'),
+        audio_fingerprint: sha256('timeout'),
+        hardware_concurrency: 8,
+        device_memory: 16,
+      };
+
+      const device2 = { ...device1, hardware_concurrency: 4, device_memory: 8 };
+
+      const result = matcher.calculateSimilarity(device1, device2);
+
+      expect(result.breakdown.canvas).toBeUndefined();
+      expect(result.breakdown.audio).toBeUndefined();
+      expect(result.skipped).toEqual(expect.arrayContaining(['canvas', 'audio']));
+      expect(result.totalScore).toBe(0);
+    });
+
+    it('should not renormalize below the minimum coverage', () => {
+      const device = { platform: 'Win32', timezone: 'Europe/Berlin' };
+
+      const result = matcher.calculateSimilarity(device, { ...device });
+
+      // Only 0.10 of the weight is comparable; the floor is 0.3
+      expect(result.totalScore).toBeCloseTo(0.10 / 0.3, 10);
+      expect(result.isMatch).toBe(false);
+    });
+
+    it('should honour a threshold override', () => {
+      const device1 = { hardware_concurrency: 8, device_memory: 16 };
+      const device2 = { hardware_concurrency: 8, device_memory: 8 };
+
+      const result = matcher.calculateSimilarity(device1, device2, {
+        exclude: ['canvas', 'audio', 'screen', 'fonts'],
+        threshold: 0.4,
+      });
+
+      expect(result.totalScore).toBeCloseTo(0.5, 5);
+      expect(result.isMatch).toBe(true);
+    });
   });
 
   describe('_compareExact', () => {
@@ -114,10 +309,10 @@ describe('FingerprintMatcher', () => {
       expect(matcher._compareExact('abc123', 'xyz789')).toBe(0);
     });
 
-    it('should return 0 for null values', () => {
-      expect(matcher._compareExact(null, 'abc123')).toBe(0);
-      expect(matcher._compareExact('abc123', null)).toBe(0);
-      expect(matcher._compareExact(null, null)).toBe(0);
+    it('should return null for missing values', () => {
+      expect(matcher._compareExact(null, 'abc123')).toBeNull();
+      expect(matcher._compareExact('abc123', null)).toBeNull();
+      expect(matcher._compareExact(null, null)).toBeNull();
     });
   });
 
@@ -163,6 +358,75 @@ describe('FingerprintMatcher', () => {
 
       expect(matcher._compareHardware(device1, device2)).toBe(0);
     });
+
+    it('should compare the WebGPU adapter and capabilities when both have them', () => {
+      const base = { hardware_concurrency: 8, device_memory: 16 };
+      const device1 = { ...base, webgpu_vendor: 'apple', webgpu_architecture: 'metal-3', webgpu_capabilities_hash: 'caps-a' };
+      const device2 = { ...base, webgpu_vendor: 'Apple', webgpu_architecture: 'metal-3', webgpu_capabilities_hash: 'caps-b' };
+
+      expect(matcher._compareHardware(device1, device2)).toBe(0.75);
+      expect(matcher._compareHardware(device1, base)).toBe(1.0);
+      expect(matcher._compareHardware({ webgpu_vendor: 'nvidia' }, { webgpu_vendor: 'intel' })).toBe(0);
+    });
+  });
+
+  describe('unstable components', () => {
+    const device = { canvas_fingerprint: 'canvas-a', audio_fingerprint: 'audio-a', platform: 'Win32' };
+
+    it('should not compare hashes either profile marked unstable', () => {
+      const noisy = { ...device, canvas_fingerprint: 'canvas-b', unstable_components: ['canvas'] };
+      const result = matcher.calculateSimilarity(device, noisy);
+
+      expect(result.skipped).toContain('canvas');
+      expect(result.breakdown.audio).toBeGreaterThan(0);
+      expect(result.totalScore).toBeCloseTo(result.coverage / matcher.minCoverage, 10);
+    });
+
+    it('should not report randomized hashes as changed', () => {
+      const oldDevice = { ...device, unstable_components: ['canvas', 'audio'] };
+      const newDevice = { ...device, canvas_fingerprint: 'canvas-b', audio_fingerprint: 'audio-b', unstable_components: [] };
+
+      expect(matcher.detectChanges(oldDevice, newDevice)).toEqual([]);
+    });
+  });
+
+  describe('tamper penalty', () => {
+    const device = { canvas_fingerprint: 'canvas-a', audio_fingerprint: 'audio-a', platform: 'Win32' };
+
+    it('should reduce the score of profiles with a high tamper score', () => {
+      const clean = matcher.calculateSimilarity(device, { ...device });
+      const tampered = matcher.calculateSimilarity(device, { ...device, tamper_score: '0.8000' });
+
+      expect(clean.totalScore).toBe(1.0);
+      expect(tampered.tamperScore).toBe(0.8);
+      expect(tampered.totalScore).toBeCloseTo(0.6, 10);
+      expect(tampered.isMatch).toBe(false);
+    });
+
+    it('should ignore tamper scores below the threshold', () => {
+      const result = matcher.calculateSimilarity({ ...device, tamper_score: 0.3 }, device);
+
+      expect(result.totalScore).toBe(1.0);
+      expect(result.tamperScore).toBe(0.3);
+    });
+  });
+
+  describe('_compareAudio', () => {
+    it('should compare the audio hash when both profiles have one', () => {
+      const device1 = { audio_fingerprint: 'audio-a', audio_sample_rate: 48000, audio_channel_count: 2 };
+      const device2 = { audio_fingerprint: 'audio-b', audio_sample_rate: 48000, audio_channel_count: 2 };
+
+      expect(matcher._compareAudio(device1, device2)).toBe(0);
+      expect(matcher._compareAudio(device1, { ...device2, audio_fingerprint: 'audio-a' })).toBe(1.0);
+    });
+
+    it('should fall back to the audio attributes without a hash', () => {
+      const device1 = { audio_fingerprint: 'audio-a', audio_sample_rate: 48000, audio_channel_count: 2, audio_base_latency: '0.010000' };
+      const device2 = { audio_fingerprint: null, audio_sample_rate: 44100, audio_channel_count: 2, audio_base_latency: 0.01 };
+
+      expect(matcher._compareAudio(device1, device2)).toBeCloseTo(2 / 3, 10);
+      expect(matcher._compareAudio({}, device2)).toBeNull();
+    });
   });
 
   describe('_compareScreen', () => {
@@ -223,6 +487,16 @@ describe('FingerprintMatcher', () => {
       expect(similarity).toBeCloseTo(0.5, 2);
     });
 
+    it('should weight rare fonts higher than preinstalled ones', () => {
+      const fonts1 = ['Arial', 'Segoe UI', 'Tahoma', 'Meiryo'];
+      const sharedRare = ['Arial', 'Segoe UI', 'Calibri', 'Meiryo'];
+      const sharedCommon = ['Arial', 'Segoe UI', 'Tahoma', 'Gulim'];
+
+      // Both share 3 of 5 fonts; rare fonts (Meiryo, Gulim) count 1, preinstalled ones 0.2
+      expect(matcher._compareFonts(fonts1, sharedRare)).toBeCloseTo(1.4 / 1.8, 5);
+      expect(matcher._compareFonts(fonts1, sharedCommon)).toBeCloseTo(0.6 / 2.6, 5);
+    });
+
     it('should return 0 for completely different fonts', () => {
       const fonts1 = ['Arial', 'Verdana', 'Times'];
       const fonts2 = ['Helvetica', 'Georgia', 'Courier'];
@@ -230,16 +504,85 @@ describe('FingerprintMatcher', () => {
       expect(matcher._compareFonts(fonts1, fonts2)).toBe(0);
     });
 
-    it('should return 0 for empty font lists', () => {
-      expect(matcher._compareFonts([], [])).toBe(0);
-      expect(matcher._compareFonts(['Arial'], [])).toBe(0);
-      expect(matcher._compareFonts([], ['Arial'])).toBe(0);
+    it('should return null for empty font lists', () => {
+      expect(matcher._compareFonts([], [])).toBeNull();
+      expect(matcher._compareFonts(['Arial'], [])).toBeNull();
+      expect(matcher._compareFonts([], ['Arial'])).toBeNull();
     });
 
     it('should handle null or undefined font lists', () => {
-      expect(matcher._compareFonts(null, null)).toBe(0);
-      expect(matcher._compareFonts(undefined, undefined)).toBe(0);
-      expect(matcher._compareFonts(['Arial'], null)).toBe(0);
+      expect(matcher._compareFonts(null, null)).toBeNull();
+      expect(matcher._compareFonts(undefined, undefined)).toBeNull();
+      expect(matcher._compareFonts(['Arial'], null)).toBeNull();
+    });
+  });
+
+  describe('_compareWebGL', () => {
+    it('should compare vendor and renderer case-insensitively', () => {
+      const device1 = { webgl_vendor: 'Google Inc.', webgl_renderer: 'ANGLE (Apple M1)' };
+      const device2 = { webgl_vendor: 'google inc.', webgl_renderer: 'ANGLE (Apple M2)' };
+
+      expect(matcher._compareWebGL(device1, device1)).toBe(1.0);
+      expect(matcher._compareWebGL(device1, device2)).toBe(0.5);
+    });
+
+    it('should tell devices sharing a renderer apart by render and parameter hashes', () => {
+      const base = { webgl_vendor: 'Google Inc.', webgl_renderer: 'ANGLE (Intel UHD Graphics 630)' };
+      const device1 = { ...base, webgl_render_hash: 'render-a', webgl_parameters_hash: 'params-a' };
+      const device2 = { ...base, webgl_render_hash: 'render-b', webgl_parameters_hash: 'params-a' };
+
+      expect(matcher._compareWebGL(device1, device2)).toBe(0.75);
+      expect(matcher._compareWebGL(device1, base)).toBe(1.0);
+    });
+
+    it('should fall back to the WebGL fingerprint', () => {
+      expect(matcher._compareWebGL({ webgl_fingerprint: 'abc' }, { webgl_fingerprint: 'abc' })).toBe(1.0);
+      expect(matcher._compareWebGL({}, { webgl_renderer: 'ANGLE (Apple M1)' })).toBeNull();
+    });
+  });
+
+  describe('_compareLocale', () => {
+    it('should give partial credit for the same primary language', () => {
+      const device1 = { timezone: 'America/New_York', language: 'en-US' };
+
+      expect(matcher._compareLocale(device1, { ...device1 })).toBe(1.0);
+      expect(matcher._compareLocale(device1, { ...device1, language: 'en-GB' })).toBe(0.75);
+      expect(matcher._compareLocale(device1, { timezone: 'Asia/Tokyo', language: 'ja' })).toBe(0);
+    });
+
+    it('should return null without locale data', () => {
+      expect(matcher._compareLocale({ timezone: 'UTC' }, {})).toBeNull();
+    });
+  });
+
+  describe('_comparePlatform', () => {
+    it('should compare OS families rather than exact platforms', () => {
+      expect(matcher._comparePlatform({ platform: 'Win32' }, { platform: 'Win64' })).toBe(1.0);
+      expect(matcher._comparePlatform({ platform: 'Win32' }, { platform: 'MacIntel' })).toBe(0);
+    });
+
+    it('should recognize mobile platforms from the user agent', () => {
+      expect(matcher._osFamily('Linux armv8l', 'Mozilla/5.0 (Linux; Android 14; Pixel 8)')).toBe('android');
+      expect(matcher._osFamily('iPhone', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)')).toBe('ios');
+      expect(matcher._osFamily('Linux x86_64', 'Mozilla/5.0 (X11; Linux x86_64)')).toBe('linux');
+    });
+
+    it('should only match Windows as a word', () => {
+      expect(matcher._osFamily('Win32', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)')).toBe('windows');
+      expect(matcher._osFamily('Darwin', 'CFNetwork/1410.0.3 Darwin/22.6.0 (Macintosh)')).toBe('macos');
+      expect(matcher._osFamily('Linux x86_64', 'Mozilla/5.0 (X11; Linux x86_64) Winamp/5.9')).toBe('linux');
+    });
+
+    it('should return null for unknown platforms', () => {
+      expect(matcher._comparePlatform({ platform: 'Win32' }, {})).toBeNull();
+    });
+
+    it('should compare codec support and speech voices when both have them', () => {
+      const device1 = { platform: 'Win32', media_capabilities_hash: 'media-a', speech_voices_hash: 'voices-a' };
+      const device2 = { platform: 'Win32', media_capabilities_hash: 'media-a', speech_voices_hash: 'voices-b' };
+
+      expect(matcher._comparePlatform(device1, device2)).toBeCloseTo(2 / 3, 10);
+      expect(matcher._comparePlatform(device1, { platform: 'Win64', speech_voices_hash: null })).toBe(1.0);
     });
   });
 
@@ -319,9 +662,63 @@ describe('FingerprintMatcher', () => {
 
       expect(result).toBeNull();
     });
+
+    it('should pass options through to similarity scoring', () => {
+      const targetDevice = {
+        canvas_fingerprint: 'new-canvas',
+        audio_fingerprint: 'new-audio',
+        hardware_concurrency: 8,
+        device_memory: 16,
+        screen_width: 1920,
+        screen_height: 1080,
+        fonts_list: ['Arial', 'Verdana'],
+      };
+
+      const candidates = [
+        {
+          ...targetDevice,
+          canvas_fingerprint: 'old-canvas',
+          audio_fingerprint: 'old-audio',
+        },
+      ];
+
+      expect(matcher.findBestMatch(targetDevice, candidates)).toBeNull();
+
+      const result = matcher.findBestMatch(targetDevice, candidates, {
+        exclude: ['canvas', 'audio'],
+        threshold: 0.9,
+      });
+
+      expect(result).not.toBeNull();
+      expect(result.device).toBe(candidates[0]);
+    });
   });
 
   describe('classifyChange', () => {
+    it('should treat toggled preferences as an environmental change', () => {
+      const oldDevice = {
+        platform: 'Win32',
+        canvas_fingerprint: 'canvas-a',
+        ip_address: '203.0.113.5',
+        css_color_scheme: 'light',
+        css_reduced_motion: 'no-preference',
+      };
+      const newDevice = { ...oldDevice, css_color_scheme: 'dark', css_reduced_motion: 'reduce' };
+
+      const result = matcher.classifyChange(oldDevice, newDevice);
+
+      expect(result).toMatchObject({ type: 'minor', category: 'environmental_change', confidence: 1.0 });
+      expect(matcher.detectChanges(oldDevice, newDevice)).toEqual(['css_color_scheme', 'css_reduced_motion']);
+    });
+
+    it('should classify a different display or input device as a screen change', () => {
+      const oldDevice = { platform: 'Win32', css_color_gamut: 'srgb', css_pointer: 'fine' };
+      const newDevice = { ...oldDevice, css_color_gamut: 'p3' };
+
+      expect(matcher.classifyChange(oldDevice, newDevice)).toMatchObject({ type: 'minor', category: 'screen_change' });
+      expect(matcher._compareScreen(oldDevice, newDevice)).toBe(0.5);
+    });
+
     it('should classify OS change as major', () => {
       const oldDevice = {
         platform: 'Win32',
@@ -409,5 +806,146 @@ describe('FingerprintMatcher', () => {
       expect(result.type).toBe('minor');
       expect(result.category).toBe('browser_update');
     });
+
+    it('should not treat a switch between Chromium browsers as a browser update', () => {
+      const base = {
+        platform: 'Win32',
+        hardware_concurrency: 8,
+        device_memory: 16,
+        screen_width: 1920,
+        screen_height: 1080,
+      };
+
+      const result = matcher.classifyChange(
+        { ...base, user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36' },
+        { ...base, user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/121.0.0.0 Safari/537.36 Edg/121.0.0.0' },
+      );
+
+      expect(result.category).toBe('browser_change');
+    });
+
+    it('should classify a new OS version as a minor OS update', () => {
+      const base = { platform: 'MacIntel', hardware_concurrency: 8, device_memory: 16 };
+
+      const result = matcher.classifyChange(
+        { ...base, user_agent: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) Version/16.6 Mobile/15E148 Safari/604.1' },
+        { ...base, user_agent: 'Mozilla/5.0 (iPad; CPU OS 17_1 like Mac OS X) Version/16.6 Mobile/15E148 Safari/604.1' },
+      );
+
+      expect(result.type).toBe('minor');
+      expect(result.category).toBe('os_update');
+    });
+
+    it('should prefer the stored parsed columns', () => {
+      const base = { platform: 'Linux armv8l', hardware_concurrency: 8, device_memory: 8 };
+
+      const result = matcher.classifyChange(
+        { ...base, os_name: 'Android', browser_name: 'Chrome', browser_version: '119.0.0.0' },
+        { ...base, os_name: 'Android', browser_name: 'Chrome', browser_version: '120.0.0.0' },
+      );
+
+      expect(result.category).toBe('browser_update');
+    });
+
+    it('should not treat timed-out components as hardware or screen changes', () => {
+      const oldDevice = { platform: 'Win32', hardware_concurrency: 8, device_memory: 16, screen_width: 1920, screen_height: 1080 };
+      const newDevice = {
+        platform: 'Win32',
+        hardware_concurrency: null,
+        device_memory: null,
+        screen_width: null,
+        screen_height: null,
+        missing_fields: ['hardware_concurrency', 'device_memory', 'screen_width', 'screen_height'],
+      };
+
+      const result = matcher.classifyChange(oldDevice, newDevice);
+
+      expect(result.type).toBe('minor');
+      expect(result.category).toBe('environmental_change');
+    });
+  });
+
+  describe('detectChanges', () => {
+    it('should not report DECIMAL columns returned as strings', () => {
+      const stored = { screen_pixel_ratio: '2.00', device_memory: 8, fonts_list: ['Arial'] };
+      const current = { screen_pixel_ratio: 2, device_memory: 8, fonts_list: ['Arial'] };
+
+      expect(matcher.detectChanges(stored, current)).toEqual([]);
+    });
+
+    it('should compare lists regardless of order', () => {
+      const stored = { fonts_list: ['Arial', 'Verdana', 'Tahoma'], plugins_list: ['PDF Viewer'] };
+
+      expect(matcher.detectChanges(stored, { fonts_list: ['Tahoma', 'Arial', 'Verdana'], plugins_list: ['PDF Viewer'] }))
+        .toEqual([]);
+      expect(matcher.detectChanges(stored, { fonts_list: ['Tahoma', 'Arial'], plugins_list: ['PDF Viewer'] }))
+        .toEqual(['fonts_list']);
+    });
+
+    it('should treat missing and null values as equal', () => {
+      expect(matcher.detectChanges({ city: null }, {})).toEqual([]);
+      expect(matcher.detectChanges({ city: null }, { city: 'Berlin' })).toEqual(['city']);
+    });
+
+    it('should only compare WebGL render hashes when both profiles have them', () => {
+      expect(matcher.detectChanges({ webgl_render_hash: null }, { webgl_render_hash: 'abc' })).toEqual([]);
+      expect(matcher.detectChanges({ webgl_render_hash: 'abc' }, { webgl_render_hash: 'def' }))
+        .toEqual(['webgl_render_hash']);
+    });
+
+    it('should skip fields of timed-out components', () => {
+      const stored = { canvas_fingerprint: 'abc', fonts_list: ['Arial'], timezone: 'Europe/Berlin' };
+      const current = {
+        canvas_fingerprint: null,
+        fonts_list: [],
+        timezone: 'Europe/Paris',
+        missing_fields: ['canvas_fingerprint', 'fonts_list'],
+      };
+
+      expect(matcher.detectChanges(stored, current)).toEqual(['timezone']);
+    });
+
+    it('should skip fields the stored profile could not collect', () => {
+      const stored = {
+        hardware_concurrency: null,
+        device_memory: null,
+        fonts_list: [],
+        missing_fields: ['hardware_concurrency', 'device_memory', 'max_touch_points', 'fonts_list'],
+      };
+      const current = { hardware_concurrency: 8, device_memory: 16, fonts_list: ['Arial', 'Verdana'] };
+
+      expect(matcher.detectChanges(stored, current)).toEqual([]);
+      expect(matcher.classifyChange(stored, current).category).toBe('environmental_change');
+    });
+  });
+
+  describe('describeChanges', () => {
+    it('should return before/after values of changed fields', () => {
+      const result = matcher.describeChanges(
+        { user_agent: 'Chrome/119', timezone: 'Europe/Berlin' },
+        { user_agent: 'Chrome/120', timezone: 'Europe/Berlin' },
+      );
+
+      expect(result).toEqual({
+        previousValues: { user_agent: 'Chrome/119' },
+        newValues: { user_agent: 'Chrome/120' },
+      });
+    });
+
+    it('should store list changes as removed/added entries', () => {
+      const result = matcher.describeChanges(
+        { fonts_list: ['Arial', 'Verdana', 'Tahoma'], plugins_list: ['PDF Viewer'] },
+        { fonts_list: ['Arial', 'Tahoma', 'Calibri'], plugins_list: [] },
+      );
+
+      expect(result.previousValues).toEqual({
+        fonts_list: { removed: ['Verdana'] },
+        plugins_list: { removed: ['PDF Viewer'] },
+      });
+      expect(result.newValues).toEqual({
+        fonts_list: { added: ['Calibri'] },
+        plugins_list: { added: [] },
+      });
+    });
   });
 });
@@ -0,0 +1,51 @@
+/**
+ * Font rarity
+ * Fonts that ship with a default Windows, macOS, Linux or Android install are
+ * present on most devices and say little about which device is which; the
+ * matcher's weighted Jaccard gives them a lower weight than rarer fonts
+ * (CJK packs, Office and design software, ...)
+ */
+
+export const COMMON_FONTS = new Set([
+  // Cross-platform core fonts
+  'Arial', 'Arial Black', 'Comic Sans MS', 'Courier', 'Courier New', 'Georgia', 'Helvetica',
+  'Impact', 'Times', 'Times New Roman', 'Trebuchet MS', 'Verdana', 'Webdings', 'Wingdings',
+  'Symbol',
+
+  // Windows
+  'Bahnschrift', 'Calibri', 'Calibri Light', 'Cambria', 'Cambria Math', 'Candara', 'Consolas',
+  'Constantia', 'Corbel', 'Ebrima', 'Franklin Gothic Medium', 'Gabriola', 'Gadugi', 'Ink Free',
+  'Javanese Text', 'Leelawadee UI', 'Lucida Console', 'Lucida Sans Unicode', 'Malgun Gothic', 'Marlett',
+  'Microsoft Himalaya', 'Microsoft JhengHei', 'Microsoft New Tai Lue', 'Microsoft PhagsPa',
+  'Microsoft Sans Serif', 'Microsoft Tai Le', 'Microsoft YaHei', 'Microsoft Yi Baiti', 'MingLiU-ExtB',
+  'Mongolian Baiti', 'MS Gothic', 'MS PGothic', 'MS Sans Serif', 'MS Serif', 'MS UI Gothic', 'MV Boli',
+  'Myanmar Text', 'Nirmala UI', 'Palatino Linotype', 'Segoe MDL2 Assets', 'Segoe Print', 'Segoe Script',
+  'Segoe UI', 'Segoe UI Black', 'Segoe UI Emoji', 'Segoe UI Historic', 'Segoe UI Light',
+  'Segoe UI Semibold', 'Segoe UI Semilight', 'Segoe UI Symbol', 'SimSun', 'SimSun-ExtB', 'Sitka Text',
+  'Sylfaen', 'Tahoma', 'Yu Gothic', 'Yu Gothic UI',
+
+  // macOS
+  'American Typewriter', 'Andale Mono', 'Apple Color Emoji', 'Apple SD Gothic Neo', 'Apple Symbols',
+  'Arial Hebrew', 'Arial Narrow', 'Arial Rounded MT Bold', 'Arial Unicode MS', 'Avenir', 'Avenir Next',
+  'Baskerville', 'Big Caslon', 'Bradley Hand', 'Brush Script MT', 'Chalkboard', 'Chalkboard SE',
+  'Chalkduster', 'Charter', 'Cochin', 'Copperplate', 'Didot', 'Futura', 'Geneva', 'Gill Sans',
+  'Helvetica Neue', 'Herculanum', 'Hiragino Sans', 'Hoefler Text', 'Lucida Grande', 'Marker Felt',
+  'Menlo', 'Monaco', 'Noteworthy', 'Optima', 'Palatino', 'Papyrus', 'PingFang SC', 'Rockwell',
+  'Skia', 'Snell Roundhand', 'STIXGeneral', 'Thonburi', 'Zapf Dingbats', 'Zapfino',
+
+  // Linux and Android
+  'DejaVu Sans', 'DejaVu Sans Mono', 'DejaVu Serif', 'Droid Sans', 'Droid Sans Mono', 'Droid Serif',
+  'Liberation Mono', 'Liberation Sans', 'Liberation Serif', 'Noto Color Emoji', 'Noto Mono',
+  'Noto Sans', 'Noto Serif', 'Roboto', 'Ubuntu', 'Cantarell', 'FreeMono', 'FreeSans', 'FreeSerif',
+]);
+
+/**
+ * Weight of a font in the weighted Jaccard comparison
+ * @param {string} font - Font family name
+ * @param {number} commonWeight - Weight of fonts in COMMON_FONTS (others weigh 1)
+ */
+export function fontWeight(font, commonWeight) {
+  return COMMON_FONTS.has(font) ? commonWeight : 1.0;
+}
+
+export default { COMMON_FONTS, fontWeight };
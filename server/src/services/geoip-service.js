@@ -0,0 +1,298 @@
+/**
+ * Offline GeoIP / ASN enrichment service
+ * Looks up client IPs in local MaxMind (.mmdb) or CSV databases and
+ * reloads them when the files are replaced on disk
+ */
+import fs from 'fs';
+import net from 'net';
+import { Reader } from 'maxmind';
+
+const EMPTY_RESULT = {
+  country: null,
+  city: null,
+  latitude: null,
+  longitude: null,
+  asn: null,
+  isp: null,
+};
+
+/**
+ * Convert an IPv4 or IPv6 address to a BigInt for range comparisons
+ */
+export function ipToBigInt(ip) {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+  }
+
+  if (!net.isIPv6(ip)) {
+    throw new Error(`Invalid IP address: ${ip}`);
+  }
+
+  let address = ip.toLowerCase();
+
+  // Trailing dotted quad (e.g. 64:ff9b::192.0.2.1)
+  const dotted = address.match(/(\d{1,3}(\.\d{1,3}){3})$/);
+  if (dotted) {
+    const value = ipToBigInt(dotted[1]);
+    address = address.slice(0, -dotted[1].length) +
+      `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups];
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Parse a single CSV line, honouring double-quoted fields
+ */
+export function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current);
+  return fields.map(field => field.trim());
+}
+
+/**
+ * Range table built from a CSV file with a `network` (CIDR) column and any of
+ * country, city, latitude, longitude, asn and isp
+ */
+export class CsvGeoDatabase {
+  constructor(content) {
+    this.ranges = { ipv4: [], ipv6: [] };
+    // Rows without a valid CIDR network are skipped and counted
+    this.skipped = 0;
+
+    const lines = String(content).split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) {
+      throw new Error('GeoIP CSV file is empty');
+    }
+
+    const header = parseCsvLine(lines[0]).map(column => column.toLowerCase());
+    if (!header.includes('network')) {
+      throw new Error('GeoIP CSV file must have a "network" column');
+    }
+
+    for (const line of lines.slice(1)) {
+      const values = parseCsvLine(line);
+      const row = { ...EMPTY_RESULT };
+      header.forEach((column, i) => {
+        row[column] = values[i] || null;
+      });
+      const [network, prefixValue, ...rest] = (row.network || '').split('/');
+      const type = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+      const bits = type === 'ipv6' ? 128n : 32n;
+      const validPrefix = prefixValue === undefined || (/^\d+$/.test(prefixValue) && BigInt(prefixValue) <= bits);
+      if (!net.isIP(network) || rest.length > 0 || !validPrefix) {
+        this.skipped++;
+        continue;
+      }
+      const prefix = BigInt(prefixValue ?? bits);
+      const size = 1n << (bits - prefix);
+      const start = (ipToBigInt(network) / size) * size;
+
+      this.ranges[type].push({
+        start,
+        end: start + size - 1n,
+        record: {
+          country: row.country,
+          city: row.city,
+          latitude: row.latitude !== null ? parseFloat(row.latitude) : null,
+          longitude: row.longitude !== null ? parseFloat(row.longitude) : null,
+          asn: row.asn !== null ? parseInt(String(row.asn).replace(/^AS/i, ''), 10) : null,
+          isp: row.isp,
+        },
+      });
+    }
+
+    for (const type of Object.keys(this.ranges)) {
+      this.ranges[type].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+  }
+
+  /**
+   * Find the record whose network contains the IP (binary search)
+   */
+  get(ip) {
+    const ranges = this.ranges[net.isIPv6(ip) ? 'ipv6' : 'ipv4'];
+    const value = ipToBigInt(ip);
+
+    let low = 0;
+    let high = ranges.length - 1;
+    let candidate = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (ranges[mid].start <= value) {
+        candidate = ranges[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return candidate && value <= candidate.end ? candidate.record : null;
+  }
+}
+
+/**
+ * Map a MaxMind record (City, Country, ASN or ISP database) to profile fields
+ */
+export function mapMaxMindRecord(record) {
+  if (!record) return null;
+
+  return {
+    country: record.country?.iso_code || record.registered_country?.iso_code || null,
+    city: record.city?.names?.en || null,
+    latitude: record.location?.latitude ?? null,
+    longitude: record.location?.longitude ?? null,
+    asn: record.autonomous_system_number ?? null,
+    isp: record.isp || record.autonomous_system_organization || null,
+  };
+}
+
+export class GeoIPService {
+  constructor(options = {}) {
+    const paths = options.paths || [
+      process.env.GEOIP_DATABASE_PATH,
+      process.env.GEOIP_ASN_DATABASE_PATH,
+    ];
+
+    this.watch = options.watch ?? process.env.GEOIP_WATCH !== 'false';
+    this.watchInterval = options.watchInterval ??
+      parseInt(process.env.GEOIP_WATCH_INTERVAL_MS || '60000');
+
+    // One source per configured file; each holds its current reader
+    this.sources = paths.filter(Boolean).map(path => ({
+      path,
+      reader: null,
+      watching: false,
+    }));
+
+    this._loading = null;
+  }
+
+  /**
+   * Whether any database file is configured
+   */
+  isEnabled() {
+    return this.sources.length > 0;
+  }
+
+  /**
+   * Look up an IP address across all configured databases
+   * Returns null when nothing is configured or nothing matches
+   */
+  async lookup(ip) {
+    if (!ip || !this.isEnabled()) return null;
+
+    await this._ensureLoaded();
+
+    const result = { ...EMPTY_RESULT };
+    let found = false;
+
+    for (const source of this.sources) {
+      if (!source.reader) continue;
+
+      const record = source.reader.get(ip);
+      const fields = source.reader instanceof CsvGeoDatabase ? record : mapMaxMindRecord(record);
+      if (!fields) continue;
+
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== null && value !== undefined && result[key] === null) {
+          result[key] = value;
+          found = true;
+        }
+      }
+    }
+
+    return found ? result : null;
+  }
+
+  /**
+   * Load every source once and start watching for replacements
+   */
+  async _ensureLoaded() {
+    if (!this._loading) {
+      this._loading = Promise.all(this.sources.map(async (source) => {
+        await this._loadSource(source);
+        this._watchSource(source);
+      }));
+    }
+    return this._loading;
+  }
+
+  /**
+   * (Re)load a single database file; keeps the previous reader on failure
+   */
+  async _loadSource(source) {
+    try {
+      const buffer = await fs.promises.readFile(source.path);
+      source.reader = source.path.toLowerCase().endsWith('.csv')
+        ? new CsvGeoDatabase(buffer.toString('utf-8'))
+        : new Reader(buffer);
+      console.log(`✓ GeoIP database loaded: ${source.path}`);
+      if (source.reader.skipped > 0) {
+        console.warn(`GeoIP database ${source.path}: skipped ${source.reader.skipped} malformed rows`);
+      }
+    } catch (error) {
+      console.warn(`GeoIP database could not be loaded (${source.path}):`, error.message);
+    }
+  }
+
+  /**
+   * Poll the file so replacements (including atomic renames) are picked up
+   */
+  _watchSource(source) {
+    if (!this.watch || source.watching) return;
+
+    fs.watchFile(source.path, { interval: this.watchInterval, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size || curr.ino !== prev.ino) {
+        this._loadSource(source);
+      }
+    });
+    source.watching = true;
+  }
+
+  /**
+   * Stop watching database files
+   */
+  close() {
+    for (const source of this.sources) {
+      if (source.watching) {
+        fs.unwatchFile(source.path);
+        source.watching = false;
+      }
+    }
+  }
+}
+
+export default GeoIPService;
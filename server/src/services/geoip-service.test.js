@@ -0,0 +1,209 @@
+/**
+ * Tests for GeoIPService
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  GeoIPService,
+  CsvGeoDatabase,
+  ipToBigInt,
+  parseCsvLine,
+  mapMaxMindRecord,
+} from './geoip-service.js';
+
+const CSV_CONTENT = [
+  'network,country,city,latitude,longitude,asn,isp',
+  '203.0.113.0/24,US,Seattle,47.6062,-122.3321,AS64500,"Example Networks, Inc."',
+  '198.51.100.0/25,DE,Berlin,52.52,13.405,64501,Beispiel GmbH',
+  '2001:db8::/32,JP,Tokyo,35.6895,139.6917,64502,Example JP',
+].join('\n');
+
+describe('GeoIPService', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iky-geoip-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('ipToBigInt', () => {
+    it('should convert IPv4 addresses', () => {
+      expect(ipToBigInt('0.0.0.1')).toBe(1n);
+      expect(ipToBigInt('1.0.0.0')).toBe(16777216n);
+    });
+
+    it('should convert IPv6 addresses with compression and embedded IPv4', () => {
+      expect(ipToBigInt('::1')).toBe(1n);
+      expect(ipToBigInt('2001:db8::')).toBe(0x20010db8n << 96n);
+      expect(ipToBigInt('::192.0.2.1')).toBe(ipToBigInt('192.0.2.1'));
+    });
+  });
+
+  describe('parseCsvLine', () => {
+    it('should handle quoted fields with commas and escaped quotes', () => {
+      expect(parseCsvLine('a,"b, c","say ""hi"""')).toEqual(['a', 'b, c', 'say "hi"']);
+    });
+  });
+
+  describe('CsvGeoDatabase', () => {
+    it('should find records by network', () => {
+      const db = new CsvGeoDatabase(CSV_CONTENT);
+
+      expect(db.get('203.0.113.77')).toEqual({
+        country: 'US',
+        city: 'Seattle',
+        latitude: 47.6062,
+        longitude: -122.3321,
+        asn: 64500,
+        isp: 'Example Networks, Inc.',
+      });
+      expect(db.get('198.51.100.12').country).toBe('DE');
+      expect(db.get('2001:db8:1234::5').city).toBe('Tokyo');
+    });
+
+    it('should return null outside of every network', () => {
+      const db = new CsvGeoDatabase(CSV_CONTENT);
+
+      expect(db.get('198.51.100.200')).toBeNull();
+      expect(db.get('192.0.2.1')).toBeNull();
+      expect(db.get('2001:db9::1')).toBeNull();
+    });
+
+    it('should skip and count rows with a malformed network', () => {
+      const content = [
+        'network,country',
+        ',US',
+        'not-an-ip/24,US',
+        '198.51.100.0/abc,US',
+        '198.51.100.0/33,US',
+        '203.0.113.0/24,DE',
+      ].join('\n');
+      const db = new CsvGeoDatabase(content);
+
+      expect(db.skipped).toBe(4);
+      expect(db.get('203.0.113.9').country).toBe('DE');
+      expect(db.get('198.51.100.1')).toBeNull();
+    });
+
+    it('should require a network column', () => {
+      expect(() => new CsvGeoDatabase('country,city\nUS,Seattle')).toThrow('network');
+    });
+  });
+
+  describe('mapMaxMindRecord', () => {
+    it('should map City database records', () => {
+      const result = mapMaxMindRecord({
+        country: { iso_code: 'FR' },
+        city: { names: { en: 'Paris' } },
+        location: { latitude: 48.8566, longitude: 2.3522 },
+      });
+
+      expect(result.country).toBe('FR');
+      expect(result.city).toBe('Paris');
+      expect(result.latitude).toBe(48.8566);
+      expect(result.asn).toBeNull();
+    });
+
+    it('should map ASN database records', () => {
+      const result = mapMaxMindRecord({
+        autonomous_system_number: 64500,
+        autonomous_system_organization: 'Example Networks',
+      });
+
+      expect(result.asn).toBe(64500);
+      expect(result.isp).toBe('Example Networks');
+      expect(result.country).toBeNull();
+    });
+
+    it('should return null for missing records', () => {
+      expect(mapMaxMindRecord(null)).toBeNull();
+    });
+  });
+
+  describe('lookup', () => {
+    it('should be disabled without configured paths', async () => {
+      const service = new GeoIPService({ paths: [] });
+
+      expect(service.isEnabled()).toBe(false);
+      expect(await service.lookup('203.0.113.1')).toBeNull();
+    });
+
+    it('should look up IPs from a CSV file', async () => {
+      const file = path.join(tmpDir, 'geo.csv');
+      fs.writeFileSync(file, CSV_CONTENT);
+      const service = new GeoIPService({ paths: [file], watch: false });
+
+      const result = await service.lookup('203.0.113.5');
+
+      expect(result.country).toBe('US');
+      expect(result.isp).toBe('Example Networks, Inc.');
+      expect(await service.lookup('192.0.2.1')).toBeNull();
+    });
+
+    it('should merge fields from several databases', async () => {
+      const cityFile = path.join(tmpDir, 'city.csv');
+      const asnFile = path.join(tmpDir, 'asn.csv');
+      fs.writeFileSync(cityFile, 'network,country,city\n192.0.2.0/24,NL,Amsterdam');
+      fs.writeFileSync(asnFile, 'network,asn,isp\n192.0.0.0/16,64510,Transit BV');
+      const service = new GeoIPService({ paths: [cityFile, asnFile], watch: false });
+
+      const result = await service.lookup('192.0.2.9');
+
+      expect(result).toEqual({
+        country: 'NL',
+        city: 'Amsterdam',
+        latitude: null,
+        longitude: null,
+        asn: 64510,
+        isp: 'Transit BV',
+      });
+    });
+
+    it('should keep working when a file is missing', async () => {
+      const service = new GeoIPService({ paths: [path.join(tmpDir, 'missing.mmdb')], watch: false });
+
+      expect(await service.lookup('203.0.113.5')).toBeNull();
+    });
+  });
+
+  describe('reloading', () => {
+    it('should pick up a replaced file and keep old data on failed reloads', async () => {
+      const file = path.join(tmpDir, 'geo.csv');
+      fs.writeFileSync(file, 'network,country\n203.0.113.0/24,US');
+      const service = new GeoIPService({ paths: [file], watch: false });
+
+      expect((await service.lookup('203.0.113.5')).country).toBe('US');
+
+      fs.writeFileSync(file, 'network,country\n203.0.113.0/24,CA');
+      await service._loadSource(service.sources[0]);
+      expect((await service.lookup('203.0.113.5')).country).toBe('CA');
+
+      fs.writeFileSync(file, 'garbage');
+      await service._loadSource(service.sources[0]);
+      expect((await service.lookup('203.0.113.5')).country).toBe('CA');
+    });
+
+    it('should watch files when enabled and stop on close', async () => {
+      const file = path.join(tmpDir, 'geo.csv');
+      fs.writeFileSync(file, CSV_CONTENT);
+      const watchSpy = jest.spyOn(fs, 'watchFile');
+      const unwatchSpy = jest.spyOn(fs, 'unwatchFile');
+      const service = new GeoIPService({ paths: [file], watch: true, watchInterval: 1000 });
+
+      await service.lookup('203.0.113.5');
+      service.close();
+
+      expect(watchSpy).toHaveBeenCalledWith(file, expect.objectContaining({ persistent: false }), expect.any(Function));
+      expect(unwatchSpy).toHaveBeenCalledWith(file);
+    });
+  });
+});
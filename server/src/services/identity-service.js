@@ -3,158 +3,324 @@
  * Handles user identification, device matching, and change tracking
  */
 import { query, getClient } from '../utils/database.js';
-import FingerprintMatcher from './fingerprint-matcher.js';
-import crypto from 'crypto';
+import { DISPLAY_FEATURE_FIELDS, isMissingSignal, PREFERENCE_FIELDS } from './fingerprint-matcher.js';
+import { createMatcher } from './probabilistic-matcher.js';
+import { deviceInfoToProfile, hashFingerprint } from './device-profile.js';
+import { scoreBot } from './bot-detection.js';
+import GeoIPService from './geoip-service.js';
+import LSHIndex from './lsh-index.js';
+
+// Profile columns loaded for fingerprint candidates
+const CANDIDATE_COLUMNS = `
+        udp.id,
+        udp.user_identity_id,
+        udp.device_session_id,
+        udp.client_uuid,
+        udp.canvas_fingerprint,
+        udp.audio_fingerprint,
+        udp.audio_sample_rate,
+        udp.audio_channel_count,
+        udp.audio_base_latency,
+        udp.webgl_fingerprint,
+        udp.user_agent,
+        udp.platform,
+        udp.language,
+        udp.timezone,
+        udp.screen_width,
+        udp.screen_height,
+        udp.screen_color_depth,
+        udp.screen_pixel_ratio,
+        udp.hardware_concurrency,
+        udp.device_memory,
+        udp.fonts_list,
+        udp.plugins_list,
+        udp.webgl_vendor,
+        udp.webgl_renderer,
+        udp.webgl_render_hash,
+        udp.webgl_parameters_hash,
+        udp.webgpu_vendor,
+        udp.webgpu_architecture,
+        udp.webgpu_capabilities_hash,
+        udp.media_capabilities_hash,
+        udp.speech_voices_hash,
+        udp.css_color_scheme,
+        udp.css_reduced_motion,
+        udp.css_forced_colors,
+        udp.css_inverted_colors,
+        udp.css_color_gamut,
+        udp.css_dynamic_range,
+        udp.css_pointer,
+        udp.css_hover,
+        udp.css_monochrome,
+        udp.max_touch_points,
+        udp.tamper_score,
+        udp.unstable_components,
+        udp.missing_fields,
+        udp.browser_name,
+        udp.browser_version,
+        udp.os_name,
+        udp.os_version,
+        udp.device_type,
+        udp.ip_address,
+        udp.country,
+        udp.city,
+        ui.user_identity_id as user_id`;
+
+// deviceInfoToProfile fields written when a device profile is inserted
+const PROFILE_COLUMNS = [
+  'client_uuid',
+  'canvas_fingerprint', 'audio_fingerprint', 'webgl_fingerprint',
+  'audio_sample_rate', 'audio_channel_count', 'audio_base_latency',
+  'user_agent', 'platform', 'language', 'timezone', 'timezone_offset',
+  'screen_width', 'screen_height', 'screen_color_depth', 'screen_pixel_ratio',
+  'hardware_concurrency', 'device_memory',
+  'fonts_list', 'plugins_list',
+  'ip_address', 'country', 'city', 'isp', 'asn', 'latitude', 'longitude',
+  'webgl_vendor', 'webgl_renderer', 'webgl_render_hash', 'webgl_parameters_hash',
+  'webgpu_vendor', 'webgpu_architecture', 'webgpu_device', 'webgpu_description', 'webgpu_capabilities_hash',
+  'media_capabilities_hash', 'speech_voices_hash', 'speech_voices_count',
+  'css_color_scheme', 'css_reduced_motion', 'css_forced_colors', 'css_inverted_colors',
+  'css_color_gamut', 'css_dynamic_range', 'css_pointer', 'css_hover', 'css_monochrome',
+  'max_touch_points', 'tamper_score', 'tamper_rules', 'unstable_components', 'worker_mismatches', 'private_mode',
+  'missing_fields',
+  'browser_name', 'browser_version', 'engine_name', 'engine_version',
+  'os_name', 'os_version', 'device_type', 'device_vendor', 'device_model',
+  'cpu_architecture', 'cpu_bitness',
+];
+
+// Profile fields whose change is updated on the current session instead of
+// recorded as a device change
+const IN_PLACE_FIELDS = [...PREFERENCE_FIELDS, ...DISPLAY_FEATURE_FIELDS];
+
+// First key of the two-key advisory locks taken by identify()
+const CLIENT_UUID_LOCK_NAMESPACE = 0x494b59;
 
 export class IdentityService {
   constructor() {
-    this.matcher = new FingerprintMatcher();
+    this.matcher = createMatcher();
+    this.geoip = new GeoIPService();
+    this.lsh = new LSHIndex();
+
+    // Second-stage (fuzzy) candidate search
+    this.fuzzyCandidateLimit = parseInt(process.env.FUZZY_CANDIDATE_LIMIT || '50');
+    this.fuzzyThreshold = parseFloat(process.env.FUZZY_MATCH_THRESHOLD || '0.90');
+
+    // Private windows lose their UUID whenever they close, so their identity
+    // is recovered with lower thresholds
+    this.privateMatchThreshold = parseFloat(process.env.PRIVATE_MATCH_THRESHOLD || '0.65');
+    this.privateFuzzyThreshold = parseFloat(process.env.PRIVATE_FUZZY_MATCH_THRESHOLD || '0.80');
+
+    // Bot score at which new-user creation is flagged or blocked
+    // (BOT_NEW_USER_ACTION: 'allow', 'flag' or 'block')
+    this.botScoreThreshold = parseFloat(process.env.BOT_SCORE_THRESHOLD || '0.7');
+    this.botNewUserAction = process.env.BOT_NEW_USER_ACTION || 'flag';
   }
 
   /**
    * Main identification method
+   * @param {string} clientUUID - Client-generated UUID
+   * @param {Object} deviceInfo - Device information collected by the client
+   * @param {Object} requestContext - Request context (client IP, proxy chain, headers)
    */
-  async identify(clientUUID, deviceInfo) {
+  async identify(clientUUID, deviceInfo, requestContext = {}) {
     const startTime = Date.now();
+    const context = { ...await this._enrichContext(requestContext), bot: scoreBot(deviceInfo) };
     
     try {
-      // Step 1: Try UUID-based identification
-      const uuidMatch = await this._identifyByUUID(clientUUID);
-      
-      if (uuidMatch) {
-        // Check for device changes
-        const changeDetection = await this._detectDeviceChange(uuidMatch, deviceInfo);
-        
-        if (changeDetection.hasChanged) {
-          // Create new device session
-          const newSession = await this._createDeviceSession(
-            uuidMatch.user_identity_id,
-            clientUUID,
-            deviceInfo,
-          );
-          
-          // Record change history
-          await this._recordDeviceChange(
-            uuidMatch.user_identity_id,
-            newSession.device_session_id,
-            uuidMatch.device_session_id,
-            changeDetection,
-          );
-
-          // Update user last seen
-          await this._updateUserLastSeen(uuidMatch.user_identity_id);
-
-          await this._logMatching(clientUUID, uuidMatch.user_identity_id, 'recognized', 'uuid_direct', 1.0, Date.now() - startTime, deviceInfo);
-
-          return {
-            user_id: uuidMatch.user_identity_id,
-            session_id: newSession.device_session_id,
-            status: 'recognized',
-            confidence: 1.0,
-            is_device_changed: true,
-            change_type: changeDetection.changeType,
-          };
-        } else {
-          // Update existing session
-          await this._updateDeviceSession(uuidMatch.device_session_id, deviceInfo);
-          await this._updateUserLastSeen(uuidMatch.user_identity_id);
-
-          await this._logMatching(clientUUID, uuidMatch.user_identity_id, 'recognized', 'uuid_direct', 1.0, Date.now() - startTime, deviceInfo);
-
-          return {
-            user_id: uuidMatch.user_identity_id,
-            session_id: uuidMatch.device_session_id,
-            status: 'recognized',
-            confidence: 1.0,
-            is_device_changed: false,
-          };
-        }
+      // Each path runs in a single transaction, serialized per client UUID so
+      // that parallel requests from the same browser see each other's writes
+      const result = await this._transaction(async (client) => {
+        await this._lockClientUUID(client, clientUUID);
+        return this._resolveIdentity(client, clientUUID, deviceInfo, context, startTime);
+      });
+
+      return { ...result, bot_score: context.bot.score };
+    } catch (error) {
+      // Refused bots are expected and already recorded as blocked
+      const status = error.code === 'BOT_DETECTED' ? 'blocked' : 'failed';
+      if (status === 'failed') {
+        console.error('Identity identification error:', error);
       }
+      
+      await this._logMatching({ query }, clientUUID, null, status, null, 0, Date.now() - startTime, deviceInfo, context);
+      
+      throw error;
+    }
+  }
 
-      // Step 2: Try device fingerprint matching
-      const fingerprintMatch = await this._identifyByFingerprint(deviceInfo);
+  /**
+   * Recognize, recover or create the identity inside the identify transaction
+   */
+  async _resolveIdentity(db, clientUUID, deviceInfo, context, startTime) {
+    // Step 1: Try UUID-based identification
+    const uuidMatch = await this._identifyByUUID(db, clientUUID);
+    
+    if (uuidMatch) {
+      // Check for device changes
+      const changeDetection = await this._detectDeviceChange(uuidMatch, deviceInfo, context);
       
-      if (fingerprintMatch) {
-        // Identity recovered - UUID was lost but device matched
+      if (changeDetection.hasChanged) {
+        // Create new device session
         const newSession = await this._createDeviceSession(
-          fingerprintMatch.user_identity_id,
+          db,
+          uuidMatch.user_id,
           clientUUID,
           deviceInfo,
+          context,
         );
-
+        
+        // Record change history
         await this._recordDeviceChange(
-          fingerprintMatch.user_identity_id,
+          db,
+          uuidMatch.user_id,
           newSession.device_session_id,
-          fingerprintMatch.device_session_id,
-          {
-            changeType: 'device_reset',
-            changedFields: ['client_uuid'],
-            confidence: fingerprintMatch.confidence,
-          },
+          uuidMatch.device_session_id,
+          changeDetection,
         );
 
-        await this._updateUserLastSeen(fingerprintMatch.user_identity_id);
+        // Update user last seen
+        await this._updateUserLastSeen(db, uuidMatch.user_id);
 
-        await this._logMatching(clientUUID, fingerprintMatch.user_identity_id, 'recovered', 'fingerprint_match', fingerprintMatch.confidence, Date.now() - startTime, deviceInfo);
+        await this._logMatching(db, clientUUID, uuidMatch.user_id, 'recognized', 'uuid_direct', 1.0, Date.now() - startTime, deviceInfo, context);
 
         return {
-          user_id: fingerprintMatch.user_identity_id,
+          user_id: uuidMatch.user_id,
           session_id: newSession.device_session_id,
-          status: 'recovered',
-          confidence: fingerprintMatch.confidence,
+          status: 'recognized',
+          confidence: 1.0,
           is_device_changed: true,
-          change_type: 'device_reset',
+          change_type: changeDetection.changeType,
         };
       }
 
-      // Step 3: Create new user identity
-      const newUser = await this._createNewUser(clientUUID, deviceInfo);
+      // Update existing session, including toggled preferences and fields
+      // collected for the first time
+      await this._updateDeviceSession(db, uuidMatch.device_session_id, deviceInfo, changeDetection.updates);
+      await this._updateUserLastSeen(db, uuidMatch.user_id);
 
-      await this._logMatching(clientUUID, newUser.user_identity_id, 'new', 'new_user', 1.0, Date.now() - startTime, deviceInfo);
+      await this._logMatching(db, clientUUID, uuidMatch.user_id, 'recognized', 'uuid_direct', 1.0, Date.now() - startTime, deviceInfo, context);
 
       return {
-        user_id: newUser.user_identity_id,
-        session_id: newUser.device_session_id,
-        status: 'new',
+        user_id: uuidMatch.user_id,
+        session_id: uuidMatch.device_session_id,
+        status: 'recognized',
         confidence: 1.0,
         is_device_changed: false,
       };
+    }
+
+    // Step 2: Try device fingerprint matching
+    const fingerprintResult = await this._identifyByFingerprint(db, deviceInfo, context);
+    const fingerprintMatch = fingerprintResult.match;
+    const matchStats = { candidatesEvaluated: fingerprintResult.candidatesEvaluated };
+    
+    if (fingerprintMatch) {
+      // Identity recovered - UUID was lost but device matched
+      const newSession = await this._createDeviceSession(
+        db,
+        fingerprintMatch.user_id,
+        clientUUID,
+        deviceInfo,
+        context,
+      );
+
+      const changeDetection = await this._detectDeviceChange(fingerprintMatch, deviceInfo, context);
+      await this._recordDeviceChange(
+        db,
+        fingerprintMatch.user_id,
+        newSession.device_session_id,
+        fingerprintMatch.device_session_id,
+        {
+          changeType: 'device_reset',
+          changeCategory: 'identity_recovery',
+          changedFields: ['client_uuid', ...changeDetection.changedFields],
+          previousValues: { client_uuid: fingerprintMatch.client_uuid, ...changeDetection.previousValues },
+          newValues: { client_uuid: clientUUID, ...changeDetection.newValues },
+          confidence: fingerprintMatch.confidence,
+        },
+      );
+
+      await this._updateUserLastSeen(db, fingerprintMatch.user_id);
 
+      await this._logMatching(db, clientUUID, fingerprintMatch.user_id, 'recovered', fingerprintMatch.match_method, fingerprintMatch.confidence, Date.now() - startTime, deviceInfo, context, matchStats);
+
+      return {
+        user_id: fingerprintMatch.user_id,
+        session_id: newSession.device_session_id,
+        status: 'recovered',
+        confidence: fingerprintMatch.confidence,
+        is_device_changed: true,
+        change_type: 'device_reset',
+        ...(fingerprintResult.ephemeral && { ephemeral: true }),
+      };
+    }
+
+    // Step 3: Create new user identity
+    const newUser = await this._createNewUser(db, clientUUID, deviceInfo, context);
+
+    await this._logMatching(db, clientUUID, newUser.user_identity_id, 'new', 'new_user', 1.0, Date.now() - startTime, deviceInfo, context, matchStats);
+
+    return {
+      user_id: newUser.user_identity_id,
+      session_id: newUser.device_session_id,
+      status: 'new',
+      confidence: 1.0,
+      is_device_changed: false,
+      ...(newUser.bot_flagged && { bot_flagged: true }),
+      ...(fingerprintResult.ephemeral && { ephemeral: true }),
+    };
+  }
+
+  /**
+   * Run a callback inside a transaction on a dedicated pool client
+   */
+  async _transaction(callback) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
     } catch (error) {
-      console.error('Identity identification error:', error);
-      
-      await this._logMatching(clientUUID, null, 'failed', null, 0, Date.now() - startTime, deviceInfo);
-      
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Take a transaction-scoped advisory lock on the client UUID
+   * Released automatically on COMMIT or ROLLBACK
+   */
+  async _lockClientUUID(db, clientUUID) {
+    await db.query(
+      'SELECT pg_advisory_xact_lock($1, hashtext($2))',
+      [CLIENT_UUID_LOCK_NAMESPACE, clientUUID],
+    );
+  }
+
+  /**
+   * Add GeoIP/ASN data for the client IP to the request context
+   * Enrichment is best-effort and never fails identification
+   */
+  async _enrichContext(context) {
+    try {
+      const geo = await this.geoip.lookup(context.ip);
+      return { ...context, geo };
+    } catch (error) {
+      console.warn('GeoIP enrichment error:', error.message);
+      return { ...context, geo: null };
     }
   }
 
   /**
    * Identify by client UUID
    */
-  async _identifyByUUID(clientUUID) {
-    const result = await query(
-      `SELECT 
-        udp.id,
-        udp.user_identity_id,
-        udp.device_session_id,
-        udp.canvas_fingerprint,
-        udp.audio_fingerprint,
-        udp.webgl_fingerprint,
-        udp.user_agent,
-        udp.platform,
-        udp.screen_width,
-        udp.screen_height,
-        udp.screen_color_depth,
-        udp.screen_pixel_ratio,
-        udp.hardware_concurrency,
-        udp.device_memory,
-        udp.fonts_list,
-        udp.plugins_list,
-        udp.ip_address,
-        udp.country,
-        udp.city,
-        ui.user_identity_id as user_id
+  async _identifyByUUID(db, clientUUID) {
+    const result = await db.query(
+      `SELECT ${CANDIDATE_COLUMNS}
       FROM user_device_profiles udp
       JOIN user_identities ui ON udp.user_identity_id = ui.id
       WHERE udp.client_uuid = $1 AND udp.is_current = true
@@ -168,32 +334,22 @@ export class IdentityService {
 
   /**
    * Identify by device fingerprint
+   * Returns the best match (or null), the number of candidates scored and
+   * whether the session is ephemeral (private window): those are matched
+   * with the lower private-mode thresholds
    */
-  async _identifyByFingerprint(deviceInfo) {
-    const canvasHash = this._hashFingerprint(deviceInfo.canvas?.hash);
-    const audioHash = this._hashFingerprint(deviceInfo.audio?.hash);
+  async _identifyByFingerprint(db, deviceInfo, context = {}) {
+    const targetDevice = deviceInfoToProfile(deviceInfo, null, context);
+    const ephemeral = targetDevice.private_mode === true;
+
+    // Randomized (unstable) hashes are not looked up
+    const unstable = targetDevice.unstable_components;
+    const canvasHash = unstable.includes('canvas') ? null : targetDevice.canvas_fingerprint;
+    const audioHash = unstable.includes('audio') ? null : targetDevice.audio_fingerprint;
 
     // First try exact fingerprint match
-    const exactMatch = await query(
-      `SELECT 
-        udp.id,
-        udp.user_identity_id,
-        udp.device_session_id,
-        udp.canvas_fingerprint,
-        udp.audio_fingerprint,
-        udp.webgl_fingerprint,
-        udp.user_agent,
-        udp.platform,
-        udp.screen_width,
-        udp.screen_height,
-        udp.screen_color_depth,
-        udp.screen_pixel_ratio,
-        udp.hardware_concurrency,
-        udp.device_memory,
-        udp.fonts_list,
-        udp.plugins_list,
-        udp.ip_address,
-        ui.user_identity_id as user_id
+    const exactMatch = await db.query(
+      `SELECT ${CANDIDATE_COLUMNS}
       FROM user_device_profiles udp
       JOIN user_identities ui ON udp.user_identity_id = ui.id
       WHERE (udp.canvas_fingerprint = $1 OR udp.audio_fingerprint = $2)
@@ -203,40 +359,172 @@ export class IdentityService {
       [canvasHash, audioHash],
     );
 
-    if (exactMatch.rows.length === 0) {
-      return null;
-    }
+    let candidatesEvaluated = exactMatch.rows.length;
 
     // If multiple matches, use similarity scoring
-    const targetDevice = this._deviceInfoToProfile(deviceInfo);
-    const bestMatch = this.matcher.findBestMatch(targetDevice, exactMatch.rows);
+    const bestMatch = this.matcher.findBestMatch(
+      targetDevice,
+      exactMatch.rows,
+      ephemeral ? { threshold: this.privateMatchThreshold } : {},
+    );
 
     if (bestMatch) {
       return {
-        ...bestMatch.device,
-        confidence: bestMatch.similarity.totalScore,
+        match: {
+          ...bestMatch.device,
+          confidence: bestMatch.similarity.totalScore,
+          match_method: 'fingerprint_match',
+        },
+        candidatesEvaluated,
+        ephemeral,
+      };
+    }
+
+    // Second stage: neither hash matched, look for devices with identical
+    // hardware, screen, GPU and timezone or near-duplicate feature sets
+    // (LSH buckets) and score the remaining signals
+    const fuzzyCandidates = await this._findFuzzyCandidates(db, targetDevice, deviceInfo);
+    candidatesEvaluated += fuzzyCandidates.length;
+
+    const fuzzyMatch = this.matcher.findBestMatch(targetDevice, fuzzyCandidates, {
+      exclude: ['canvas', 'audio'],
+      threshold: ephemeral ? this.privateFuzzyThreshold : this.fuzzyThreshold,
+    });
+
+    if (fuzzyMatch) {
+      return {
+        match: {
+          ...fuzzyMatch.device,
+          confidence: fuzzyMatch.similarity.totalScore,
+          match_method: 'fuzzy_match',
+        },
+        candidatesEvaluated,
+        ephemeral,
       };
     }
 
-    return null;
+    return { match: null, candidatesEvaluated, ephemeral };
+  }
+
+  /**
+   * Collect second-stage candidates from the hardware index and the LSH
+   * buckets, de-duplicated and bounded by fuzzyCandidateLimit
+   */
+  async _findFuzzyCandidates(db, targetDevice, deviceInfo) {
+    // Sequential: a transaction client runs one query at a time
+    const hardwareRows = await this._findHardwareCandidates(db, targetDevice);
+    const lshRows = await this._findLshCandidates(db, targetDevice, deviceInfo);
+
+    const candidates = new Map();
+    for (const row of [...hardwareRows, ...lshRows]) {
+      if (!candidates.has(row.id)) {
+        candidates.set(row.id, row);
+      }
+    }
+
+    return [...candidates.values()].slice(0, this.fuzzyCandidateLimit);
+  }
+
+  /**
+   * Fetch fuzzy candidates through idx_device_profiles_hardware
+   * Devices missing any of the key attributes are never fuzzy-matched
+   */
+  async _findHardwareCandidates(db, targetDevice) {
+    const keys = [
+      targetDevice.hardware_concurrency,
+      targetDevice.device_memory,
+      targetDevice.screen_width,
+      targetDevice.screen_height,
+      targetDevice.webgl_renderer,
+      targetDevice.timezone,
+    ];
+
+    if (keys.some(value => isMissingSignal(value))) {
+      return [];
+    }
+
+    const result = await db.query(
+      `SELECT ${CANDIDATE_COLUMNS}
+      FROM user_device_profiles udp
+      JOIN user_identities ui ON udp.user_identity_id = ui.id
+      WHERE udp.hardware_concurrency = $1
+        AND udp.device_memory = $2
+        AND udp.screen_width = $3
+        AND udp.screen_height = $4
+        AND udp.webgl_renderer = $5
+        AND udp.timezone = $6
+        AND ui.is_active = true
+      ORDER BY udp.last_seen_at DESC
+      LIMIT $7`,
+      [...keys, this.fuzzyCandidateLimit],
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Fetch near-duplicate profiles sharing at least one LSH band bucket,
+   * most shared buckets first (GIN index on bucket_keys)
+   */
+  async _findLshCandidates(db, targetDevice, deviceInfo) {
+    const entry = this.lsh.build(targetDevice, deviceInfo);
+    if (!entry) return [];
+
+    const result = await db.query(
+      `SELECT ${CANDIDATE_COLUMNS}
+      FROM device_profile_lsh lsh
+      JOIN user_device_profiles udp ON udp.id = lsh.device_profile_id
+      JOIN user_identities ui ON udp.user_identity_id = ui.id
+      WHERE lsh.bucket_keys && $1::text[]
+        AND lsh.scheme = $2
+        AND ui.is_active = true
+      ORDER BY cardinality(ARRAY(
+          SELECT unnest(lsh.bucket_keys) INTERSECT SELECT unnest($1::text[])
+        )) DESC,
+        udp.last_seen_at DESC
+      LIMIT $3`,
+      [entry.bucketKeys, entry.scheme, this.fuzzyCandidateLimit],
+    );
+
+    return result.rows;
   }
 
   /**
    * Detect device changes
    */
-  async _detectDeviceChange(currentDevice, newDeviceInfo) {
-    const newDevice = this._deviceInfoToProfile(newDeviceInfo);
+  async _detectDeviceChange(currentDevice, newDeviceInfo, context = {}) {
+    const newDevice = deviceInfoToProfile(newDeviceInfo, null, context);
     
     const changeClassification = this.matcher.classifyChange(currentDevice, newDevice);
     const changedFields = this.matcher.detectChanges(currentDevice, newDevice);
-
-    const hasChanged = changedFields.length > 0;
+    const { previousValues, newValues } = this.matcher.describeChanges(currentDevice, newDevice, changedFields);
+
+    // Toggled preferences (dark mode, reduced motion, ...) and display or
+    // input features (an external monitor or mouse) alone do not make a new
+    // session; they are updated on the current one
+    const hasChanged = changedFields.some(field => !IN_PLACE_FIELDS.includes(field));
+    const updates = Object.fromEntries(changedFields
+      .filter(field => IN_PLACE_FIELDS.includes(field))
+      .map(field => [field, newDevice[field]]));
+
+    // Fields the stored visit could not collect are filled in once collected
+    const storedMissing = currentDevice.missing_fields || [];
+    const recovered = storedMissing.filter(field => !newDevice.missing_fields.includes(field));
+    if (recovered.length > 0) {
+      for (const field of recovered) {
+        updates[field] = newDevice[field];
+      }
+      updates.missing_fields = storedMissing.filter(field => !recovered.includes(field));
+    }
 
     return {
       hasChanged,
+      updates,
       changeType: changeClassification.type,
       changeCategory: changeClassification.category,
       changedFields,
+      previousValues,
+      newValues,
       confidence: changeClassification.confidence,
     };
   }
@@ -244,176 +532,97 @@ export class IdentityService {
   /**
    * Create new user identity
    */
-  async _createNewUser(clientUUID, deviceInfo) {
-    const client = await getClient();
+  async _createNewUser(db, clientUUID, deviceInfo, context = {}) {
+    // Check if registration is enabled
+    const settingResult = await db.query(
+      'SELECT setting_value FROM system_settings WHERE setting_key = $1',
+      ['registration_enabled'],
+    );
     
-    try {
-      await client.query('BEGIN');
-
-      // Check if registration is enabled
-      const settingResult = await client.query(
-        'SELECT setting_value FROM system_settings WHERE setting_key = $1',
-        ['registration_enabled'],
-      );
-      
-      if (settingResult.rows.length > 0) {
-        const registrationEnabled = settingResult.rows[0].setting_value;
-        if (registrationEnabled === false || registrationEnabled === 'false') {
-          await client.query('ROLLBACK');
-          throw new Error('Registration is disabled');
-        }
+    if (settingResult.rows.length > 0) {
+      const registrationEnabled = settingResult.rows[0].setting_value;
+      if (registrationEnabled === false || registrationEnabled === 'false') {
+        throw new Error('Registration is disabled');
       }
+    }
 
-      // Create user identity
-      const userResult = await client.query(
-        `INSERT INTO user_identities (total_sessions, total_devices)
-         VALUES (1, 1)
-         RETURNING id, user_identity_id`,
-      );
+    // Likely bots are refused or marked in the identity's metadata
+    const bot = context.bot;
+    const isBot = bot && bot.score >= this.botScoreThreshold && this.botNewUserAction !== 'allow';
+    if (isBot && this.botNewUserAction === 'block') {
+      const error = new Error('Automated browser detected');
+      error.code = 'BOT_DETECTED';
+      throw error;
+    }
 
-      const userId = userResult.rows[0].id;
-      const userIdentityId = userResult.rows[0].user_identity_id;
-
-      // Create device profile
-      const deviceProfile = this._deviceInfoToProfile(deviceInfo, clientUUID);
-      const sessionResult = await client.query(
-        `INSERT INTO user_device_profiles (
-          user_identity_id, client_uuid,
-          canvas_fingerprint, audio_fingerprint, webgl_fingerprint,
-          user_agent, platform, language, timezone, timezone_offset,
-          screen_width, screen_height, screen_color_depth, screen_pixel_ratio,
-          hardware_concurrency, device_memory,
-          fonts_list, plugins_list,
-          ip_address, country, city,
-          webgl_vendor, webgl_renderer,
-          device_info_raw
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24
-        )
-        RETURNING id, device_session_id`,
-        [
-          userId,
-          deviceProfile.client_uuid,
-          deviceProfile.canvas_fingerprint,
-          deviceProfile.audio_fingerprint,
-          deviceProfile.webgl_fingerprint,
-          deviceProfile.user_agent,
-          deviceProfile.platform,
-          deviceProfile.language,
-          deviceProfile.timezone,
-          deviceProfile.timezone_offset,
-          deviceProfile.screen_width,
-          deviceProfile.screen_height,
-          deviceProfile.screen_color_depth,
-          deviceProfile.screen_pixel_ratio,
-          deviceProfile.hardware_concurrency,
-          deviceProfile.device_memory,
-          deviceProfile.fonts_list,
-          deviceProfile.plugins_list,
-          deviceProfile.ip_address,
-          deviceProfile.country,
-          deviceProfile.city,
-          deviceProfile.webgl_vendor,
-          deviceProfile.webgl_renderer,
-          JSON.stringify(deviceInfo),
-        ],
-      );
+    // Create user identity
+    const metadata = isBot ? { bot_flagged: true, bot_score: bot.score, bot_signals: bot.signals } : {};
+    const userResult = await db.query(
+      `INSERT INTO user_identities (total_sessions, total_devices, metadata)
+       VALUES (1, 1, $1)
+       RETURNING id, user_identity_id`,
+      [JSON.stringify(metadata)],
+    );
 
-      // Record initial device change
-      const sessionId = sessionResult.rows[0].device_session_id;
-      await client.query(
-        `INSERT INTO device_change_history (
-          user_identity_id, device_session_id, previous_session_id,
-          change_type, change_category, changed_fields, change_summary,
-          match_confidence, recovery_method
-        ) VALUES ($1, $2, NULL, $3, $4, $5, $6, $7, $8)`,
-        [
-          userId,
-          sessionId,
-          'new_device',
-          'initial_registration',
-          [],
-          'Initial user registration',
-          1.0,
-          'new_user',
-        ],
-      );
+    const userId = userResult.rows[0].id;
+    const userIdentityId = userResult.rows[0].user_identity_id;
 
-      await client.query('COMMIT');
+    // Create device profile
+    const deviceProfile = deviceInfoToProfile(deviceInfo, clientUUID, context);
+    const session = await this._insertProfile(db, userId, deviceProfile, deviceInfo);
+    const sessionId = session.device_session_id;
 
-      return {
-        user_identity_id: userIdentityId,
-        device_session_id: sessionId,
-      };
+    // Record initial device change
+    await db.query(
+      `INSERT INTO device_change_history (
+        user_identity_id, device_session_id, previous_session_id,
+        change_type, change_category, changed_fields, change_summary,
+        match_confidence, recovery_method
+      ) VALUES ($1, $2, NULL, $3, $4, $5, $6, $7, $8)`,
+      [
+        userId,
+        sessionId,
+        'new_device',
+        'initial_registration',
+        [],
+        'Initial user registration',
+        1.0,
+        'new_user',
+      ],
+    );
 
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    return {
+      user_identity_id: userIdentityId,
+      device_session_id: sessionId,
+      bot_flagged: Boolean(isBot),
+    };
   }
 
   /**
    * Create new device session for existing user
    */
-  async _createDeviceSession(userId, clientUUID, deviceInfo) {
-    const deviceProfile = this._deviceInfoToProfile(deviceInfo, clientUUID);
+  async _createDeviceSession(db, userId, clientUUID, deviceInfo, context = {}) {
+    const deviceProfile = deviceInfoToProfile(deviceInfo, clientUUID, context);
+
+    // Lock the user row so that concurrent sessions for the same user (other
+    // client UUIDs) cannot both end up current
+    const userResult = await db.query(
+      'SELECT id FROM user_identities WHERE user_identity_id = $1 FOR UPDATE',
+      [userId],
+    );
 
     // Mark all existing sessions as not current
-    await query(
+    await db.query(
       `UPDATE user_device_profiles 
        SET is_current = false 
        WHERE user_identity_id = (SELECT id FROM user_identities WHERE user_identity_id = $1)`,
       [userId],
     );
 
-    const result = await query(
-      `INSERT INTO user_device_profiles (
-        user_identity_id, client_uuid,
-        canvas_fingerprint, audio_fingerprint, webgl_fingerprint,
-        user_agent, platform, language, timezone, timezone_offset,
-        screen_width, screen_height, screen_color_depth, screen_pixel_ratio,
-        hardware_concurrency, device_memory,
-        fonts_list, plugins_list,
-        ip_address, country, city,
-        webgl_vendor, webgl_renderer,
-        device_info_raw, is_current
-      ) VALUES (
-        (SELECT id FROM user_identities WHERE user_identity_id = $1),
-        $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, true
-      )
-      RETURNING device_session_id`,
-      [
-        userId,
-        deviceProfile.client_uuid,
-        deviceProfile.canvas_fingerprint,
-        deviceProfile.audio_fingerprint,
-        deviceProfile.webgl_fingerprint,
-        deviceProfile.user_agent,
-        deviceProfile.platform,
-        deviceProfile.language,
-        deviceProfile.timezone,
-        deviceProfile.timezone_offset,
-        deviceProfile.screen_width,
-        deviceProfile.screen_height,
-        deviceProfile.screen_color_depth,
-        deviceProfile.screen_pixel_ratio,
-        deviceProfile.hardware_concurrency,
-        deviceProfile.device_memory,
-        deviceProfile.fonts_list,
-        deviceProfile.plugins_list,
-        deviceProfile.ip_address,
-        deviceProfile.country,
-        deviceProfile.city,
-        deviceProfile.webgl_vendor,
-        deviceProfile.webgl_renderer,
-        JSON.stringify(deviceInfo),
-      ],
-    );
+    const session = await this._insertProfile(db, userResult.rows[0].id, deviceProfile, deviceInfo);
 
     // Update user statistics
-    await query(
+    await db.query(
       `UPDATE user_identities 
        SET total_sessions = total_sessions + 1,
            total_devices = (SELECT COUNT(DISTINCT device_session_id) FROM user_device_profiles WHERE user_identity_id = id)
@@ -422,29 +631,64 @@ export class IdentityService {
     );
 
     return {
-      device_session_id: result.rows[0].device_session_id,
+      device_session_id: session.device_session_id,
     };
   }
 
+  /**
+   * Insert a device profile as the user's current session and index it for
+   * LSH candidate lookups
+   * @param {number} userId - Internal user_identities.id
+   * @returns {Promise<{id: number, device_session_id: string}>}
+   */
+  async _insertProfile(db, userId, deviceProfile, deviceInfo) {
+    const values = [
+      userId,
+      ...PROFILE_COLUMNS.map(column => deviceProfile[column]),
+      deviceProfile.client_hints ? JSON.stringify(deviceProfile.client_hints) : null,
+      JSON.stringify(deviceInfo),
+      true,
+    ];
+    const columns = ['user_identity_id', ...PROFILE_COLUMNS, 'client_hints', 'device_info_raw', 'is_current'];
+
+    const result = await db.query(
+      `INSERT INTO user_device_profiles (${columns.join(', ')})
+       VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id, device_session_id`,
+      values,
+    );
+
+    await this.lsh.store(db, result.rows[0].id, deviceProfile, deviceInfo);
+    return result.rows[0];
+  }
+
   /**
    * Update existing device session
+   * @param {Object} [columns] - Profile columns to overwrite (changed
+   *   preferences, fields the stored visit could not collect)
    */
-  async _updateDeviceSession(sessionId, deviceInfo) {
-    await query(
+  async _updateDeviceSession(db, sessionId, deviceInfo, columns = {}) {
+    const values = [sessionId, JSON.stringify(deviceInfo)];
+    const updates = ['last_seen_at = CURRENT_TIMESTAMP', 'visit_count = visit_count + 1', 'device_info_raw = $2'];
+
+    for (const [column, value] of Object.entries(columns)) {
+      values.push(value);
+      updates.push(`${column} = $${values.length}`);
+    }
+
+    await db.query(
       `UPDATE user_device_profiles 
-       SET last_seen_at = CURRENT_TIMESTAMP,
-           visit_count = visit_count + 1,
-           device_info_raw = $2
+       SET ${updates.join(', ')}
        WHERE device_session_id = $1`,
-      [sessionId, JSON.stringify(deviceInfo)],
+      values,
     );
   }
 
   /**
    * Update user last seen timestamp
    */
-  async _updateUserLastSeen(userId) {
-    await query(
+  async _updateUserLastSeen(db, userId) {
+    await db.query(
       `UPDATE user_identities 
        SET last_seen_at = CURRENT_TIMESTAMP 
        WHERE user_identity_id = $1`,
@@ -455,15 +699,15 @@ export class IdentityService {
   /**
    * Record device change in history
    */
-  async _recordDeviceChange(userId, newSessionId, oldSessionId, changeDetection) {
-    await query(
+  async _recordDeviceChange(db, userId, newSessionId, oldSessionId, changeDetection) {
+    await db.query(
       `INSERT INTO device_change_history (
         user_identity_id, device_session_id, previous_session_id,
         change_type, change_category, changed_fields, change_summary,
-        match_confidence, recovery_method
+        previous_values, new_values, match_confidence, recovery_method
       ) VALUES (
         (SELECT id FROM user_identities WHERE user_identity_id = $1),
-        $2, $3, $4, $5, $6, $7, $8, $9
+        $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
       )`,
       [
         userId,
@@ -473,6 +717,8 @@ export class IdentityService {
         changeDetection.changeCategory,
         changeDetection.changedFields,
         `Device ${changeDetection.changeType} detected: ${changeDetection.changeCategory}`,
+        JSON.stringify(changeDetection.previousValues || {}),
+        JSON.stringify(changeDetection.newValues || {}),
         changeDetection.confidence,
         'device_change',
       ],
@@ -482,17 +728,19 @@ export class IdentityService {
   /**
    * Log matching attempt
    */
-  async _logMatching(clientUUID, userId, status, method, confidence, processingTime, deviceInfo) {
-    const canvasHash = this._hashFingerprint(deviceInfo.canvas?.hash);
-    const audioHash = this._hashFingerprint(deviceInfo.audio?.hash);
+  async _logMatching(db, clientUUID, userId, status, method, confidence, processingTime, deviceInfo, context = {}, stats = {}) {
+    const canvasHash = hashFingerprint(deviceInfo.canvas?.hash);
+    const audioHash = hashFingerprint(deviceInfo.audio?.hash);
 
-    await query(
+    await db.query(
       `INSERT INTO identity_matching_logs (
         client_uuid, user_identity_id, match_status, match_method,
         match_confidence, canvas_fingerprint, audio_fingerprint,
-        processing_time_ms, user_agent, ip_address
+        processing_time_ms, candidates_evaluated, user_agent, ip_address,
+        bot_score, bot_signals
       ) VALUES (
-        $1, (SELECT id FROM user_identities WHERE user_identity_id = $2), $3, $4, $5, $6, $7, $8, $9, $10
+        $1, (SELECT id FROM user_identities WHERE user_identity_id = $2), $3, $4, $5, $6, $7, $8, $9, $10, $11,
+        $12, $13
       )`,
       [
         clientUUID,
@@ -503,50 +751,15 @@ export class IdentityService {
         canvasHash,
         audioHash,
         processingTime,
+        stats.candidatesEvaluated ?? null,
         deviceInfo.userAgent,
-        null, // IP address would be extracted from request in real implementation
+        context.ip || null,
+        context.bot?.score ?? null,
+        context.bot?.signals ?? null,
       ],
     );
   }
 
-  /**
-   * Convert device info to profile format
-   */
-  _deviceInfoToProfile(deviceInfo, clientUUID = null) {
-    return {
-      client_uuid: clientUUID,
-      canvas_fingerprint: this._hashFingerprint(deviceInfo.canvas?.hash),
-      audio_fingerprint: this._hashFingerprint(deviceInfo.audio?.hash),
-      webgl_fingerprint: this._hashFingerprint(deviceInfo.webgl?.renderer),
-      user_agent: deviceInfo.userAgent,
-      platform: deviceInfo.platform,
-      language: deviceInfo.language,
-      timezone: deviceInfo.timezone,
-      timezone_offset: deviceInfo.timezoneOffset,
-      screen_width: deviceInfo.screen?.width,
-      screen_height: deviceInfo.screen?.height,
-      screen_color_depth: deviceInfo.screen?.colorDepth,
-      screen_pixel_ratio: deviceInfo.screen?.pixelRatio,
-      hardware_concurrency: deviceInfo.hardware?.hardwareConcurrency,
-      device_memory: deviceInfo.hardware?.deviceMemory,
-      fonts_list: deviceInfo.fonts?.fonts || [],
-      plugins_list: deviceInfo.browser?.plugins?.map(p => p.name) || [],
-      ip_address: null, // Would be set from request
-      country: null,
-      city: null,
-      webgl_vendor: deviceInfo.webgl?.vendor,
-      webgl_renderer: deviceInfo.webgl?.renderer,
-    };
-  }
-
-  /**
-   * Hash fingerprint for storage
-   */
-  _hashFingerprint(value) {
-    if (!value) return null;
-    return crypto.createHash('sha256').update(String(value)).digest('hex');
-  }
-
   /**
    * Get device history for a user
    */
@@ -0,0 +1,727 @@
+/**
+ * Tests for IdentityService
+ * Runs against an in-memory stand-in for PostgreSQL that models the pieces
+ * identify() relies on for race safety: transactions, advisory locks and
+ * row locks. Every query yields to the event loop so parallel calls interleave.
+ */
+
+import { jest } from '@jest/globals';
+
+let db;
+
+jest.unstable_mockModule('../utils/database.js', () => ({
+  query: (text, params) => db.execute(null, text, params),
+  getClient: async () => db.connect(),
+  closePool: async () => {},
+  default: {},
+}));
+
+const { IdentityService } = await import('./identity-service.js');
+
+/**
+ * Minimal in-memory database
+ */
+class FakeDatabase {
+  constructor() {
+    this.users = [];
+    this.profiles = [];
+    this.logs = [];
+    this.changes = [];
+    this.settings = {};
+    this.statements = [];
+    this.locks = new Map();
+    this.maxAdvisoryLocksHeld = 0;
+    this.clients = [];
+  }
+
+  connect() {
+    const client = {
+      released: false,
+      query: (text, params) => this.execute(client, text, params),
+      release: () => {
+        client.released = true;
+      },
+    };
+    this.clients.push(client);
+    return client;
+  }
+
+  async execute(owner, text, params = []) {
+    await new Promise(resolve => setImmediate(resolve));
+
+    const sql = text.replace(/\s+/g, ' ').trim();
+    this.statements.push(sql);
+
+    if (sql === 'BEGIN') return { rows: [] };
+
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+      this._releaseLocks(owner);
+      return { rows: [] };
+    }
+
+    if (sql.includes('pg_advisory_xact_lock')) {
+      await this._acquire(owner, `advisory:${params.join(':')}`);
+      return { rows: [{}] };
+    }
+
+    if (sql.includes('FROM system_settings')) {
+      const value = this.settings[params[0]];
+      return { rows: value === undefined ? [] : [{ setting_value: value }] };
+    }
+
+    if (sql.startsWith('SELECT id FROM user_identities') && sql.endsWith('FOR UPDATE')) {
+      await this._acquire(owner, `user:${params[0]}`);
+      return { rows: this.users.filter(user => user.user_identity_id === params[0]) };
+    }
+
+    if (sql.startsWith('INSERT INTO user_identities')) {
+      const user = {
+        id: `internal-${this.users.length + 1}`,
+        user_identity_id: `usr_${this.users.length + 1}`,
+        metadata: JSON.parse(params[0] || '{}'),
+      };
+      this.users.push(user);
+      return { rows: [user] };
+    }
+
+    if (sql.startsWith('INSERT INTO user_device_profiles')) {
+      const columns = sql.match(/^INSERT INTO user_device_profiles \(([^)]*)\)/)[1]
+        .split(',')
+        .map(column => column.trim());
+      const profile = { is_current: true };
+      columns.forEach((column, i) => {
+        if (i < params.length) profile[column] = params[i];
+      });
+
+      profile.id = `profile-${this.profiles.length + 1}`;
+      profile.device_session_id = `ses_${this.profiles.length + 1}`;
+      this.profiles.push(profile);
+      return { rows: [profile] };
+    }
+
+    if (sql.startsWith('UPDATE user_device_profiles SET is_current = false')) {
+      const user = this.users.find(u => u.user_identity_id === params[0]);
+      this.profiles
+        .filter(profile => user && profile.user_identity_id === user.id)
+        .forEach(profile => {
+          profile.is_current = false;
+        });
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('UPDATE user_device_profiles SET last_seen_at')) {
+      const profile = this.profiles.find(p => p.device_session_id === params[0]);
+      for (const [, column, index] of sql.matchAll(/(\w+) = \$(\d+)/g)) {
+        if (profile && column !== 'device_session_id') profile[column] = params[index - 1];
+      }
+      return { rows: [] };
+    }
+
+    if (sql.includes('WHERE udp.client_uuid = $1 AND udp.is_current = true')) {
+      const profile = this.profiles.filter(p => p.client_uuid === params[0] && p.is_current).pop();
+      return { rows: profile ? [this._withPublicId(profile)] : [] };
+    }
+
+    if (sql.includes('WHERE (udp.canvas_fingerprint = $1 OR udp.audio_fingerprint = $2)')) {
+      return {
+        rows: this.profiles
+          .filter(p => p.canvas_fingerprint === params[0] || p.audio_fingerprint === params[1])
+          .map(p => this._withPublicId(p)),
+      };
+    }
+
+    if (sql.startsWith('INSERT INTO device_change_history') && sql.includes('previous_values')) {
+      const columns = sql.match(/^INSERT INTO device_change_history \(([^)]*)\)/)[1]
+        .split(',')
+        .map(column => column.trim());
+      const change = {};
+      columns.forEach((column, i) => {
+        change[column] = params[i];
+      });
+      this.changes.push(change);
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO identity_matching_logs')) {
+      this.logs.push({ clientUUID: params[0], userId: params[1], status: params[2], botScore: params[11] });
+      return { rows: [] };
+    }
+
+    return { rows: [] };
+  }
+
+  currentProfiles(userId) {
+    const user = this.users.find(u => u.user_identity_id === userId);
+    return this.profiles.filter(profile => profile.user_identity_id === user.id && profile.is_current);
+  }
+
+  _withPublicId(profile) {
+    const user = this.users.find(u => u.id === profile.user_identity_id);
+    return { ...profile, user_id: user.user_identity_id };
+  }
+
+  async _acquire(owner, key) {
+    for (;;) {
+      const lock = this.locks.get(key);
+      if (!lock || lock.owner === owner) break;
+      await new Promise(resolve => lock.waiters.push(resolve));
+    }
+
+    if (!this.locks.has(key)) {
+      this.locks.set(key, { owner, waiters: [] });
+    }
+
+    const advisory = [...this.locks.keys()].filter(k => k.startsWith('advisory:')).length;
+    this.maxAdvisoryLocksHeld = Math.max(this.maxAdvisoryLocksHeld, advisory);
+  }
+
+  _releaseLocks(owner) {
+    for (const [key, lock] of this.locks) {
+      if (lock.owner === owner) {
+        this.locks.delete(key);
+        lock.waiters.forEach(resolve => resolve());
+      }
+    }
+  }
+}
+
+function createDeviceInfo(overrides = {}) {
+  return {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0',
+    platform: 'Win32',
+    language: 'en-US',
+    timezone: 'Europe/Berlin',
+    timezoneOffset: -60,
+    screen: { width: 1920, height: 1080, colorDepth: 24, pixelRatio: 1 },
+    hardware: { hardwareConcurrency: 8, deviceMemory: 16 },
+    canvas: { hash: 'canvas-hash' },
+    audio: { hash: 'audio-hash' },
+    webgl: { vendor: 'Google Inc.', renderer: 'ANGLE (NVIDIA GeForce RTX 3060)' },
+    fonts: { fonts: ['Arial', 'Verdana', 'Segoe UI'] },
+    ...overrides,
+  };
+}
+
+describe('IdentityService', () => {
+  let service;
+
+  beforeEach(() => {
+    db = new FakeDatabase();
+    service = new IdentityService();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('identify', () => {
+    it('should return the public user id when recognizing a UUID', async () => {
+      const created = await service.identify('uuid-1', createDeviceInfo());
+      const recognized = await service.identify('uuid-1', createDeviceInfo());
+
+      expect(created.status).toBe('new');
+      expect(recognized.status).toBe('recognized');
+      expect(recognized.user_id).toBe(created.user_id);
+      expect(recognized.user_id).toMatch(/^usr_/);
+      expect(recognized.is_device_changed).toBe(false);
+    });
+
+    it('should run inside a transaction locked on the client UUID', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+
+      expect(db.statements[0]).toBe('BEGIN');
+      expect(db.statements[1]).toContain('pg_advisory_xact_lock');
+      expect(db.statements[db.statements.length - 1]).toBe('COMMIT');
+      expect(db.clients.every(client => client.released)).toBe(true);
+    });
+
+    it('should roll back, release the lock and log the failure on errors', async () => {
+      db.settings.registration_enabled = 'false';
+
+      await expect(service.identify('uuid-1', createDeviceInfo())).rejects.toThrow('Registration is disabled');
+
+      expect(db.statements).toContain('ROLLBACK');
+      expect(db.statements).not.toContain('COMMIT');
+      expect(db.locks.size).toBe(0);
+      expect(db.clients.every(client => client.released)).toBe(true);
+      expect(db.logs).toEqual([{ clientUUID: 'uuid-1', userId: null, status: 'failed', botScore: 0 }]);
+    });
+  });
+
+  describe('change history', () => {
+    it('should record before/after values of a device change', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      await service.identify('uuid-1', createDeviceInfo({
+        screen: { width: 2560, height: 1440, colorDepth: 24, pixelRatio: 1 },
+        fonts: { fonts: ['Arial', 'Segoe UI', 'Calibri'] },
+      }));
+
+      const [change] = db.changes;
+      expect(change.changed_fields).toEqual(['screen_width', 'screen_height', 'fonts_list']);
+      expect(JSON.parse(change.previous_values)).toEqual({
+        screen_width: 1920,
+        screen_height: 1080,
+        fonts_list: { removed: ['Verdana'] },
+      });
+      expect(JSON.parse(change.new_values)).toEqual({
+        screen_width: 2560,
+        screen_height: 1440,
+        fonts_list: { added: ['Calibri'] },
+      });
+    });
+
+    it('should classify OS upgrades reported through client hints', async () => {
+      const hints = platformVersion => ({
+        brands: [{ brand: 'Google Chrome', version: '120' }],
+        fullVersionList: [{ brand: 'Google Chrome', version: '120.0.6099.130' }],
+        mobile: false,
+        platform: 'Windows',
+        platformVersion,
+      });
+
+      await service.identify('uuid-1', createDeviceInfo({ clientHints: hints('10.0.0') }));
+      const result = await service.identify('uuid-1', createDeviceInfo({ clientHints: hints('15.0.0') }));
+
+      const [change] = db.changes;
+      expect(result.is_device_changed).toBe(true);
+      expect(change.change_category).toBe('os_update');
+      expect(db.profiles.map(profile => profile.os_version)).toEqual(['10', '11']);
+      expect(db.profiles[1].browser_version).toBe('120.0.6099.130');
+    });
+
+    it('should record the replaced client UUID on recovery', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      await service.identify('uuid-2', createDeviceInfo({ timezone: 'Europe/Paris' }));
+
+      const [change] = db.changes;
+      expect(change.change_type).toBe('device_reset');
+      expect(change.changed_fields).toEqual(['client_uuid', 'timezone']);
+      expect(JSON.parse(change.previous_values)).toEqual({ client_uuid: 'uuid-1', timezone: 'Europe/Berlin' });
+      expect(JSON.parse(change.new_values)).toEqual({ client_uuid: 'uuid-2', timezone: 'Europe/Paris' });
+    });
+  });
+
+  describe('failure sentinels', () => {
+    it('should store sentinels as NULL instead of hashing them', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        audio: { hash: 'timeout', error: 'Audio fingerprint timeout' },
+        hardware: { hardwareConcurrency: 8, deviceMemory: 'unknown' },
+        webgl: { vendor: 'unavailable', renderer: 'unavailable' },
+      }));
+
+      const [profile] = db.profiles;
+      expect(profile.audio_fingerprint).toBeNull();
+      expect(profile.device_memory).toBeNull();
+      expect(profile.webgl_vendor).toBeNull();
+      expect(profile.webgl_fingerprint).toBeNull();
+      expect(profile.canvas_fingerprint).not.toBeNull();
+    });
+
+    it('should store WebGL render and parameter hashes in separate columns', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        webglRender: { hash: 'render-hash', parametersHash: 'parameters-hash', webgl2: true },
+      }));
+      await service.identify('uuid-2', createDeviceInfo({
+        webglRender: { hash: 'error', parametersHash: 'error', error: 'WebGL program failed to link' },
+      }));
+
+      const [profile, failed] = db.profiles;
+      expect(profile.webgl_render_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(profile.webgl_parameters_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(profile.webgl_render_hash).not.toBe(profile.webgl_parameters_hash);
+      expect(failed.webgl_render_hash).toBeNull();
+      expect(failed.webgl_parameters_hash).toBeNull();
+    });
+
+    it('should store WebGPU adapter columns and skip them without WebGPU', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        webgpu: {
+          available: true,
+          vendor: 'nvidia',
+          architecture: 'ampere',
+          device: '',
+          description: '',
+          features: ['timestamp-query', 'depth-clip-control'],
+          limits: { maxBindGroups: 4, maxTextureDimension2D: 16384 },
+        },
+      }));
+      await service.identify('uuid-2', createDeviceInfo({
+        webgpu: { available: false, error: 'WebGPU not available' },
+      }));
+
+      const [profile, withoutWebGPU] = db.profiles;
+      expect(profile).toMatchObject({ webgpu_vendor: 'nvidia', webgpu_architecture: 'ampere', webgpu_device: null });
+      expect(profile.webgpu_capabilities_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(withoutWebGPU.webgpu_vendor).toBeNull();
+      expect(withoutWebGPU.webgpu_capabilities_hash).toBeNull();
+    });
+
+    it('should store the audio output attributes', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        audio: { hash: 'audio-hash', sum: 123.45, sampleRate: 48000, channelCount: 2, baseLatency: 0.01 },
+      }));
+      await service.identify('uuid-2', createDeviceInfo({
+        audio: { hash: 'unavailable', error: 'OfflineAudioContext not available', sampleRate: null, channelCount: null, baseLatency: null },
+      }));
+
+      const [profile, withoutAudio] = db.profiles;
+      expect(profile).toMatchObject({ audio_sample_rate: 48000, audio_channel_count: 2, audio_base_latency: 0.01 });
+      expect(withoutAudio).toMatchObject({ audio_fingerprint: null, audio_sample_rate: null, audio_channel_count: null });
+    });
+
+    it('should not report a change for a base latency read back from its DECIMAL column', async () => {
+      const deviceInfo = createDeviceInfo({
+        audio: { hash: 'audio-hash', sum: 123.45, sampleRate: 48000, channelCount: 2, baseLatency: 256 / 48000 },
+      });
+      await service.identify('uuid-1', deviceInfo);
+
+      // PostgreSQL returns DECIMAL(8, 6) values as strings at the column's scale
+      expect(db.profiles[0].audio_base_latency).toBe(0.005333);
+      db.profiles[0].audio_base_latency = db.profiles[0].audio_base_latency.toFixed(6);
+
+      const result = await service.identify('uuid-1', deviceInfo);
+
+      expect(result.is_device_changed).toBe(false);
+      expect(db.profiles).toHaveLength(1);
+    });
+
+    it('should hash media capabilities independently of key order', async () => {
+      const codecs = { 'video/webm; codecs="vp9"': { canPlay: 'probably', mediaSource: true }, 'audio/mpeg': { canPlay: 'maybe', mediaSource: false } };
+      const decoding = { 'video/mp4; codecs="avc1.640028"': { supported: true, smooth: true, powerEfficient: true } };
+      const reversed = Object.fromEntries(Object.entries(codecs).reverse());
+
+      await service.identify('uuid-1', createDeviceInfo({ media: { codecs, decoding, voices: ['Zira', 'David'] } }));
+      await service.identify('uuid-2', createDeviceInfo({ media: { codecs: reversed, decoding, voices: [] } }));
+
+      const [profile, withoutVoices] = db.profiles;
+      expect(profile.media_capabilities_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(withoutVoices.media_capabilities_hash).toBe(profile.media_capabilities_hash);
+      expect(profile).toMatchObject({ speech_voices_count: 2 });
+      expect(profile.speech_voices_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(withoutVoices).toMatchObject({ speech_voices_hash: null, speech_voices_count: null });
+    });
+
+    it('should store CSS media features', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        mediaFeatures: {
+          colorScheme: 'dark',
+          reducedMotion: 'no-preference',
+          forcedColors: 'none',
+          invertedColors: null,
+          colorGamut: 'p3',
+          dynamicRange: 'high',
+          pointer: 'fine',
+          hover: 'hover',
+          monochrome: 0,
+        },
+      }));
+
+      const [profile] = db.profiles;
+      expect(profile).toMatchObject({
+        css_color_scheme: 'dark',
+        css_inverted_colors: null,
+        css_color_gamut: 'p3',
+        css_pointer: 'fine',
+        css_monochrome: 0,
+      });
+    });
+
+    it('should update toggled preferences on the current session', async () => {
+      const mediaFeatures = { colorScheme: 'light', reducedMotion: 'no-preference', colorGamut: 'srgb' };
+      await service.identify('uuid-1', createDeviceInfo({ mediaFeatures }));
+      const result = await service.identify('uuid-1', createDeviceInfo({
+        mediaFeatures: { ...mediaFeatures, colorScheme: 'dark', reducedMotion: 'reduce' },
+      }));
+
+      expect(result.is_device_changed).toBe(false);
+      expect(db.profiles).toHaveLength(1);
+      expect(db.changes).toHaveLength(0);
+      expect(db.profiles[0]).toMatchObject({ css_color_scheme: 'dark', css_reduced_motion: 'reduce' });
+    });
+
+    it('should update display and input features on the current session', async () => {
+      const mediaFeatures = { colorGamut: 'srgb', dynamicRange: 'standard', pointer: 'fine', hover: 'hover' };
+      await service.identify('uuid-1', createDeviceInfo({ mediaFeatures }));
+
+      // A laptop docked to an HDR monitor, then used with its touch screen
+      const result = await service.identify('uuid-1', createDeviceInfo({
+        mediaFeatures: { ...mediaFeatures, colorGamut: 'p3', dynamicRange: 'high', pointer: 'coarse', hover: 'none' },
+      }));
+
+      expect(result.is_device_changed).toBe(false);
+      expect(db.profiles).toHaveLength(1);
+      expect(db.changes).toHaveLength(0);
+      expect(db.profiles[0]).toMatchObject({
+        css_color_gamut: 'p3',
+        css_dynamic_range: 'high',
+        css_pointer: 'coarse',
+        css_hover: 'none',
+      });
+    });
+
+    it('should start a new session when more than preferences changed', async () => {
+      await service.identify('uuid-1', createDeviceInfo({ mediaFeatures: { colorScheme: 'light' } }));
+      const result = await service.identify('uuid-1', createDeviceInfo({
+        mediaFeatures: { colorScheme: 'dark' },
+        screen: { width: 2560, height: 1440, colorDepth: 24, pixelRatio: 1 },
+      }));
+
+      expect(result.is_device_changed).toBe(true);
+      expect(db.changes[0].changed_fields).toEqual(expect.arrayContaining(['screen_width', 'css_color_scheme']));
+    });
+
+    it('should store the tamper score and triggered consistency rules', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      await service.identify('uuid-2', createDeviceInfo({
+        platform: 'MacIntel',
+        hardware: { hardwareConcurrency: 8, deviceMemory: 16, maxTouchPoints: 0 },
+      }));
+
+      const [consistent, spoofed] = db.profiles;
+      expect(consistent).toMatchObject({ tamper_score: 0, tamper_rules: [] });
+      expect(spoofed).toMatchObject({ max_touch_points: 0, tamper_score: 0.5, tamper_rules: ['windows_ua_platform'] });
+    });
+
+    it('should store navigator properties that differ in a worker as a tamper signal', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        worker: { available: true, mismatches: ['userAgent', 'hardwareConcurrency'] },
+      }));
+
+      const [profile] = db.profiles;
+      expect(profile).toMatchObject({
+        worker_mismatches: ['userAgent', 'hardwareConcurrency'],
+        tamper_rules: ['worker_navigator_mismatch'],
+      });
+    });
+
+    it('should mark randomized components and not record them as device changes', async () => {
+      const noise = { detected: true, readbacksDiffer: true, pixelsAltered: true, workerDiffers: null };
+      const first = await service.identify('uuid-1', createDeviceInfo({ canvas: { hash: 'canvas-1', noise } }));
+      const second = await service.identify('uuid-1', createDeviceInfo({ canvas: { hash: 'canvas-2', noise } }));
+
+      expect(db.profiles[0].unstable_components).toEqual(['canvas']);
+      expect(second).toMatchObject({ status: 'recognized', is_device_changed: false, session_id: first.session_id });
+      expect(db.changes.filter(change => change.change_type !== 'new_device')).toHaveLength(0);
+    });
+
+    it('should not recover unrelated users through a shared sentinel', async () => {
+      const first = await service.identify('uuid-1', createDeviceInfo({
+        canvas: { hash: 'canvas-a' },
+        audio: { hash: 'timeout' },
+      }));
+      const second = await service.identify('uuid-2', createDeviceInfo({
+        canvas: { hash: 'canvas-b' },
+        audio: { hash: 'timeout' },
+        hardware: { hardwareConcurrency: 4, deviceMemory: 8 },
+      }));
+
+      expect(second.status).toBe('new');
+      expect(second.user_id).not.toBe(first.user_id);
+    });
+
+    it('should treat font lists cut short by the font budget as missing', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      const result = await service.identify('uuid-1', createDeviceInfo({
+        fonts: { fonts: ['Arial'], count: 1, tested: 40, method: 'measurement', complete: false },
+      }));
+
+      expect(result.is_device_changed).toBe(false);
+    });
+
+    it('should not report a change after a visit whose font list was cut short', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        fonts: { fonts: ['Arial'], count: 1, tested: 40, method: 'measurement', complete: false },
+      }));
+      expect(db.profiles[0].missing_fields).toEqual(['fonts_list']);
+
+      const result = await service.identify('uuid-1', createDeviceInfo());
+
+      expect(result.is_device_changed).toBe(false);
+      expect(db.profiles).toHaveLength(1);
+      expect(db.profiles[0]).toMatchObject({ missing_fields: [], fonts_list: ['Arial', 'Verdana', 'Segoe UI'] });
+    });
+
+    it('should treat timed-out components as missing rather than changed', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      const result = await service.identify('uuid-1', createDeviceInfo({
+        canvas: undefined,
+        hardware: undefined,
+        fonts: undefined,
+        components: {
+          canvas: { status: 'timeout', duration: 500, stability: 'high', error: 'Collection budget exhausted' },
+          hardware: { status: 'timeout', duration: 500, stability: 'high', error: 'Collection budget exhausted' },
+          fonts: { status: 'timeout', duration: 500, stability: 'medium', error: 'Collection budget exhausted' },
+        },
+      }));
+
+      expect(result.is_device_changed).toBe(false);
+      expect(db.profiles).toHaveLength(1);
+    });
+
+    it('should not report a change when a stored visit had timed-out components', async () => {
+      await service.identify('uuid-1', createDeviceInfo({
+        hardware: undefined,
+        fonts: undefined,
+        components: {
+          hardware: { status: 'timeout', duration: 500, stability: 'high', error: 'Collection budget exhausted' },
+          fonts: { status: 'timeout', duration: 500, stability: 'medium', error: 'Collection budget exhausted' },
+        },
+      }));
+      expect(db.profiles[0].missing_fields).toEqual(['hardware_concurrency', 'device_memory', 'max_touch_points', 'fonts_list']);
+
+      const result = await service.identify('uuid-1', createDeviceInfo());
+
+      expect(result.is_device_changed).toBe(false);
+      expect(db.profiles).toHaveLength(1);
+      expect(db.changes).toHaveLength(0);
+      expect(db.profiles[0]).toMatchObject({
+        missing_fields: [],
+        hardware_concurrency: 8,
+        device_memory: 16,
+        fonts_list: ['Arial', 'Verdana', 'Segoe UI'],
+      });
+
+      // The filled-in fields are compared again
+      const changed = await service.identify('uuid-1', createDeviceInfo({ hardware: { hardwareConcurrency: 4, deviceMemory: 16 } }));
+      expect(changed.is_device_changed).toBe(true);
+    });
+  });
+
+  describe('bot detection', () => {
+    const headless = {
+      bot: { webdriver: true, headlessUserAgent: true, automationGlobals: [], cdp: true },
+      webgl: { vendor: 'Google Inc.', renderer: 'ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device))' },
+    };
+
+    it('should return and log the bot score', async () => {
+      const human = await service.identify('uuid-1', createDeviceInfo({ bot: { webdriver: false, automationGlobals: [] } }));
+      const bot = await service.identify('uuid-2', createDeviceInfo(headless));
+
+      expect(human.bot_score).toBe(0);
+      expect(bot.bot_score).toBe(1);
+      expect(db.logs.map(log => log.botScore)).toEqual([0, 1]);
+    });
+
+    it('should flag new users above the threshold by default', async () => {
+      const result = await service.identify('uuid-1', createDeviceInfo(headless));
+
+      expect(result).toMatchObject({ status: 'new', bot_flagged: true });
+      expect(db.users[0].metadata).toMatchObject({ bot_flagged: true, bot_score: 1 });
+      expect(db.users[0].metadata.bot_signals).toEqual(
+        expect.arrayContaining(['webdriver', 'headlessUserAgent', 'cdp', 'softwareRenderer']),
+      );
+    });
+
+    it('should refuse new users above the threshold when blocking', async () => {
+      service.botNewUserAction = 'block';
+
+      await expect(service.identify('uuid-1', createDeviceInfo(headless))).rejects.toMatchObject({ code: 'BOT_DETECTED' });
+
+      expect(db.users).toHaveLength(0);
+      expect(db.logs).toEqual([expect.objectContaining({ status: 'blocked', botScore: 1 })]);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should still recognize known users when blocking', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      service.botNewUserAction = 'block';
+
+      const result = await service.identify('uuid-1', createDeviceInfo(headless));
+
+      expect(result).toMatchObject({ status: 'recognized', bot_score: 1 });
+    });
+  });
+
+  describe('private mode', () => {
+    const privateMode = { detected: true, signals: ['storageQuota'], quota: 100 * 1024 * 1024 };
+    // Same canvas, other audio hash and display: scores between the private
+    // and the normal match threshold
+    const changed = {
+      audio: { hash: 'audio-other' },
+      screen: { width: 1280, height: 720, colorDepth: 24, pixelRatio: 1.5 },
+    };
+
+    it('should not recover a changed device at the normal threshold', async () => {
+      await service.identify('uuid-1', createDeviceInfo());
+      const result = await service.identify('uuid-2', createDeviceInfo(changed));
+
+      expect(result.status).toBe('new');
+      expect(result.ephemeral).toBeUndefined();
+    });
+
+    it('should recover private sessions with the lower threshold and label them ephemeral', async () => {
+      const created = await service.identify('uuid-1', createDeviceInfo());
+      const result = await service.identify('uuid-2', createDeviceInfo({ ...changed, privateMode }));
+
+      expect(result).toMatchObject({ status: 'recovered', user_id: created.user_id, ephemeral: true });
+      expect(db.profiles.map(profile => profile.private_mode)).toEqual([null, true]);
+    });
+
+    it('should label new private sessions as ephemeral', async () => {
+      const result = await service.identify('uuid-1', createDeviceInfo({ privateMode }));
+
+      expect(result).toMatchObject({ status: 'new', ephemeral: true });
+    });
+  });
+
+  describe('concurrency', () => {
+    it('should create a single user for parallel requests with the same new UUID', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => service.identify('uuid-1', createDeviceInfo())),
+      );
+
+      expect(db.users).toHaveLength(1);
+      expect(results.filter(result => result.status === 'new')).toHaveLength(1);
+      expect(results.filter(result => result.status === 'recognized')).toHaveLength(4);
+      expect(new Set(results.map(result => result.user_id)).size).toBe(1);
+      expect(db.currentProfiles(results[0].user_id)).toHaveLength(1);
+    });
+
+    it('should keep a single current session for parallel device changes', async () => {
+      const { user_id: userId } = await service.identify('uuid-1', createDeviceInfo());
+
+      const results = await Promise.all([1280, 1366, 1440, 1600].map(width =>
+        service.identify('uuid-1', createDeviceInfo({
+          screen: { width, height: 900, colorDepth: 24, pixelRatio: 1 },
+        })),
+      ));
+
+      results.forEach(result => {
+        expect(result.status).toBe('recognized');
+        expect(result.user_id).toBe(userId);
+        expect(result.is_device_changed).toBe(true);
+      });
+      expect(db.currentProfiles(userId)).toHaveLength(1);
+    });
+
+    it('should keep a single current session when several UUIDs recover the same user', async () => {
+      const { user_id: userId } = await service.identify('uuid-1', createDeviceInfo());
+
+      const results = await Promise.all(
+        ['uuid-2', 'uuid-3', 'uuid-4'].map(uuid => service.identify(uuid, createDeviceInfo())),
+      );
+
+      results.forEach(result => {
+        expect(result.status).toBe('recovered');
+        expect(result.user_id).toBe(userId);
+      });
+      expect(db.users).toHaveLength(1);
+      expect(db.currentProfiles(userId)).toHaveLength(1);
+    });
+
+    it('should not serialize requests for different UUIDs', async () => {
+      const results = await Promise.all([
+        service.identify('uuid-1', createDeviceInfo()),
+        service.identify('uuid-2', createDeviceInfo({
+          canvas: { hash: 'other-canvas' },
+          audio: { hash: 'other-audio' },
+        })),
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['new', 'new']);
+      expect(db.maxAdvisoryLocksHeld).toBe(2);
+      expect(db.locks.size).toBe(0);
+    });
+  });
+});
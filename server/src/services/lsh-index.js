@@ -0,0 +1,170 @@
+/**
+ * MinHash / locality-sensitive hashing index for device profiles
+ * Turns a profile into a MinHash signature and banded bucket keys so that
+ * near-duplicate devices can be retrieved without scanning every profile
+ */
+import { isMissingSignal } from './fingerprint-matcher.js';
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+const SCHEME_VERSION = 'minhash-v1';
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+export function fnv1a(str) {
+  let hash = FNV_OFFSET;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer, used to derive independent hash functions
+ */
+function fmix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+export class LSHIndex {
+  constructor(options = {}) {
+    this.bands = options.bands ?? parseInt(process.env.LSH_BANDS || '16');
+    this.rows = options.rows ?? parseInt(process.env.LSH_ROWS || '4');
+    this.numHashes = this.bands * this.rows;
+
+    // Fixed seeds: signatures are persisted, so they must never change for a scheme
+    this.seeds = Array.from({ length: this.numHashes }, (_, i) => fmix32(Math.imul(i + 1, 0x9e3779b9)));
+  }
+
+  /**
+   * Identifier stored with each signature; rows from another scheme are ignored
+   */
+  get scheme() {
+    return `${SCHEME_VERSION}:${this.bands}x${this.rows}`;
+  }
+
+  /**
+   * Build the feature set of a device profile
+   * @param {Object} profile - Profile in user_device_profiles column format
+   * @param {Object} deviceInfo - Raw device info (for WebGL extensions)
+   */
+  tokens(profile, deviceInfo = {}) {
+    const tokens = new Set();
+    const add = (prefix, value) => {
+      if (isMissingSignal(value)) return;
+      tokens.add(`${prefix}:${String(value).trim().toLowerCase()}`);
+    };
+
+    (profile.fonts_list || []).forEach(font => add('font', font));
+    (profile.plugins_list || []).forEach(plugin => add('plugin', plugin));
+    (deviceInfo?.webgl?.extensions || []).forEach(extension => add('webglext', extension));
+
+    add('cores', profile.hardware_concurrency);
+    add('memory', profile.device_memory);
+
+    // Orientation-independent resolution
+    const width = parseInt(profile.screen_width);
+    const height = parseInt(profile.screen_height);
+    if (width && height) {
+      add('screen', `${Math.max(width, height)}x${Math.min(width, height)}`);
+    }
+    add('depth', profile.screen_color_depth);
+    if (profile.screen_pixel_ratio) {
+      add('ratio', parseFloat(profile.screen_pixel_ratio).toFixed(2));
+    }
+
+    return [...tokens];
+  }
+
+  /**
+   * MinHash signature of a token set (one minimum per hash function)
+   */
+  signature(tokens) {
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+
+    for (const token of tokens) {
+      const base = fnv1a(token);
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = fmix32(base ^ this.seeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Split a signature into bands and hash each band to a bucket key
+   */
+  bucketKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < this.bands; band++) {
+      const slice = signature.slice(band * this.rows, (band + 1) * this.rows);
+      keys.push(`${band}:${fnv1a(slice.join(',')).toString(16).padStart(8, '0')}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Estimate Jaccard similarity from two signatures
+   */
+  estimateSimilarity(signature1, signature2) {
+    if (!signature1 || !signature2 || signature1.length !== signature2.length) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < signature1.length; i++) {
+      if (signature1[i] === signature2[i]) equal++;
+    }
+    return equal / signature1.length;
+  }
+
+  /**
+   * Compute everything stored for a profile; null when it has no features
+   */
+  build(profile, deviceInfo = {}) {
+    const tokens = this.tokens(profile, deviceInfo);
+    if (tokens.length === 0) return null;
+
+    const signature = this.signature(tokens);
+    return {
+      scheme: this.scheme,
+      // INTEGER[] column: store as signed 32-bit
+      signature: signature.map(value => value | 0),
+      bucketKeys: this.bucketKeys(signature),
+      tokenCount: tokens.length,
+    };
+  }
+
+  /**
+   * Insert or replace the LSH entry of a device profile
+   * @param {Object} db - Anything with a pg-style query() (pool helper or transaction client)
+   */
+  async store(db, deviceProfileId, profile, deviceInfo = {}) {
+    const entry = this.build(profile, deviceInfo);
+    if (!entry) return null;
+
+    await db.query(
+      `INSERT INTO device_profile_lsh (
+        device_profile_id, scheme, signature, bucket_keys, token_count
+      ) VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (device_profile_id)
+      DO UPDATE SET scheme = $2, signature = $3, bucket_keys = $4, token_count = $5,
+                    updated_at = CURRENT_TIMESTAMP`,
+      [deviceProfileId, entry.scheme, entry.signature, entry.bucketKeys, entry.tokenCount],
+    );
+
+    return entry;
+  }
+}
+
+export default LSHIndex;
@@ -0,0 +1,151 @@
+/**
+ * Tests for LSHIndex
+ */
+
+import { LSHIndex, fnv1a } from './lsh-index.js';
+
+const baseProfile = {
+  fonts_list: ['Arial', 'Verdana', 'Times New Roman', 'Courier New', 'Georgia', 'Tahoma'],
+  plugins_list: ['PDF Viewer', 'Chrome PDF Viewer'],
+  hardware_concurrency: 8,
+  device_memory: 16,
+  screen_width: 1920,
+  screen_height: 1080,
+  screen_color_depth: 24,
+  screen_pixel_ratio: '1.00',
+};
+
+const baseDeviceInfo = {
+  webgl: {
+    extensions: ['ANGLE_instanced_arrays', 'EXT_blend_minmax', 'OES_texture_float', 'WEBGL_debug_renderer_info'],
+  },
+};
+
+describe('LSHIndex', () => {
+  let lsh;
+
+  beforeEach(() => {
+    lsh = new LSHIndex({ bands: 16, rows: 4 });
+  });
+
+  describe('tokens', () => {
+    it('should build normalized feature tokens', () => {
+      const tokens = lsh.tokens(baseProfile, baseDeviceInfo);
+
+      expect(tokens).toContain('font:arial');
+      expect(tokens).toContain('plugin:pdf viewer');
+      expect(tokens).toContain('webglext:oes_texture_float');
+      expect(tokens).toContain('cores:8');
+      expect(tokens).toContain('screen:1920x1080');
+      expect(tokens).toContain('ratio:1.00');
+    });
+
+    it('should ignore screen orientation and unknown values', () => {
+      const rotated = lsh.tokens({ screen_width: 1080, screen_height: 1920, device_memory: 'unknown' });
+
+      expect(rotated).toEqual(['screen:1920x1080']);
+    });
+  });
+
+  describe('signature', () => {
+    it('should be deterministic', () => {
+      const tokens = lsh.tokens(baseProfile, baseDeviceInfo);
+
+      expect(lsh.signature(tokens)).toEqual(new LSHIndex({ bands: 16, rows: 4 }).signature(tokens));
+      expect(lsh.signature(tokens)).toHaveLength(64);
+    });
+
+    it('should estimate Jaccard similarity', () => {
+      const tokensA = Array.from({ length: 200 }, (_, i) => `token:${i}`);
+      const tokensB = Array.from({ length: 200 }, (_, i) => `token:${i + 100}`);
+      const big = new LSHIndex({ bands: 64, rows: 4 });
+
+      // True Jaccard: 100 / 300
+      const estimate = big.estimateSimilarity(big.signature(tokensA), big.signature(tokensB));
+
+      expect(estimate).toBeGreaterThan(0.2);
+      expect(estimate).toBeLessThan(0.5);
+      expect(big.estimateSimilarity(big.signature(tokensA), big.signature(tokensA))).toBe(1);
+    });
+  });
+
+  describe('bucketKeys', () => {
+    it('should produce one key per band', () => {
+      const keys = lsh.bucketKeys(lsh.signature(lsh.tokens(baseProfile)));
+
+      expect(keys).toHaveLength(16);
+      expect(keys[0]).toMatch(/^0:[0-9a-f]{8}$/);
+      expect(keys[15]).toMatch(/^15:[0-9a-f]{8}$/);
+    });
+
+    it('should share buckets between near-duplicate devices', () => {
+      const original = lsh.build(baseProfile, baseDeviceInfo);
+      const drifted = lsh.build({
+        ...baseProfile,
+        fonts_list: [...baseProfile.fonts_list, 'Segoe UI'],
+      }, baseDeviceInfo);
+
+      const shared = original.bucketKeys.filter(key => drifted.bucketKeys.includes(key));
+      expect(shared.length).toBeGreaterThan(0);
+    });
+
+    it('should rarely share buckets between unrelated devices', () => {
+      const original = lsh.build(baseProfile, baseDeviceInfo);
+      const other = lsh.build({
+        fonts_list: ['Helvetica', 'Menlo', 'Monaco', 'Lucida Grande', 'Geneva', 'Optima'],
+        plugins_list: [],
+        hardware_concurrency: 10,
+        device_memory: 32,
+        screen_width: 2560,
+        screen_height: 1600,
+        screen_color_depth: 30,
+        screen_pixel_ratio: 2,
+      }, { webgl: { extensions: ['EXT_color_buffer_half_float', 'KHR_parallel_shader_compile'] } });
+
+      const shared = original.bucketKeys.filter(key => other.bucketKeys.includes(key));
+      expect(shared).toHaveLength(0);
+    });
+  });
+
+  describe('build', () => {
+    it('should return null for profiles without features', () => {
+      expect(lsh.build({})).toBeNull();
+    });
+
+    it('should store signed 32-bit signature values and the scheme', () => {
+      const entry = lsh.build(baseProfile, baseDeviceInfo);
+
+      expect(entry.scheme).toBe('minhash-v1:16x4');
+      entry.signature.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(-2147483648);
+        expect(value).toBeLessThanOrEqual(2147483647);
+      });
+    });
+  });
+
+  describe('store', () => {
+    it('should upsert the entry through the given executor', async () => {
+      const calls = [];
+      const db = { query: async (text, params) => calls.push({ text, params }) };
+
+      const entry = await lsh.store(db, 'profile-id', baseProfile, baseDeviceInfo);
+
+      expect(calls).toHaveLength(1);
+      expect(calls[0].text).toContain('ON CONFLICT (device_profile_id)');
+      expect(calls[0].params).toEqual(['profile-id', entry.scheme, entry.signature, entry.bucketKeys, entry.tokenCount]);
+    });
+
+    it('should skip profiles without features', async () => {
+      const db = { query: async () => { throw new Error('should not be called'); } };
+
+      expect(await lsh.store(db, 'profile-id', {})).toBeNull();
+    });
+  });
+
+  describe('fnv1a', () => {
+    it('should match the reference FNV-1a values', () => {
+      expect(fnv1a('')).toBe(0x811c9dc5);
+      expect(fnv1a('a')).toBe(0xe40c292c);
+    });
+  });
+});
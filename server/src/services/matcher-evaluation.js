@@ -0,0 +1,153 @@
+/**
+ * Matcher evaluation metrics
+ * ROC curve, AUC, equal error rate, confusion matrix and threshold
+ * recommendations for scored, labeled pairs (`{ score, label }`, label 1 for
+ * the same device)
+ */
+
+/**
+ * ROC curve: one point per distinct score, from the strictest threshold
+ * (nothing matches) to the loosest (everything matches)
+ */
+export function rocCurve(predictions) {
+  const positives = predictions.filter(p => p.label === 1).length;
+  const negatives = predictions.length - positives;
+  const sorted = [...predictions].sort((a, b) => b.score - a.score);
+
+  const points = [{ threshold: Infinity, tpr: 0, fpr: 0 }];
+  let tp = 0;
+  let fp = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].label === 1) tp++;
+    else fp++;
+
+    // Emit a point once every prediction with this score is counted
+    if (i === sorted.length - 1 || sorted[i + 1].score !== sorted[i].score) {
+      points.push({
+        threshold: sorted[i].score,
+        tpr: positives > 0 ? tp / positives : 0,
+        fpr: negatives > 0 ? fp / negatives : 0,
+      });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Area under the ROC curve (trapezoidal rule)
+ */
+export function areaUnderCurve(points) {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  }
+  return area;
+}
+
+/**
+ * Equal error rate: where the false-merge rate (FPR) equals the false-split
+ * rate (1 - TPR), interpolated between the surrounding ROC points
+ */
+export function equalErrorRate(points) {
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    const diffPrevious = (1 - previous.tpr) - previous.fpr;
+    const diffCurrent = (1 - current.tpr) - current.fpr;
+
+    if (diffCurrent <= 0) {
+      const span = diffPrevious - diffCurrent;
+      const t = span > 0 ? diffPrevious / span : 0;
+      return {
+        rate: previous.fpr + t * (current.fpr - previous.fpr),
+        threshold: current.threshold,
+      };
+    }
+  }
+
+  return { rate: 1, threshold: null };
+}
+
+/**
+ * Confusion matrix and derived rates at a threshold (score >= threshold matches)
+ */
+export function confusionMatrix(predictions, threshold) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let trueNegatives = 0;
+  let falseNegatives = 0;
+
+  for (const { score, label } of predictions) {
+    const predicted = score >= threshold;
+    if (predicted && label === 1) truePositives++;
+    else if (predicted) falsePositives++;
+    else if (label === 1) falseNegatives++;
+    else trueNegatives++;
+  }
+
+  const positives = truePositives + falseNegatives;
+  const negatives = falsePositives + trueNegatives;
+
+  return {
+    threshold,
+    truePositives,
+    falsePositives,
+    trueNegatives,
+    falseNegatives,
+    precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 1,
+    recall: positives > 0 ? truePositives / positives : 0,
+    falseMergeRate: negatives > 0 ? falsePositives / negatives : 0,
+    falseSplitRate: positives > 0 ? falseNegatives / positives : 0,
+    accuracy: predictions.length > 0 ? (truePositives + trueNegatives) / predictions.length : 0,
+  };
+}
+
+/**
+ * Loosest threshold whose false-merge rate stays at or below the target
+ * (maximizes recall under the constraint)
+ */
+export function thresholdForFalseMergeRate(points, targetRate) {
+  let best = null;
+
+  for (const point of points) {
+    if (point.fpr > targetRate || !Number.isFinite(point.threshold)) continue;
+    if (!best || point.tpr > best.tpr || (point.tpr === best.tpr && point.threshold < best.threshold)) {
+      best = point;
+    }
+  }
+
+  return best
+    ? { targetRate, threshold: best.threshold, falseMergeRate: best.fpr, recall: best.tpr }
+    : { targetRate, threshold: null, falseMergeRate: null, recall: 0 };
+}
+
+/**
+ * Full evaluation report for scored pairs
+ */
+export function evaluatePredictions(predictions, options = {}) {
+  const threshold = options.threshold ?? 0.75;
+  const targetFalseMergeRate = options.targetFalseMergeRate ?? 0.001;
+  const roc = rocCurve(predictions);
+
+  return {
+    pairs: predictions.length,
+    positives: predictions.filter(p => p.label === 1).length,
+    negatives: predictions.filter(p => p.label !== 1).length,
+    auc: areaUnderCurve(roc),
+    eer: equalErrorRate(roc),
+    confusionMatrix: confusionMatrix(predictions, threshold),
+    recommendedThreshold: thresholdForFalseMergeRate(roc, targetFalseMergeRate),
+    roc,
+  };
+}
+
+export default {
+  rocCurve,
+  areaUnderCurve,
+  equalErrorRate,
+  confusionMatrix,
+  thresholdForFalseMergeRate,
+  evaluatePredictions,
+};
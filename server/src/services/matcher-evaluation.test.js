@@ -0,0 +1,157 @@
+/**
+ * Tests for matcher evaluation metrics
+ */
+
+import {
+  rocCurve,
+  areaUnderCurve,
+  equalErrorRate,
+  confusionMatrix,
+  thresholdForFalseMergeRate,
+  evaluatePredictions,
+} from './matcher-evaluation.js';
+
+const separable = [
+  { score: 0.95, label: 1 },
+  { score: 0.9, label: 1 },
+  { score: 0.8, label: 1 },
+  { score: 0.4, label: 0 },
+  { score: 0.3, label: 0 },
+  { score: 0.2, label: 0 },
+];
+
+const overlapping = [
+  { score: 0.9, label: 1 },
+  { score: 0.8, label: 0 },
+  { score: 0.7, label: 1 },
+  { score: 0.6, label: 1 },
+  { score: 0.5, label: 0 },
+  { score: 0.4, label: 1 },
+  { score: 0.3, label: 0 },
+  { score: 0.2, label: 0 },
+];
+
+describe('matcher evaluation', () => {
+  describe('rocCurve', () => {
+    it('should run from (0, 0) to (1, 1)', () => {
+      const points = rocCurve(overlapping);
+
+      expect(points[0]).toEqual({ threshold: Infinity, tpr: 0, fpr: 0 });
+      expect(points[points.length - 1]).toMatchObject({ tpr: 1, fpr: 1 });
+    });
+
+    it('should emit one point per distinct score', () => {
+      const points = rocCurve([
+        { score: 0.9, label: 1 },
+        { score: 0.5, label: 1 },
+        { score: 0.5, label: 0 },
+      ]);
+
+      expect(points).toEqual([
+        { threshold: Infinity, tpr: 0, fpr: 0 },
+        { threshold: 0.9, tpr: 0.5, fpr: 0 },
+        { threshold: 0.5, tpr: 1, fpr: 1 },
+      ]);
+    });
+  });
+
+  describe('areaUnderCurve', () => {
+    it('should be 1 for perfectly separated scores', () => {
+      expect(areaUnderCurve(rocCurve(separable))).toBe(1);
+    });
+
+    it('should be 0.5 when scores carry no information', () => {
+      const points = rocCurve([
+        { score: 0.5, label: 1 },
+        { score: 0.5, label: 0 },
+      ]);
+
+      expect(areaUnderCurve(points)).toBe(0.5);
+    });
+
+    it('should equal the fraction of correctly ordered pairs', () => {
+      // 12 of 16 positive/negative pairs are ordered correctly
+      expect(areaUnderCurve(rocCurve(overlapping))).toBeCloseTo(12 / 16);
+    });
+  });
+
+  describe('equalErrorRate', () => {
+    it('should be 0 for perfectly separated scores', () => {
+      const eer = equalErrorRate(rocCurve(separable));
+
+      expect(eer.rate).toBe(0);
+      expect(eer.threshold).toBe(0.8);
+    });
+
+    it('should find where false-merge and false-split rates cross', () => {
+      const eer = equalErrorRate(rocCurve(overlapping));
+
+      expect(eer.rate).toBeCloseTo(0.25);
+      expect(eer.threshold).toBe(0.6);
+    });
+  });
+
+  describe('confusionMatrix', () => {
+    it('should count predictions at the threshold', () => {
+      const matrix = confusionMatrix(overlapping, 0.6);
+
+      expect(matrix).toMatchObject({
+        threshold: 0.6,
+        truePositives: 3,
+        falsePositives: 1,
+        trueNegatives: 3,
+        falseNegatives: 1,
+        precision: 0.75,
+        recall: 0.75,
+        falseMergeRate: 0.25,
+        falseSplitRate: 0.25,
+        accuracy: 0.75,
+      });
+    });
+
+    it('should treat a score equal to the threshold as a match', () => {
+      const matrix = confusionMatrix([{ score: 0.75, label: 1 }], 0.75);
+
+      expect(matrix.truePositives).toBe(1);
+    });
+  });
+
+  describe('thresholdForFalseMergeRate', () => {
+    it('should pick the loosest threshold within the target', () => {
+      const result = thresholdForFalseMergeRate(rocCurve(overlapping), 0.25);
+
+      expect(result).toEqual({ targetRate: 0.25, threshold: 0.6, falseMergeRate: 0.25, recall: 0.75 });
+    });
+
+    it('should require a strict threshold for a zero false-merge rate', () => {
+      const result = thresholdForFalseMergeRate(rocCurve(overlapping), 0);
+
+      expect(result.threshold).toBe(0.9);
+      expect(result.recall).toBe(0.25);
+    });
+
+    it('should return no threshold when the target cannot be met', () => {
+      const result = thresholdForFalseMergeRate(rocCurve([
+        { score: 0.9, label: 0 },
+        { score: 0.5, label: 1 },
+      ]), 0);
+
+      expect(result.threshold).toBeNull();
+      expect(result.recall).toBe(0);
+    });
+  });
+
+  describe('evaluatePredictions', () => {
+    it('should combine all metrics', () => {
+      const report = evaluatePredictions(overlapping, { threshold: 0.6, targetFalseMergeRate: 0 });
+
+      expect(report.pairs).toBe(8);
+      expect(report.positives).toBe(4);
+      expect(report.negatives).toBe(4);
+      expect(report.auc).toBeCloseTo(12 / 16);
+      expect(report.confusionMatrix.threshold).toBe(0.6);
+      expect(report.recommendedThreshold.threshold).toBe(0.9);
+      expect(report.roc.length).toBe(9);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Training utilities for the probabilistic matcher
+ * Builds labeled profile pairs, fits a logistic regression over component
+ * agreement features and reports precision/recall
+ */
+import FingerprintMatcher from './fingerprint-matcher.js';
+import { deviceInfoToProfile } from './device-profile.js';
+import { agreementFeatures, sigmoid, MODEL_TYPE, FEATURE_SET } from './probabilistic-matcher.js';
+
+export const DEFAULT_THRESHOLDS = [0.5, 0.6, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+
+/**
+ * Seeded pseudo-random generator (mulberry32) for reproducible sampling
+ */
+export function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ */
+export function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Sample pairs of profiles that belong to different groups
+ */
+function sampleNegatives(groups, count, random) {
+  const negatives = [];
+  if (groups.length < 2) return negatives;
+
+  for (let i = 0; i < count; i++) {
+    const a = Math.floor(random() * groups.length);
+    let b = Math.floor(random() * (groups.length - 1));
+    if (b >= a) b++;
+
+    const groupA = groups[a];
+    const groupB = groups[b];
+    negatives.push({
+      device1: groupA[Math.floor(random() * groupA.length)],
+      device2: groupB[Math.floor(random() * groupB.length)],
+      label: 0,
+    });
+  }
+
+  return negatives;
+}
+
+/**
+ * Labeled pairs from tools/generate-test-data.js output
+ * Consecutive sessions of a user are positives unless the second one is a
+ * complete device change ("major"); sessions of different users are negatives
+ */
+export function buildPairsFromTestData(users, options = {}) {
+  const random = options.random || createRandom();
+  const negativeRatio = options.negativeRatio ?? 1;
+
+  const positives = [];
+  const groups = [];
+
+  for (const user of users) {
+    const profiles = user.sessions.map(session => deviceInfoToProfile(session.device, session.uuid));
+    groups.push(profiles);
+
+    for (let i = 1; i < user.sessions.length; i++) {
+      if (user.sessions[i].changeType === 'major') continue;
+      positives.push({ device1: profiles[i - 1], device2: profiles[i], label: 1 });
+    }
+  }
+
+  const negatives = sampleNegatives(groups, Math.round(positives.length * negativeRatio), random);
+  return [...positives, ...negatives];
+}
+
+/**
+ * Labeled pairs from stored profiles (user_device_profiles rows with
+ * `user_identity_id`, `client_uuid` and `change_type` of the session)
+ * Consecutive profiles sharing a client UUID are confirmed by UUID continuity
+ * and are positives unless the change was "major"; profiles of different
+ * users are negatives
+ */
+export function buildPairsFromProfiles(rows, options = {}) {
+  const random = options.random || createRandom();
+  const negativeRatio = options.negativeRatio ?? 1;
+
+  const byUser = new Map();
+  const byClient = new Map();
+
+  for (const row of rows) {
+    if (!byUser.has(row.user_identity_id)) byUser.set(row.user_identity_id, []);
+    byUser.get(row.user_identity_id).push(row);
+
+    const clientKey = `${row.user_identity_id}:${row.client_uuid}`;
+    if (!byClient.has(clientKey)) byClient.set(clientKey, []);
+    byClient.get(clientKey).push(row);
+  }
+
+  const positives = [];
+  for (const profiles of byClient.values()) {
+    for (let i = 1; i < profiles.length; i++) {
+      if (profiles[i].change_type === 'major') continue;
+      positives.push({ device1: profiles[i - 1], device2: profiles[i], label: 1 });
+    }
+  }
+
+  const negatives = sampleNegatives([...byUser.values()], Math.round(positives.length * negativeRatio), random);
+  return [...positives, ...negatives];
+}
+
+/**
+ * Turn labeled profile pairs into feature vectors
+ */
+export function extractExamples(pairs, matcher = new FingerprintMatcher()) {
+  return pairs.map(pair => ({
+    features: agreementFeatures(matcher.compareComponents(pair.device1, pair.device2)),
+    label: pair.label,
+  }));
+}
+
+/**
+ * Fit a logistic regression with batch gradient descent and L2 regularization
+ * Returns a model object ready to be serialized to JSON
+ */
+export function trainLogisticRegression(examples, options = {}) {
+  const epochs = options.epochs ?? 500;
+  const learningRate = options.learningRate ?? 0.5;
+  const l2 = options.l2 ?? 0.001;
+
+  if (examples.length === 0) {
+    throw new Error('No training examples');
+  }
+
+  const components = Object.keys(examples[0].features);
+  const weights = Object.fromEntries(components.map(component => [component, 0]));
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradients = Object.fromEntries(components.map(component => [component, 0]));
+    let biasGradient = 0;
+
+    for (const { features, label } of examples) {
+      const prediction = sigmoid(predictLogit({ bias, weights }, features));
+      const error = prediction - label;
+      biasGradient += error;
+      for (const component of components) {
+        gradients[component] += error * features[component];
+      }
+    }
+
+    bias -= learningRate * (biasGradient / examples.length);
+    for (const component of components) {
+      const gradient = gradients[component] / examples.length + l2 * weights[component];
+      weights[component] -= learningRate * gradient;
+    }
+  }
+
+  return {
+    type: MODEL_TYPE,
+    features: FEATURE_SET,
+    bias,
+    weights,
+    training: {
+      examples: examples.length,
+      positives: examples.filter(example => example.label === 1).length,
+      epochs,
+      learningRate,
+      l2,
+      trainedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Log-odds of a match for one feature vector
+ */
+export function predictLogit(model, features) {
+  let logit = model.bias;
+  for (const [component, value] of Object.entries(features)) {
+    logit += (model.weights[component] || 0) * value;
+  }
+  return logit;
+}
+
+/**
+ * Precision, recall and F1 of predicted probabilities at several thresholds
+ * @param {Array<{score: number, label: number}>} predictions
+ */
+export function precisionRecallTable(predictions, thresholds = DEFAULT_THRESHOLDS) {
+  return thresholds.map(threshold => {
+    let tp = 0;
+    let fp = 0;
+    let fn = 0;
+
+    for (const { score, label } of predictions) {
+      if (score >= threshold) {
+        if (label === 1) tp++;
+        else fp++;
+      } else if (label === 1) {
+        fn++;
+      }
+    }
+
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return { threshold, precision, recall, f1, truePositives: tp, falsePositives: fp, falseNegatives: fn };
+  });
+}
+
+export default {
+  buildPairsFromTestData,
+  buildPairsFromProfiles,
+  extractExamples,
+  trainLogisticRegression,
+  precisionRecallTable,
+};
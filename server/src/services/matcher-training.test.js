@@ -0,0 +1,132 @@
+/**
+ * Tests for matcher training utilities
+ */
+
+import {
+  buildPairsFromTestData,
+  buildPairsFromProfiles,
+  createRandom,
+  extractExamples,
+  precisionRecallTable,
+  predictLogit,
+  trainLogisticRegression,
+} from './matcher-training.js';
+import { sigmoid } from './probabilistic-matcher.js';
+
+function session(uuid, canvas, overrides = {}) {
+  return {
+    uuid,
+    changeType: overrides.changeType || 'minor',
+    device: {
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0',
+      platform: 'Win32',
+      language: 'en-US',
+      timezone: 'Europe/Berlin',
+      screen: { width: 1920, height: 1080, colorDepth: 24, pixelRatio: 1 },
+      hardware: { hardwareConcurrency: 8, deviceMemory: 16 },
+      canvas: { hash: canvas },
+      audio: { hash: `audio-${canvas}` },
+      fonts: { fonts: ['Arial', 'Verdana'] },
+      ...overrides.device,
+    },
+  };
+}
+
+describe('matcher training', () => {
+  describe('createRandom', () => {
+    it('should be reproducible for a seed', () => {
+      const a = createRandom(7);
+      const b = createRandom(7);
+
+      expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+      expect(createRandom(8)()).not.toBe(createRandom(7)());
+    });
+  });
+
+  describe('buildPairsFromTestData', () => {
+    it('should pair consecutive sessions and skip major changes', () => {
+      const users = [
+        { userId: 'u1', sessions: [session('a', 'c1', { changeType: 'initial' }), session('a', 'c1'), session('a', 'c9', { changeType: 'major' })] },
+        { userId: 'u2', sessions: [session('b', 'c2', { changeType: 'initial' }), session('b2', 'c2', { changeType: 'device_reset' })] },
+      ];
+
+      const pairs = buildPairsFromTestData(users, { random: createRandom(1) });
+      const positives = pairs.filter(pair => pair.label === 1);
+      const negatives = pairs.filter(pair => pair.label === 0);
+
+      expect(positives).toHaveLength(2);
+      expect(negatives).toHaveLength(2);
+      negatives.forEach(pair => {
+        expect(pair.device1.canvas_fingerprint).not.toBe(pair.device2.canvas_fingerprint);
+      });
+    });
+  });
+
+  describe('buildPairsFromProfiles', () => {
+    it('should only pair profiles that share a client UUID', () => {
+      const rows = [
+        { user_identity_id: 'u1', client_uuid: 'a', canvas_fingerprint: 'c1', change_type: 'new_device' },
+        { user_identity_id: 'u1', client_uuid: 'a', canvas_fingerprint: 'c1', change_type: 'minor' },
+        { user_identity_id: 'u1', client_uuid: 'b', canvas_fingerprint: 'c1', change_type: 'device_reset' },
+        { user_identity_id: 'u2', client_uuid: 'c', canvas_fingerprint: 'c2', change_type: 'new_device' },
+        { user_identity_id: 'u2', client_uuid: 'c', canvas_fingerprint: 'c3', change_type: 'major' },
+      ];
+
+      const pairs = buildPairsFromProfiles(rows, { random: createRandom(1), negativeRatio: 2 });
+
+      expect(pairs.filter(pair => pair.label === 1)).toEqual([
+        { device1: rows[0], device2: rows[1], label: 1 },
+      ]);
+      pairs.filter(pair => pair.label === 0).forEach(pair => {
+        expect(pair.device1.user_identity_id).not.toBe(pair.device2.user_identity_id);
+      });
+      expect(pairs.filter(pair => pair.label === 0)).toHaveLength(2);
+    });
+  });
+
+  describe('trainLogisticRegression', () => {
+    it('should learn positive weights for agreeing signals', () => {
+      const users = Array.from({ length: 20 }, (_, i) => ({
+        userId: `u${i}`,
+        sessions: [
+          session(`uuid-${i}`, `canvas-${i}`, { changeType: 'initial' }),
+          session(`uuid-${i}`, `canvas-${i}`, { device: { screen: { width: 2560, height: 1440 } } }),
+        ],
+      }));
+      const examples = extractExamples(buildPairsFromTestData(users, { random: createRandom(3) }));
+
+      const model = trainLogisticRegression(examples, { epochs: 200 });
+
+      expect(model.weights.canvas).toBeGreaterThan(0);
+      expect(model.weights.audio).toBeGreaterThan(0);
+      expect(model.training.examples).toBe(40);
+
+      examples.forEach(({ features, label }) => {
+        const probability = sigmoid(predictLogit(model, features));
+        expect(probability >= 0.5).toBe(label === 1);
+      });
+    });
+
+    it('should require examples', () => {
+      expect(() => trainLogisticRegression([])).toThrow('No training examples');
+    });
+  });
+
+  describe('precisionRecallTable', () => {
+    it('should count outcomes per threshold', () => {
+      const predictions = [
+        { score: 0.95, label: 1 },
+        { score: 0.7, label: 1 },
+        { score: 0.8, label: 0 },
+        { score: 0.2, label: 0 },
+      ];
+
+      const [low, high] = precisionRecallTable(predictions, [0.5, 0.9]);
+
+      expect(low).toMatchObject({ threshold: 0.5, truePositives: 2, falsePositives: 1, falseNegatives: 0 });
+      expect(low.precision).toBeCloseTo(2 / 3, 10);
+      expect(low.recall).toBe(1);
+      expect(high).toMatchObject({ precision: 1, recall: 0.5 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Trained probabilistic matcher
+ * Logistic regression over the per-component agreement of two profiles.
+ * The model is trained offline (src/utils/train-matcher.js) and loaded from JSON.
+ */
+import fs from 'fs';
+import FingerprintMatcher from './fingerprint-matcher.js';
+
+export const MODEL_TYPE = 'logistic_regression';
+// Bumped whenever a component comparison changes what it measures; models
+// trained on an older feature set are rejected and must be retrained
+export const FEATURE_SET = 'component-agreement-v2';
+
+/**
+ * Map component scores to features in [-1, 1]: full agreement is 1, full
+ * disagreement -1, and a missing component 0 so it does not move the odds
+ */
+export function agreementFeatures(components) {
+  const features = {};
+  for (const [component, score] of Object.entries(components)) {
+    features[component] = score === null ? 0 : 2 * score - 1;
+  }
+  return features;
+}
+
+export function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+/**
+ * Check that a parsed model can be used by ProbabilisticMatcher
+ */
+export function validateModel(model) {
+  if (!model || model.type !== MODEL_TYPE) {
+    throw new Error(`Unsupported matcher model type: ${model?.type}`);
+  }
+  if (model.features !== FEATURE_SET) {
+    throw new Error(`Unsupported matcher feature set: ${model.features}`);
+  }
+  if (!Number.isFinite(model.bias) || !model.weights || typeof model.weights !== 'object') {
+    throw new Error('Matcher model must define a numeric bias and weights');
+  }
+  for (const [component, weight] of Object.entries(model.weights)) {
+    if (!Number.isFinite(weight)) {
+      throw new Error(`Matcher model weight for "${component}" is not a number`);
+    }
+  }
+  return model;
+}
+
+export class ProbabilisticMatcher extends FingerprintMatcher {
+  /**
+   * @param {Object} model - Trained model (see train-matcher.js)
+   */
+  constructor(model) {
+    super();
+    this.model = validateModel(model);
+  }
+
+  /**
+   * Load a model from a JSON file
+   */
+  static fromFile(path) {
+    const model = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    return new ProbabilisticMatcher(model);
+  }
+
+  /**
+   * Match probability of two device profiles
+   * `totalScore` is the probability; `breakdown` holds each component's
+   * contribution to the log-odds; below `minCoverage` of the components
+   * compared the result is never a match
+   */
+  calculateSimilarity(device1, device2, options = {}) {
+    const threshold = options.threshold ?? this.threshold;
+    const components = this.compareComponents(device1, device2, options);
+    const features = agreementFeatures(components);
+
+    const breakdown = {};
+    const skipped = [];
+    let logit = this.model.bias;
+
+    for (const [component, score] of Object.entries(components)) {
+      if (score === null) {
+        skipped.push(component);
+        continue;
+      }
+
+      breakdown[component] = (this.model.weights[component] || 0) * features[component];
+      logit += breakdown[component];
+    }
+
+    const componentCount = Object.keys(components).length;
+    const coverage = componentCount > 0 ? (componentCount - skipped.length) / componentCount : 0;
+    const tamper = this.tamperAdjustment(device1, device2);
+    const totalScore = sigmoid(logit) * tamper.factor;
+
+    return {
+      totalScore,
+      breakdown,
+      coverage,
+      skipped,
+      tamperScore: tamper.score,
+      isMatch: totalScore >= threshold && coverage >= this.minCoverage,
+    };
+  }
+}
+
+/**
+ * Create the matcher selected by MATCHER_TYPE (`weighted` or `probabilistic`)
+ */
+export function createMatcher() {
+  const type = process.env.MATCHER_TYPE || 'weighted';
+
+  if (type === 'weighted') {
+    return new FingerprintMatcher();
+  }
+
+  if (type === 'probabilistic') {
+    const modelPath = process.env.MATCHER_MODEL_PATH;
+    if (!modelPath) {
+      throw new Error('MATCHER_MODEL_PATH is required when MATCHER_TYPE=probabilistic');
+    }
+    const matcher = ProbabilisticMatcher.fromFile(modelPath);
+    console.log(`✓ Probabilistic matcher model loaded: ${modelPath}`);
+    return matcher;
+  }
+
+  throw new Error(`Unknown MATCHER_TYPE: ${type}`);
+}
+
+export default ProbabilisticMatcher;
@@ -0,0 +1,176 @@
+/**
+ * Tests for ProbabilisticMatcher
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FingerprintMatcher from './fingerprint-matcher.js';
+import {
+  ProbabilisticMatcher,
+  agreementFeatures,
+  createMatcher,
+  sigmoid,
+  validateModel,
+  MODEL_TYPE,
+  FEATURE_SET,
+} from './probabilistic-matcher.js';
+
+const MODEL = {
+  type: MODEL_TYPE,
+  features: FEATURE_SET,
+  bias: -1,
+  weights: {
+    canvas: 2,
+    audio: 2,
+    hardware: 0.5,
+    screen: 0.5,
+    fonts: 1,
+    webgl: 0.5,
+    locale: 0.5,
+    platform: 0.5,
+  },
+};
+
+const device = {
+  canvas_fingerprint: 'abc123',
+  audio_fingerprint: 'def456',
+  hardware_concurrency: 8,
+  device_memory: 16,
+  fonts_list: ['Arial', 'Verdana'],
+};
+
+describe('ProbabilisticMatcher', () => {
+  describe('agreementFeatures', () => {
+    it('should map scores to [-1, 1] and missing components to 0', () => {
+      expect(agreementFeatures({ canvas: 1, audio: 0, fonts: 0.5, webgl: null })).toEqual({
+        canvas: 1,
+        audio: -1,
+        fonts: 0,
+        webgl: 0,
+      });
+    });
+  });
+
+  describe('validateModel', () => {
+    it('should accept a trained model', () => {
+      expect(validateModel(MODEL)).toBe(MODEL);
+    });
+
+    it('should reject unknown model types and broken weights', () => {
+      expect(() => validateModel({ ...MODEL, type: 'naive_bayes' })).toThrow('Unsupported matcher model type');
+      expect(() => validateModel({ ...MODEL, features: 'v0' })).toThrow('feature set');
+      expect(() => validateModel({ ...MODEL, features: 'component-agreement-v1' })).toThrow('feature set');
+      expect(() => validateModel({ ...MODEL, weights: { canvas: 'high' } })).toThrow('canvas');
+    });
+  });
+
+  describe('calculateSimilarity', () => {
+    let matcher;
+
+    beforeEach(() => {
+      matcher = new ProbabilisticMatcher(MODEL);
+    });
+
+    it('should return the logistic probability of a match', () => {
+      const result = matcher.calculateSimilarity(device, device);
+
+      // canvas + audio + hardware + fonts agree: -1 + 2 + 2 + 0.5 + 1
+      expect(result.totalScore).toBeCloseTo(sigmoid(4.5), 10);
+      expect(result.breakdown.canvas).toBe(2);
+      expect(result.isMatch).toBe(true);
+    });
+
+    it('should leave missing components out of the odds and report them', () => {
+      const result = matcher.calculateSimilarity(device, { ...device, audio_fingerprint: 'timeout' });
+
+      expect(result.totalScore).toBeCloseTo(sigmoid(2.5), 10);
+      expect(result.skipped).toEqual(expect.arrayContaining(['audio', 'screen', 'webgl']));
+      expect(result.breakdown.audio).toBeUndefined();
+    });
+
+    it('should not match when too few components were compared', () => {
+      const canvasOnly = { canvas_fingerprint: 'abc123' };
+      const result = matcher.calculateSimilarity(canvasOnly, canvasOnly, { threshold: 0.5 });
+
+      expect(result.totalScore).toBeCloseTo(sigmoid(1), 10);
+      expect(result.coverage).toBeLessThan(matcher.minCoverage);
+      expect(result.isMatch).toBe(false);
+    });
+
+    it('should penalize disagreeing components', () => {
+      const result = matcher.calculateSimilarity(device, {
+        ...device,
+        canvas_fingerprint: 'other',
+        audio_fingerprint: 'other',
+      });
+
+      expect(result.totalScore).toBeCloseTo(sigmoid(-3.5), 10);
+      expect(result.isMatch).toBe(false);
+    });
+
+    it('should scale the probability down for tampered profiles', () => {
+      const result = matcher.calculateSimilarity(device, { ...device, tamper_score: 1 });
+
+      expect(result.totalScore).toBeCloseTo(sigmoid(4.5) * 0.5, 10);
+      expect(result.tamperScore).toBe(1);
+    });
+
+    it('should support findBestMatch options', () => {
+      const candidate = { ...device, canvas_fingerprint: 'other', audio_fingerprint: 'other' };
+
+      expect(matcher.findBestMatch(device, [candidate])).toBeNull();
+      expect(matcher.findBestMatch(device, [candidate], {
+        exclude: ['canvas', 'audio'],
+        threshold: 0.6,
+      }).device).toBe(candidate);
+    });
+  });
+
+  describe('createMatcher', () => {
+    const originalEnv = { ...process.env };
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iky-matcher-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should default to the weighted matcher', () => {
+      delete process.env.MATCHER_TYPE;
+
+      const matcher = createMatcher();
+
+      expect(matcher).toBeInstanceOf(FingerprintMatcher);
+      expect(matcher).not.toBeInstanceOf(ProbabilisticMatcher);
+    });
+
+    it('should load the probabilistic model from MATCHER_MODEL_PATH', () => {
+      const modelPath = path.join(tmpDir, 'model.json');
+      fs.writeFileSync(modelPath, JSON.stringify(MODEL));
+      process.env.MATCHER_TYPE = 'probabilistic';
+      process.env.MATCHER_MODEL_PATH = modelPath;
+
+      const matcher = createMatcher();
+
+      expect(matcher).toBeInstanceOf(ProbabilisticMatcher);
+      expect(matcher.model.bias).toBe(-1);
+    });
+
+    it('should fail on misconfiguration', () => {
+      process.env.MATCHER_TYPE = 'probabilistic';
+      delete process.env.MATCHER_MODEL_PATH;
+      expect(() => createMatcher()).toThrow('MATCHER_MODEL_PATH');
+
+      process.env.MATCHER_TYPE = 'neural';
+      expect(() => createMatcher()).toThrow('Unknown MATCHER_TYPE');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * User-agent parsing
+ * Extracts browser, engine, OS and device fields from a user-agent string
+ * using the ordered rules in user-agent-rules.json (first match wins, so more
+ * specific tokens such as Edge's "Edg/" come before the generic "Chrome/")
+ */
+import fs from 'fs';
+import { applyClientHints } from './client-hints.js';
+
+const DEFAULT_RULES_PATH = new URL('./user-agent-rules.json', import.meta.url);
+
+const EMPTY_RESULT = {
+  browser: { name: null, version: null, major: null },
+  engine: { name: null, version: null },
+  os: { name: null, version: null },
+  device: { type: null, vendor: null, model: null },
+};
+
+/**
+ * Compile the regular expressions of a rules object
+ */
+export function compileRules(rules) {
+  const compile = list => (list || []).map(rule => ({ ...rule, regex: new RegExp(rule.pattern, rule.flags) }));
+
+  return {
+    updated: rules.updated || null,
+    browsers: compile(rules.browsers),
+    engines: compile(rules.engines),
+    os: compile(rules.os),
+    deviceTypes: compile(rules.deviceTypes),
+    deviceModels: compile(rules.deviceModels),
+    ignoredModels: new Set(rules.ignoredModels || []),
+  };
+}
+
+/**
+ * Load and compile a rules file
+ */
+export function loadRules(path = DEFAULT_RULES_PATH) {
+  return compileRules(JSON.parse(fs.readFileSync(path, 'utf-8')));
+}
+
+export class UserAgentParser {
+  /**
+   * @param {Object} options - `rules` (compiled rules) or `rulesPath`
+   */
+  constructor(options = {}) {
+    this.rules = options.rules || loadRules(options.rulesPath || process.env.USER_AGENT_RULES_PATH || DEFAULT_RULES_PATH);
+  }
+
+  /**
+   * Parse a user-agent string; unknown parts are null
+   */
+  parse(userAgent) {
+    if (!userAgent || typeof userAgent !== 'string') {
+      return structuredClone(EMPTY_RESULT);
+    }
+
+    const browser = this._firstMatch(this.rules.browsers, userAgent);
+    const engine = this._firstMatch(this.rules.engines, userAgent);
+    const os = this._firstMatch(this.rules.os, userAgent);
+    const deviceType = this._firstMatch(this.rules.deviceTypes, userAgent);
+    const deviceModel = this._firstMatch(this.rules.deviceModels, userAgent);
+
+    const browserVersion = browser?.version || null;
+    const model = deviceModel ? this._expand(deviceModel.rule.model, deviceModel.match) : null;
+
+    return {
+      browser: {
+        name: browser?.rule.name || null,
+        version: browserVersion,
+        major: browserVersion ? browserVersion.split('.')[0] : null,
+      },
+      engine: {
+        name: engine?.rule.name || null,
+        version: engine?.version || null,
+      },
+      os: {
+        name: os?.rule.name || null,
+        version: os ? this._osVersion(os) : null,
+      },
+      device: {
+        type: deviceType?.rule.type || null,
+        vendor: deviceModel?.rule.vendor || null,
+        model: model && !this.rules.ignoredModels.has(model) ? model : null,
+      },
+    };
+  }
+
+  /**
+   * First rule whose pattern matches, with its captured version
+   */
+  _firstMatch(rules, userAgent) {
+    for (const rule of rules) {
+      const match = userAgent.match(rule.regex);
+      if (match) {
+        return { rule, match, version: match[1] || null };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Normalize an OS version ("10_15_7" → "10.15.7") and map NT versions to
+   * marketing names
+   */
+  _osVersion({ rule, version }) {
+    if (!version) return null;
+    const normalized = version.replace(/_/g, '.');
+    return rule.versions?.[normalized] || normalized;
+  }
+
+  /**
+   * Substitute $1..$9 in a rule template with captured groups
+   */
+  _expand(template, match) {
+    if (!template) return null;
+    return template.replace(/\$(\d)/g, (_, group) => match[group] || '').trim() || null;
+  }
+}
+
+let defaultParser = null;
+
+/**
+ * Parse with a shared parser loaded from the default rules file
+ */
+export function parseUserAgent(userAgent) {
+  if (!defaultParser) {
+    defaultParser = new UserAgentParser();
+  }
+  return defaultParser.parse(userAgent);
+}
+
+/**
+ * Parsed user-agent fields in user_device_profiles column format
+ * Merged client hints (see client-hints.js) refine the parsed values
+ */
+export function userAgentColumns(userAgent, clientHints = null) {
+  const parsed = applyClientHints(parseUserAgent(userAgent), clientHints);
+
+  return {
+    browser_name: parsed.browser.name,
+    browser_version: parsed.browser.version,
+    engine_name: parsed.engine.name,
+    engine_version: parsed.engine.version,
+    os_name: parsed.os.name,
+    os_version: parsed.os.version,
+    device_type: parsed.device.type,
+    device_vendor: parsed.device.vendor,
+    device_model: parsed.device.model,
+  };
+}
+
+export default UserAgentParser;
@@ -0,0 +1,121 @@
+/**
+ * Tests for the user-agent parser
+ */
+
+import { UserAgentParser, compileRules, parseUserAgent, userAgentColumns } from './user-agent-parser.js';
+
+const UA = {
+  chromeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+  operaWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36 OPR/105.0.0.0',
+  safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+  safariIPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
+  chromeIPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1',
+  chromeSamsung: 'Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  chromeReducedAndroid: 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  firefoxLinux: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  samsungTablet: 'Mozilla/5.0 (Linux; Android 13; SAMSUNG SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Safari/537.36',
+  ie11: 'Mozilla/5.0 (Windows NT 6.1; WOW64; Trident/7.0; rv:11.0) like Gecko',
+};
+
+describe('UserAgentParser', () => {
+  describe('browsers', () => {
+    it('should not report Chromium-based browsers as Chrome', () => {
+      expect(parseUserAgent(UA.edgeWindows).browser).toEqual({ name: 'Edge', version: '120.0.2210.91', major: '120' });
+      expect(parseUserAgent(UA.operaWindows).browser).toEqual({ name: 'Opera', version: '105.0.0.0', major: '105' });
+      expect(parseUserAgent(UA.samsungTablet).browser.name).toBe('Samsung Internet');
+      expect(parseUserAgent(UA.chromeWindows).browser.name).toBe('Chrome');
+    });
+
+    it('should not read the Safari/537 token of Chromium browsers as Safari', () => {
+      expect(parseUserAgent(UA.chromeSamsung).browser.name).toBe('Chrome');
+      expect(parseUserAgent(UA.safariMac).browser).toEqual({ name: 'Safari', version: '17.1', major: '17' });
+      expect(parseUserAgent(UA.safariIPhone).browser.name).toBe('Mobile Safari');
+    });
+
+    it('should recognize iOS browsers and Internet Explorer', () => {
+      expect(parseUserAgent(UA.chromeIPhone).browser.name).toBe('Chrome');
+      expect(parseUserAgent(UA.ie11).browser).toEqual({ name: 'Internet Explorer', version: '11.0', major: '11' });
+    });
+  });
+
+  describe('engines', () => {
+    it('should report WebKit for every iOS browser', () => {
+      expect(parseUserAgent(UA.chromeIPhone).engine).toEqual({ name: 'WebKit', version: '605.1.15' });
+    });
+
+    it('should detect Blink, Gecko and Trident', () => {
+      expect(parseUserAgent(UA.edgeWindows).engine).toEqual({ name: 'Blink', version: '120.0.0.0' });
+      expect(parseUserAgent(UA.firefoxLinux).engine).toEqual({ name: 'Gecko', version: '121.0' });
+      expect(parseUserAgent(UA.ie11).engine.name).toBe('Trident');
+    });
+  });
+
+  describe('operating systems', () => {
+    it('should map Windows NT versions', () => {
+      expect(parseUserAgent(UA.chromeWindows).os).toEqual({ name: 'Windows', version: '10' });
+      expect(parseUserAgent(UA.ie11).os).toEqual({ name: 'Windows', version: '7' });
+    });
+
+    it('should normalize underscore-separated versions', () => {
+      expect(parseUserAgent(UA.safariMac).os).toEqual({ name: 'macOS', version: '10.15.7' });
+      expect(parseUserAgent(UA.safariIPhone).os).toEqual({ name: 'iOS', version: '17.1.2' });
+    });
+
+    it('should detect Android and Linux', () => {
+      expect(parseUserAgent(UA.chromeSamsung).os).toEqual({ name: 'Android', version: '14' });
+      expect(parseUserAgent(UA.firefoxLinux).os).toEqual({ name: 'Linux', version: null });
+    });
+  });
+
+  describe('devices', () => {
+    it('should detect type, vendor and model', () => {
+      expect(parseUserAgent(UA.chromeSamsung).device).toEqual({ type: 'mobile', vendor: 'Samsung', model: 'SM-S918B' });
+      expect(parseUserAgent(UA.samsungTablet).device).toEqual({ type: 'tablet', vendor: 'Samsung', model: 'SM-X700' });
+      expect(parseUserAgent(UA.safariIPhone).device).toEqual({ type: 'mobile', vendor: 'Apple', model: 'iPhone' });
+      expect(parseUserAgent(UA.chromeWindows).device).toEqual({ type: 'desktop', vendor: null, model: null });
+    });
+
+    it('should ignore the placeholder model of reduced user agents', () => {
+      expect(parseUserAgent(UA.chromeReducedAndroid).device).toEqual({ type: 'mobile', vendor: null, model: null });
+    });
+  });
+
+  it('should return empty fields for missing user agents', () => {
+    expect(parseUserAgent(undefined)).toEqual({
+      browser: { name: null, version: null, major: null },
+      engine: { name: null, version: null },
+      os: { name: null, version: null },
+      device: { type: null, vendor: null, model: null },
+    });
+  });
+
+  it('should use custom rules', () => {
+    const parser = new UserAgentParser({
+      rules: compileRules({
+        browsers: [{ name: 'Example', pattern: 'Example/([\\d.]+)' }],
+        os: [{ name: 'ExampleOS', pattern: 'ExampleOS ([\\d_]+)', versions: { '1.0': 'One' } }],
+      }),
+    });
+
+    const result = parser.parse('Example/2.5 (ExampleOS 1_0)');
+
+    expect(result.browser).toEqual({ name: 'Example', version: '2.5', major: '2' });
+    expect(result.os).toEqual({ name: 'ExampleOS', version: 'One' });
+    expect(result.engine.name).toBeNull();
+  });
+
+  it('should map parsed fields to profile columns', () => {
+    expect(userAgentColumns(UA.edgeWindows)).toEqual({
+      browser_name: 'Edge',
+      browser_version: '120.0.2210.91',
+      engine_name: 'Blink',
+      engine_version: '120.0.0.0',
+      os_name: 'Windows',
+      os_version: '10',
+      device_type: 'desktop',
+      device_vendor: null,
+      device_model: null,
+    });
+  });
+});
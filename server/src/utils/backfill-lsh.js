@@ -0,0 +1,83 @@
+/**
+ * LSH signature backfill
+ * Indexes device profiles that have no signature yet (or one from an older
+ * scheme). Safe to re-run; processes profiles in id order, in batches.
+ *
+ * Usage: node src/utils/backfill-lsh.js [batchSize]
+ */
+import { query, closePool } from './database.js';
+import LSHIndex from '../services/lsh-index.js';
+
+/**
+ * Backfill LSH signatures for existing device profiles
+ */
+export async function backfillLshSignatures(options = {}) {
+  const lsh = options.lsh || new LSHIndex();
+  const batchSize = options.batchSize || 500;
+  const db = options.db || { query };
+
+  let lastId = null;
+  let indexed = 0;
+  let skipped = 0;
+
+  for (;;) {
+    const result = await db.query(
+      `SELECT
+        udp.id,
+        udp.fonts_list,
+        udp.plugins_list,
+        udp.hardware_concurrency,
+        udp.device_memory,
+        udp.screen_width,
+        udp.screen_height,
+        udp.screen_color_depth,
+        udp.screen_pixel_ratio,
+        udp.device_info_raw
+      FROM user_device_profiles udp
+      LEFT JOIN device_profile_lsh lsh ON lsh.device_profile_id = udp.id
+      WHERE (lsh.device_profile_id IS NULL OR lsh.scheme <> $1)
+        AND ($2::uuid IS NULL OR udp.id > $2::uuid)
+      ORDER BY udp.id
+      LIMIT $3`,
+      [lsh.scheme, lastId, batchSize],
+    );
+
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      const entry = await lsh.store(db, row.id, row, row.device_info_raw || {});
+      if (entry) {
+        indexed++;
+      } else {
+        skipped++;
+      }
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+    options.onProgress?.({ indexed, skipped });
+  }
+
+  return { indexed, skipped, scheme: lsh.scheme };
+}
+
+// CLI Usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const batchSize = parseInt(process.argv[2]) || 500;
+
+  console.log(`Backfilling LSH signatures (batch size ${batchSize})...`);
+
+  try {
+    const summary = await backfillLshSignatures({
+      batchSize,
+      onProgress: ({ indexed, skipped }) => console.log(`  indexed: ${indexed}, skipped: ${skipped}`),
+    });
+    console.log(`✓ Backfill complete (${summary.scheme}): ${summary.indexed} indexed, ${summary.skipped} without features`);
+  } catch (error) {
+    console.error('LSH backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+export default { backfillLshSignatures };
@@ -0,0 +1,47 @@
+/**
+ * Tests for the LSH backfill
+ */
+
+import { backfillLshSignatures } from './backfill-lsh.js';
+import LSHIndex from '../services/lsh-index.js';
+
+describe('backfillLshSignatures', () => {
+  it('should index profiles batch by batch and skip featureless ones', async () => {
+    const batches = [
+      [
+        { id: '00000000-0000-0000-0000-000000000001', fonts_list: ['Arial'], device_info_raw: {} },
+        { id: '00000000-0000-0000-0000-000000000002', device_info_raw: null },
+      ],
+      [
+        { id: '00000000-0000-0000-0000-000000000003', screen_width: 1920, screen_height: 1080 },
+      ],
+      [],
+    ];
+    const selects = [];
+    const upserts = [];
+    const db = {
+      query: async (text, params) => {
+        if (text.includes('INSERT INTO device_profile_lsh')) {
+          upserts.push(params[0]);
+          return { rows: [] };
+        }
+        selects.push(params);
+        return { rows: batches.shift() };
+      },
+    };
+
+    const summary = await backfillLshSignatures({ db, batchSize: 2, lsh: new LSHIndex({ bands: 4, rows: 2 }) });
+
+    expect(summary).toEqual({ indexed: 2, skipped: 1, scheme: 'minhash-v1:4x2' });
+    expect(upserts).toEqual([
+      '00000000-0000-0000-0000-000000000001',
+      '00000000-0000-0000-0000-000000000003',
+    ]);
+    // Keyset pagination continues after the last id of each batch
+    expect(selects.map(params => params[1])).toEqual([
+      null,
+      '00000000-0000-0000-0000-000000000002',
+      '00000000-0000-0000-0000-000000000003',
+    ]);
+  });
+});
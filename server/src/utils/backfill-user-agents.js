@@ -0,0 +1,90 @@
+/**
+ * Parsed user-agent backfill
+ * Fills browser/engine/OS/device columns of device profiles from their stored
+ * user agent. By default only profiles without parsed fields are processed;
+ * pass --all to re-parse every profile after updating user-agent-rules.json.
+ *
+ * Usage: node src/utils/backfill-user-agents.js [batchSize] [--all]
+ */
+import { query, closePool } from './database.js';
+import { userAgentColumns } from '../services/user-agent-parser.js';
+
+/**
+ * Backfill parsed user-agent fields for existing device profiles
+ */
+export async function backfillUserAgents(options = {}) {
+  const batchSize = options.batchSize || 500;
+  const db = options.db || { query };
+  const all = options.all || false;
+
+  let lastId = null;
+  let updated = 0;
+
+  for (;;) {
+    const result = await db.query(
+      `SELECT id, user_agent
+      FROM user_device_profiles
+      WHERE user_agent IS NOT NULL
+        AND ($1 OR browser_name IS NULL)
+        AND ($2::uuid IS NULL OR id > $2::uuid)
+      ORDER BY id
+      LIMIT $3`,
+      [all, lastId, batchSize],
+    );
+
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      const columns = userAgentColumns(row.user_agent);
+      await db.query(
+        `UPDATE user_device_profiles
+         SET browser_name = $2, browser_version = $3, engine_name = $4, engine_version = $5,
+             os_name = $6, os_version = $7, device_type = $8, device_vendor = $9, device_model = $10
+         WHERE id = $1`,
+        [
+          row.id,
+          columns.browser_name,
+          columns.browser_version,
+          columns.engine_name,
+          columns.engine_version,
+          columns.os_name,
+          columns.os_version,
+          columns.device_type,
+          columns.device_vendor,
+          columns.device_model,
+        ],
+      );
+      updated++;
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+    options.onProgress?.({ updated });
+  }
+
+  return { updated };
+}
+
+// CLI Usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const all = args.includes('--all');
+  const batchSize = parseInt(args.find(arg => arg !== '--all')) || 500;
+
+  console.log(`Backfilling parsed user-agent fields (batch size ${batchSize}${all ? ', all profiles' : ''})...`);
+
+  try {
+    const summary = await backfillUserAgents({
+      batchSize,
+      all,
+      onProgress: ({ updated }) => console.log(`  updated: ${updated}`),
+    });
+    console.log(`✓ Backfill complete: ${summary.updated} profiles updated`);
+  } catch (error) {
+    console.error('User-agent backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+export default { backfillUserAgents };
@@ -0,0 +1,42 @@
+/**
+ * Tests for the parsed user-agent backfill
+ */
+
+import { backfillUserAgents } from './backfill-user-agents.js';
+
+describe('backfillUserAgents', () => {
+  it('should parse and update profiles batch by batch', async () => {
+    const batches = [
+      [
+        { id: '00000000-0000-0000-0000-000000000001', user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0' },
+        { id: '00000000-0000-0000-0000-000000000002', user_agent: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0' },
+      ],
+      [],
+    ];
+    const selects = [];
+    const updates = [];
+    const db = {
+      query: async (text, params) => {
+        if (text.includes('UPDATE user_device_profiles')) {
+          updates.push(params);
+          return { rows: [] };
+        }
+        selects.push(params);
+        return { rows: batches.shift() };
+      },
+    };
+
+    const summary = await backfillUserAgents({ db, batchSize: 2 });
+
+    expect(summary).toEqual({ updated: 2 });
+    expect(updates.map(params => [params[0], params[1], params[5]])).toEqual([
+      ['00000000-0000-0000-0000-000000000001', 'Edge', 'Windows'],
+      ['00000000-0000-0000-0000-000000000002', 'Firefox', 'Linux'],
+    ]);
+    // Only unparsed profiles unless --all; keyset pagination after the last id
+    expect(selects).toEqual([
+      [false, null, 2],
+      [false, '00000000-0000-0000-0000-000000000002', 2],
+    ]);
+  });
+});
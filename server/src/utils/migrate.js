@@ -66,18 +66,9 @@ async function runMigration(migrationFile, migrationPath) {
   try {
     const sql = await fs.readFile(migrationPath, 'utf-8');
     
-    // Split by semicolons and filter out empty statements
-    const statements = sql
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0 && !s.startsWith('--'));
-    
-    // Execute each statement
-    for (const statement of statements) {
-      if (statement) {
-        await query(statement);
-      }
-    }
+    // Execute the whole file in one round trip so that comments and
+    // semicolons inside function bodies / DO blocks are preserved
+    await query(sql);
     
     await recordMigration(migrationFile);
     console.log(`  ✓ Migration completed: ${migrationFile}`);
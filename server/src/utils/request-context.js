@@ -0,0 +1,196 @@
+/**
+ * Request context extraction
+ * Resolves the real client IP behind trusted proxies and collects the
+ * request-level details the identify pipeline needs
+ */
+import net from 'net';
+import { parseClientHintHeaders } from '../services/client-hints.js';
+
+// Named address ranges accepted in TRUSTED_PROXIES
+const PROXY_ALIASES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+const SUPPORTED_HEADERS = ['x-forwarded-for', 'forwarded'];
+
+/**
+ * Normalize an address taken from a socket or a forwarding header.
+ * Strips quotes, brackets, ports, zone ids and the IPv4-mapped IPv6 prefix.
+ * Returns null when the value is not a valid IP address.
+ */
+export function normalizeIP(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  let address = value.trim().replace(/^"|"$/g, '');
+
+  if (address.startsWith('[')) {
+    // [2001:db8::1]:4711
+    const end = address.indexOf(']');
+    if (end === -1) return null;
+    address = address.slice(1, end);
+  } else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(address)) {
+    // 192.0.2.1:8080
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+
+  address = address.replace(/%.*$/, '');
+
+  if (/^::ffff:\d{1,3}(\.\d{1,3}){3}$/i.test(address)) {
+    address = address.slice(7);
+  }
+
+  return net.isIP(address) ? address.toLowerCase() : null;
+}
+
+/**
+ * Build a trust predicate from a proxy specification.
+ * Accepts an array or comma-separated list of IPs, CIDR ranges and the
+ * aliases loopback, linklocal and uniquelocal.
+ */
+export function createProxyTrust(spec = '') {
+  const entries = (Array.isArray(spec) ? spec : String(spec).split(','))
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap(entry => PROXY_ALIASES[entry] || [entry]);
+
+  if (entries.length === 0) {
+    return () => false;
+  }
+
+  const blockList = new net.BlockList();
+
+  for (const entry of entries) {
+    const [rawAddress, rawPrefix] = entry.split('/');
+    const address = normalizeIP(rawAddress);
+    if (!address) {
+      throw new Error(`Invalid trusted proxy entry: ${entry}`);
+    }
+
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (rawPrefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      const prefix = parseInt(rawPrefix, 10);
+      const maxPrefix = type === 'ipv6' ? 128 : 32;
+      if (Number.isNaN(prefix) || prefix < 0 || prefix > maxPrefix) {
+        throw new Error(`Invalid trusted proxy entry: ${entry}`);
+      }
+      blockList.addSubnet(address, prefix, type);
+    }
+  }
+
+  return (ip) => {
+    const address = normalizeIP(ip);
+    if (!address) return false;
+    return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  };
+}
+
+/**
+ * Extract the `for=` values from an RFC 7239 Forwarded header,
+ * ordered from the original client to the nearest proxy
+ */
+export function parseForwardedHeader(header) {
+  if (!header) return [];
+
+  return String(header)
+    .split(',')
+    .map(element => {
+      const pair = element
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.toLowerCase().startsWith('for='));
+      return pair ? pair.slice(4).trim() : null;
+    })
+    .filter(value => value !== null);
+}
+
+/**
+ * Extract the address list from an X-Forwarded-For header,
+ * ordered from the original client to the nearest proxy
+ */
+export function parseXForwardedFor(header) {
+  if (!header) return [];
+
+  return String(header)
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the client IP for a request.
+ * Walks the forwarding chain from the socket peer towards the client and
+ * stops at the first address that is not a trusted proxy.
+ */
+export function resolveClientIP(req, options = {}) {
+  const isTrusted = options.isTrusted || (() => false);
+  const headerName = (options.header || 'x-forwarded-for').toLowerCase();
+
+  const socketAddress = normalizeIP(req.socket?.remoteAddress);
+  const chain = socketAddress ? [socketAddress] : [];
+
+  if (!socketAddress || !isTrusted(socketAddress)) {
+    return { ip: socketAddress, chain };
+  }
+
+  const headerValue = req.headers?.[headerName];
+  const forwarded = headerName === 'forwarded'
+    ? parseForwardedHeader(headerValue)
+    : parseXForwardedFor(headerValue);
+
+  let ip = socketAddress;
+  for (let i = forwarded.length - 1; i >= 0; i--) {
+    const address = normalizeIP(forwarded[i]);
+
+    // Obfuscated or malformed hop ("unknown", "_hidden"): nothing beyond it can be trusted
+    if (!address) break;
+
+    chain.push(address);
+    ip = address;
+
+    if (!isTrusted(address)) break;
+  }
+
+  return { ip, chain };
+}
+
+/**
+ * Build the request context passed to IdentityService.identify()
+ */
+export function buildRequestContext(req, options = {}) {
+  const { ip, chain } = resolveClientIP(req, options);
+
+  return {
+    ip,
+    proxyChain: chain,
+    userAgent: req.headers?.['user-agent'] || null,
+    clientHints: parseClientHintHeaders(req.headers),
+  };
+}
+
+/**
+ * Create a context builder configured from environment variables
+ */
+export function createRequestContextBuilder(env = process.env) {
+  const header = (env.TRUSTED_PROXY_HEADER || 'x-forwarded-for').toLowerCase();
+  if (!SUPPORTED_HEADERS.includes(header)) {
+    throw new Error(`Unsupported TRUSTED_PROXY_HEADER: ${header}`);
+  }
+
+  const isTrusted = createProxyTrust(env.TRUSTED_PROXIES || '');
+
+  return (req) => buildRequestContext(req, { isTrusted, header });
+}
+
+export default {
+  normalizeIP,
+  createProxyTrust,
+  parseForwardedHeader,
+  parseXForwardedFor,
+  resolveClientIP,
+  buildRequestContext,
+  createRequestContextBuilder,
+};
@@ -0,0 +1,177 @@
+/**
+ * Tests for request context extraction
+ */
+
+import {
+  normalizeIP,
+  createProxyTrust,
+  parseForwardedHeader,
+  parseXForwardedFor,
+  resolveClientIP,
+  buildRequestContext,
+  createRequestContextBuilder,
+} from './request-context.js';
+
+const mockRequest = (remoteAddress, headers = {}) => ({
+  socket: { remoteAddress },
+  headers,
+});
+
+describe('Request Context', () => {
+  describe('normalizeIP', () => {
+    it('should accept plain IPv4 and IPv6 addresses', () => {
+      expect(normalizeIP('203.0.113.7')).toBe('203.0.113.7');
+      expect(normalizeIP('2001:DB8::1')).toBe('2001:db8::1');
+    });
+
+    it('should strip IPv4-mapped IPv6 prefixes', () => {
+      expect(normalizeIP('::ffff:192.0.2.10')).toBe('192.0.2.10');
+    });
+
+    it('should strip ports, brackets and quotes', () => {
+      expect(normalizeIP('192.0.2.60:8080')).toBe('192.0.2.60');
+      expect(normalizeIP('"[2001:db8:cafe::17]:4711"')).toBe('2001:db8:cafe::17');
+    });
+
+    it('should return null for invalid values', () => {
+      expect(normalizeIP('unknown')).toBeNull();
+      expect(normalizeIP('_hidden')).toBeNull();
+      expect(normalizeIP('')).toBeNull();
+      expect(normalizeIP(undefined)).toBeNull();
+    });
+  });
+
+  describe('createProxyTrust', () => {
+    it('should trust nothing by default', () => {
+      const isTrusted = createProxyTrust('');
+      expect(isTrusted('127.0.0.1')).toBe(false);
+    });
+
+    it('should support aliases, CIDR ranges and single addresses', () => {
+      const isTrusted = createProxyTrust('loopback, 10.0.0.0/8, 203.0.113.5');
+
+      expect(isTrusted('127.0.0.1')).toBe(true);
+      expect(isTrusted('::1')).toBe(true);
+      expect(isTrusted('10.20.30.40')).toBe(true);
+      expect(isTrusted('203.0.113.5')).toBe(true);
+      expect(isTrusted('203.0.113.6')).toBe(false);
+      expect(isTrusted('::ffff:10.1.1.1')).toBe(true);
+    });
+
+    it('should reject invalid entries', () => {
+      expect(() => createProxyTrust('not-an-ip')).toThrow('Invalid trusted proxy entry');
+      expect(() => createProxyTrust('10.0.0.0/33')).toThrow('Invalid trusted proxy entry');
+    });
+  });
+
+  describe('header parsing', () => {
+    it('should parse X-Forwarded-For lists', () => {
+      expect(parseXForwardedFor('203.0.113.7, 10.0.0.2 ,10.0.0.3'))
+        .toEqual(['203.0.113.7', '10.0.0.2', '10.0.0.3']);
+      expect(parseXForwardedFor(undefined)).toEqual([]);
+    });
+
+    it('should parse for= values from Forwarded headers', () => {
+      const header = 'for=192.0.2.43;proto=https, For="[2001:db8:cafe::17]:4711";by=10.0.0.1, proto=http';
+      expect(parseForwardedHeader(header))
+        .toEqual(['192.0.2.43', '"[2001:db8:cafe::17]:4711"']);
+    });
+  });
+
+  describe('resolveClientIP', () => {
+    it('should use the socket address when the peer is not trusted', () => {
+      const req = mockRequest('198.51.100.9', { 'x-forwarded-for': '1.2.3.4' });
+      expect(resolveClientIP(req).ip).toBe('198.51.100.9');
+    });
+
+    it('should walk X-Forwarded-For through trusted proxies', () => {
+      const req = mockRequest('::ffff:10.0.0.1', {
+        'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.2',
+      });
+      const result = resolveClientIP(req, { isTrusted: createProxyTrust('uniquelocal') });
+
+      // 6.6.6.6 was supplied by the client and must not be believed
+      expect(result.ip).toBe('203.0.113.7');
+      expect(result.chain).toEqual(['10.0.0.1', '10.0.0.2', '203.0.113.7']);
+    });
+
+    it('should read the Forwarded header when configured', () => {
+      const req = mockRequest('127.0.0.1', {
+        forwarded: 'for="[2001:db8::42]:1234", for=127.0.0.1',
+        'x-forwarded-for': '9.9.9.9',
+      });
+      const result = resolveClientIP(req, {
+        isTrusted: createProxyTrust('loopback'),
+        header: 'forwarded',
+      });
+
+      expect(result.ip).toBe('2001:db8::42');
+    });
+
+    it('should stop at obfuscated hops', () => {
+      const req = mockRequest('127.0.0.1', { 'x-forwarded-for': '203.0.113.7, unknown' });
+      const result = resolveClientIP(req, { isTrusted: createProxyTrust('loopback') });
+
+      expect(result.ip).toBe('127.0.0.1');
+    });
+
+    it('should return null without a socket address', () => {
+      expect(resolveClientIP({ headers: {} }).ip).toBeNull();
+    });
+  });
+
+  describe('buildRequestContext', () => {
+    it('should include the client IP and user agent', () => {
+      const req = mockRequest('203.0.113.7', { 'user-agent': 'Mozilla/5.0' });
+
+      expect(buildRequestContext(req)).toEqual({
+        ip: '203.0.113.7',
+        proxyChain: ['203.0.113.7'],
+        userAgent: 'Mozilla/5.0',
+        clientHints: {
+          brands: [],
+          fullVersionList: [],
+          mobile: null,
+          platform: null,
+          platformVersion: null,
+          architecture: null,
+          bitness: null,
+          model: null,
+        },
+      });
+    });
+
+    it('should include User-Agent Client Hints headers', () => {
+      const req = mockRequest('203.0.113.7', {
+        'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': '"Windows"',
+      });
+
+      expect(buildRequestContext(req).clientHints).toMatchObject({
+        brands: [
+          { brand: 'Not_A Brand', version: '8' },
+          { brand: 'Chromium', version: '120' },
+          { brand: 'Google Chrome', version: '120' },
+        ],
+        mobile: false,
+        platform: 'Windows',
+      });
+    });
+
+    it('should be configurable from environment variables', () => {
+      const build = createRequestContextBuilder({
+        TRUSTED_PROXIES: 'loopback',
+        TRUSTED_PROXY_HEADER: 'X-Forwarded-For',
+      });
+      const req = mockRequest('127.0.0.1', { 'x-forwarded-for': '203.0.113.7' });
+
+      expect(build(req).ip).toBe('203.0.113.7');
+    });
+
+    it('should reject unsupported proxy headers', () => {
+      expect(() => createRequestContextBuilder({ TRUSTED_PROXY_HEADER: 'x-real-ip' }))
+        .toThrow('Unsupported TRUSTED_PROXY_HEADER');
+    });
+  });
+});
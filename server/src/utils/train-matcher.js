@@ -0,0 +1,160 @@
+/**
+ * Probabilistic matcher training
+ * Trains a logistic regression model from labeled profile pairs and writes
+ * it as JSON for MATCHER_TYPE=probabilistic (MATCHER_MODEL_PATH)
+ *
+ * Usage:
+ *   node src/utils/train-matcher.js --data ../tools/test-data.json
+ *   node src/utils/train-matcher.js --from-db [--limit 50000]
+ *
+ * Options: --out <file> (default matcher-model.json), --epochs, --learning-rate,
+ * --l2, --test-split (default 0.2), --negative-ratio (default 1), --seed
+ */
+import fs from 'fs';
+import { parseArgs } from 'util';
+import FingerprintMatcher from '../services/fingerprint-matcher.js';
+import { sigmoid } from '../services/probabilistic-matcher.js';
+import {
+  buildPairsFromTestData,
+  buildPairsFromProfiles,
+  createRandom,
+  extractExamples,
+  precisionRecallTable,
+  predictLogit,
+  shuffle,
+  trainLogisticRegression,
+} from '../services/matcher-training.js';
+
+/**
+ * Load labeled stored profiles, oldest first per client UUID
+ */
+async function loadProfilesFromDatabase(limit) {
+  const { query, closePool } = await import('./database.js');
+
+  try {
+    const result = await query(
+      `SELECT udp.*, dch.change_type
+      FROM user_device_profiles udp
+      LEFT JOIN device_change_history dch ON dch.device_session_id = udp.device_session_id
+      ORDER BY udp.client_uuid, udp.first_seen_at
+      LIMIT $1`,
+      [limit],
+    );
+    return result.rows;
+  } finally {
+    await closePool();
+  }
+}
+
+/**
+ * Print a precision/recall table
+ */
+function printTable(title, rows) {
+  console.log(`\n${title}`);
+  console.log('  threshold  precision  recall   f1       tp     fp     fn');
+  for (const row of rows) {
+    console.log(
+      `  ${row.threshold.toFixed(2).padEnd(10)} ${row.precision.toFixed(4).padEnd(10)} ` +
+      `${row.recall.toFixed(4).padEnd(8)} ${row.f1.toFixed(4).padEnd(8)} ` +
+      `${String(row.truePositives).padEnd(6)} ${String(row.falsePositives).padEnd(6)} ${row.falseNegatives}`,
+    );
+  }
+}
+
+/**
+ * Train, evaluate on a held-out split and return the model with its metrics
+ */
+export function trainMatcher(pairs, options = {}) {
+  const random = createRandom(options.seed ?? 42);
+  const testSize = Math.round(pairs.length * (options.testSplit ?? 0.2));
+  const shuffled = shuffle(pairs, random);
+  const testPairs = shuffled.slice(0, testSize);
+  const trainPairs = shuffled.slice(testSize);
+
+  const matcher = new FingerprintMatcher();
+  const model = trainLogisticRegression(extractExamples(trainPairs, matcher), options);
+
+  // Without a test split the figures are training-set figures
+  const evaluationPairs = testPairs.length > 0 ? testPairs : trainPairs;
+  const predictions = extractExamples(evaluationPairs, matcher).map(example => ({
+    score: sigmoid(predictLogit(model, example.features)),
+    label: example.label,
+  }));
+  const baseline = evaluationPairs.map(pair => ({
+    score: matcher.calculateSimilarity(pair.device1, pair.device2).totalScore,
+    label: pair.label,
+  }));
+
+  model.evaluation = {
+    pairs: evaluationPairs.length,
+    heldOut: testPairs.length > 0,
+    thresholds: precisionRecallTable(predictions),
+    baseline: precisionRecallTable(baseline),
+  };
+
+  return model;
+}
+
+// CLI Usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      data: { type: 'string' },
+      'from-db': { type: 'boolean', default: false },
+      limit: { type: 'string', default: '50000' },
+      out: { type: 'string', default: 'matcher-model.json' },
+      epochs: { type: 'string', default: '500' },
+      'learning-rate': { type: 'string', default: '0.5' },
+      l2: { type: 'string', default: '0.001' },
+      'test-split': { type: 'string', default: '0.2' },
+      'negative-ratio': { type: 'string', default: '1' },
+      seed: { type: 'string', default: '42' },
+    },
+  });
+
+  if (!values.data && !values['from-db']) {
+    console.error('Usage: node src/utils/train-matcher.js (--data <test-data.json> | --from-db) [--out <file>]');
+    process.exit(1);
+  }
+
+  try {
+    const pairOptions = {
+      random: createRandom(parseInt(values.seed)),
+      negativeRatio: parseFloat(values['negative-ratio']),
+    };
+
+    const pairs = values.data
+      ? buildPairsFromTestData(JSON.parse(fs.readFileSync(values.data, 'utf-8')), pairOptions)
+      : buildPairsFromProfiles(await loadProfilesFromDatabase(parseInt(values.limit)), pairOptions);
+
+    const positives = pairs.filter(pair => pair.label === 1).length;
+    console.log(`Training on ${pairs.length} labeled pairs (${positives} positive, ${pairs.length - positives} negative)...`);
+
+    const model = trainMatcher(pairs, {
+      epochs: parseInt(values.epochs),
+      learningRate: parseFloat(values['learning-rate']),
+      l2: parseFloat(values.l2),
+      testSplit: parseFloat(values['test-split']),
+      seed: parseInt(values.seed),
+    });
+
+    console.log('\nModel:');
+    console.log(`  bias: ${model.bias.toFixed(4)}`);
+    for (const [component, weight] of Object.entries(model.weights)) {
+      console.log(`  ${component.padEnd(10)} ${weight.toFixed(4)}`);
+    }
+
+    const evaluated = `${model.evaluation.pairs} ${model.evaluation.heldOut ? 'held-out' : 'training'} pairs`;
+    printTable(`Probabilistic matcher (${evaluated})`, model.evaluation.thresholds);
+    printTable('Weighted matcher (baseline)', model.evaluation.baseline);
+
+    fs.writeFileSync(values.out, JSON.stringify(model, null, 2));
+    console.log(`\n✓ Model written to ${values.out}`);
+    console.log('  Enable it with MATCHER_TYPE=probabilistic and MATCHER_MODEL_PATH=<path>');
+  } catch (error) {
+    console.error('Matcher training failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+export default { trainMatcher };
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Matcher Evaluation Harness for Hey-INY
+ * Scores same-device pairs (with realistic drift) and different-device pairs
+ * with the server's matcher and reports ROC/AUC, EER, the confusion matrix at
+ * MATCH_CONFIDENCE_THRESHOLD and the threshold for a target false-merge rate
+ *
+ * Usage:
+ *   node tools/evaluate-matcher.js [--pairs 5000] [--threshold 0.75]
+ *     [--target-fmr 0.001] [--collision-rate 0.2] [--seed 42]
+ *     [--model matcher-model.json] [--out-dir .]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import TestDataGenerator from './generate-test-data.js';
+import FingerprintMatcher from '../server/src/services/fingerprint-matcher.js';
+import { ProbabilisticMatcher } from '../server/src/services/probabilistic-matcher.js';
+import { deviceInfoToProfile } from '../server/src/services/device-profile.js';
+import { createRandom } from '../server/src/services/matcher-training.js';
+import { evaluatePredictions, confusionMatrix } from '../server/src/services/matcher-evaluation.js';
+
+const TEMPLATES = [
+  'windows_chrome',
+  'mac_safari',
+  'mac_chrome',
+  'linux_firefox',
+  'mobile_android',
+  'mobile_ios',
+];
+
+/**
+ * Same-device drift scenarios: each returns the device as seen on a later visit
+ */
+const DRIFT_SCENARIOS = {
+  unchanged: (generator, device) => JSON.parse(JSON.stringify(device)),
+  browser_update: (generator, device) => generator.simulateBrowserUpdate(device),
+  resolution_change: (generator, device) => generator.simulateResolutionChange(device),
+  font_change: (generator, device) => generator.simulatePluginChange(device),
+  device_reset: (generator, device) => generator.simulateDeviceReset(device, generator.generateUUID()).device,
+  audio_timeout: (generator, device) => {
+    const updated = JSON.parse(JSON.stringify(device));
+    updated.audio = { hash: 'timeout', error: 'Audio fingerprint timeout' };
+    return updated;
+  },
+  canvas_update: (generator, device) => {
+    // Browser update that also changes canvas rendering
+    const updated = generator.simulateBrowserUpdate(device);
+    updated.canvas = { hash: generator.generateHash('canvas-update') };
+    return updated;
+  },
+  travel: (generator, device) => {
+    const updated = JSON.parse(JSON.stringify(device));
+    updated.timezone = updated.timezone === 'Asia/Tokyo' ? 'Europe/London' : 'Asia/Tokyo';
+    return updated;
+  },
+};
+
+class MatcherEvaluator {
+  constructor(options = {}) {
+    this.random = createRandom(options.seed ?? 42);
+    this.generator = new TestDataGenerator({ random: this.random });
+    this.matcher = options.matcher || new FingerprintMatcher();
+    this.collisionRate = options.collisionRate ?? 0.2;
+  }
+
+  /**
+   * Same device seen twice, with one drift scenario applied
+   */
+  generatePositivePair() {
+    const scenario = this.generator.randomItem(Object.keys(DRIFT_SCENARIOS));
+    const device = this.generator.generateBaseDevice(this.generator.randomItem(TEMPLATES));
+
+    return {
+      device1: device,
+      device2: DRIFT_SCENARIOS[scenario](this.generator, device),
+      label: 1,
+      scenario,
+    };
+  }
+
+  /**
+   * Two different devices; devices from the same template share their
+   * canvas/audio hashes at the collision rate (identical hardware and drivers)
+   */
+  generateNegativePair() {
+    const template1 = this.generator.randomItem(TEMPLATES);
+    const sameTemplate = this.random() < 0.5;
+    const template2 = sameTemplate
+      ? template1
+      : this.generator.randomItem(TEMPLATES.filter(t => t !== template1));
+
+    const device1 = this.generator.generateBaseDevice(template1);
+    const device2 = this.generator.generateBaseDevice(template2);
+    let scenario = sameTemplate ? 'same_model' : 'different_model';
+
+    if (sameTemplate && this.random() < this.collisionRate) {
+      device2.canvas = { ...device1.canvas };
+      device2.audio = { ...device1.audio };
+      scenario = 'same_model_collision';
+    }
+
+    return { device1, device2, label: 0, scenario };
+  }
+
+  /**
+   * Generate pairs, half same-device and half different-device
+   */
+  generatePairs(count) {
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+      pairs.push(i % 2 === 0 ? this.generatePositivePair() : this.generateNegativePair());
+    }
+    return pairs;
+  }
+
+  /**
+   * Score every pair with the matcher
+   */
+  score(pairs) {
+    return pairs.map(pair => ({
+      score: this.matcher.calculateSimilarity(
+        deviceInfoToProfile(pair.device1),
+        deviceInfoToProfile(pair.device2),
+      ).totalScore,
+      label: pair.label,
+      scenario: pair.scenario,
+    }));
+  }
+
+  /**
+   * Metrics per scenario at the configured threshold
+   */
+  summarizeScenarios(predictions, threshold) {
+    const groups = {};
+    for (const prediction of predictions) {
+      if (!groups[prediction.scenario]) groups[prediction.scenario] = [];
+      groups[prediction.scenario].push(prediction);
+    }
+
+    return Object.fromEntries(Object.entries(groups).map(([scenario, items]) => {
+      const matrix = confusionMatrix(items, threshold);
+      const scores = items.map(item => item.score);
+      return [scenario, {
+        label: items[0].label,
+        pairs: items.length,
+        meanScore: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        minScore: Math.min(...scores),
+        maxScore: Math.max(...scores),
+        matchRate: (matrix.truePositives + matrix.falsePositives) / items.length,
+      }];
+    }));
+  }
+}
+
+/**
+ * Reduce an ROC curve to at most `limit` points for the reports
+ */
+function downsample(points, limit = 500) {
+  if (points.length <= limit) return points;
+  const step = (points.length - 1) / (limit - 1);
+  return Array.from({ length: limit }, (_, i) => points[Math.round(i * step)]);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function formatNumber(value, digits = 4) {
+  return value === null || value === undefined ? 'n/a' : Number(value).toFixed(digits);
+}
+
+/**
+ * Render the report as a self-contained HTML page with an SVG ROC curve
+ */
+function renderHtml(report) {
+  const size = 360;
+  const pad = 40;
+  const x = fpr => pad + fpr * size;
+  const y = tpr => pad + (1 - tpr) * size;
+  const polyline = report.roc.map(p => `${x(p.fpr).toFixed(1)},${y(p.tpr).toFixed(1)}`).join(' ');
+  const matrix = report.confusionMatrix;
+  const recommended = report.recommendedThreshold;
+  const operating = { fpr: matrix.falseMergeRate, tpr: matrix.recall };
+
+  const scenarioRows = Object.entries(report.scenarios).map(([scenario, stats]) => `
+        <tr>
+          <td>${escapeHtml(scenario)}</td>
+          <td>${stats.label === 1 ? 'same device' : 'different device'}</td>
+          <td>${stats.pairs}</td>
+          <td>${formatNumber(stats.meanScore)}</td>
+          <td>${formatNumber(stats.minScore)} – ${formatNumber(stats.maxScore)}</td>
+          <td>${formatNumber(stats.matchRate * 100, 2)}%</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Matcher Evaluation Report</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem; color: #1f2933; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #616e7c; margin-bottom: 2rem; }
+    .grid { display: flex; flex-wrap: wrap; gap: 2rem; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { border: 1px solid #cbd2d9; padding: 0.4rem 0.8rem; text-align: left; }
+    th { background: #f5f7fa; }
+  </style>
+</head>
+<body>
+  <h1>Matcher Evaluation Report</h1>
+  <div class="meta">
+    ${escapeHtml(report.matcher)} matcher · ${report.pairs} pairs (${report.positives} same device, ${report.negatives} different device) · seed ${report.seed} · ${escapeHtml(report.generatedAt)}
+  </div>
+
+  <div class="grid">
+    <svg width="${size + pad * 2}" height="${size + pad * 2}" role="img" aria-label="ROC curve">
+      <rect x="${pad}" y="${pad}" width="${size}" height="${size}" fill="none" stroke="#9aa5b1"/>
+      <line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#cbd2d9" stroke-dasharray="4"/>
+      <polyline points="${polyline}" fill="none" stroke="#2680c2" stroke-width="2"/>
+      <circle cx="${x(operating.fpr)}" cy="${y(operating.tpr)}" r="5" fill="#e12d39">
+        <title>Threshold ${formatNumber(matrix.threshold, 2)}</title>
+      </circle>
+      <text x="${pad + size / 2}" y="${size + pad * 1.8}" text-anchor="middle" font-size="12">False merge rate (FPR)</text>
+      <text x="12" y="${pad + size / 2}" text-anchor="middle" font-size="12" transform="rotate(-90 12 ${pad + size / 2})">Recall (TPR)</text>
+    </svg>
+
+    <div>
+      <table>
+        <tr><th colspan="2">Summary</th></tr>
+        <tr><td>AUC</td><td>${formatNumber(report.auc)}</td></tr>
+        <tr><td>Equal error rate</td><td>${formatNumber(report.eer.rate)} (threshold ${formatNumber(report.eer.threshold)})</td></tr>
+        <tr><td>Threshold for false-merge rate ≤ ${recommended.targetRate}</td><td>${formatNumber(recommended.threshold)} (recall ${formatNumber(recommended.recall)})</td></tr>
+      </table>
+
+      <table>
+        <tr><th colspan="3">Confusion matrix at ${formatNumber(matrix.threshold, 2)}</th></tr>
+        <tr><th></th><th>Predicted match</th><th>Predicted no match</th></tr>
+        <tr><th>Same device</th><td>${matrix.truePositives}</td><td>${matrix.falseNegatives}</td></tr>
+        <tr><th>Different device</th><td>${matrix.falsePositives}</td><td>${matrix.trueNegatives}</td></tr>
+        <tr><td colspan="3">
+          precision ${formatNumber(matrix.precision)} · recall ${formatNumber(matrix.recall)} ·
+          false merge ${formatNumber(matrix.falseMergeRate)} · false split ${formatNumber(matrix.falseSplitRate)}
+        </td></tr>
+      </table>
+    </div>
+  </div>
+
+  <table>
+    <tr><th>Scenario</th><th>Label</th><th>Pairs</th><th>Mean score</th><th>Score range</th><th>Matched</th></tr>${scenarioRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Print a short summary to the console
+ */
+function printSummary(report) {
+  const matrix = report.confusionMatrix;
+  const recommended = report.recommendedThreshold;
+
+  console.log('='.repeat(60));
+  console.log('Matcher Evaluation Summary');
+  console.log('='.repeat(60));
+  console.log(`Matcher: ${report.matcher}`);
+  console.log(`Pairs: ${report.pairs} (${report.positives} same device, ${report.negatives} different device)`);
+  console.log(`AUC: ${formatNumber(report.auc)}`);
+  console.log(`EER: ${formatNumber(report.eer.rate)} at threshold ${formatNumber(report.eer.threshold)}`);
+  console.log(`\nConfusion matrix at ${matrix.threshold}:`);
+  console.log(`  TP ${matrix.truePositives}  FN ${matrix.falseNegatives}`);
+  console.log(`  FP ${matrix.falsePositives}  TN ${matrix.trueNegatives}`);
+  console.log(`  precision ${formatNumber(matrix.precision)}, recall ${formatNumber(matrix.recall)}, false merge rate ${formatNumber(matrix.falseMergeRate)}`);
+  console.log(`\nThreshold for false-merge rate <= ${recommended.targetRate}: ${formatNumber(recommended.threshold)} (recall ${formatNumber(recommended.recall)})`);
+  console.log('='.repeat(60));
+}
+
+// CLI Usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      pairs: { type: 'string', default: '5000' },
+      threshold: { type: 'string', default: process.env.MATCH_CONFIDENCE_THRESHOLD || '0.75' },
+      'target-fmr': { type: 'string', default: '0.001' },
+      'collision-rate': { type: 'string', default: '0.2' },
+      seed: { type: 'string', default: '42' },
+      model: { type: 'string' },
+      'out-dir': { type: 'string', default: '.' },
+    },
+  });
+
+  const seed = parseInt(values.seed);
+  const threshold = parseFloat(values.threshold);
+  const matcher = values.model ? ProbabilisticMatcher.fromFile(values.model) : new FingerprintMatcher();
+  const evaluator = new MatcherEvaluator({
+    seed,
+    matcher,
+    collisionRate: parseFloat(values['collision-rate']),
+  });
+
+  console.log(`Evaluating ${values.model ? 'probabilistic' : 'weighted'} matcher on ${values.pairs} pairs...`);
+
+  const predictions = evaluator.score(evaluator.generatePairs(parseInt(values.pairs)));
+  const metrics = evaluatePredictions(predictions, {
+    threshold,
+    targetFalseMergeRate: parseFloat(values['target-fmr']),
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    matcher: values.model ? `probabilistic (${path.basename(values.model)})` : 'weighted',
+    seed,
+    collisionRate: evaluator.collisionRate,
+    ...metrics,
+    roc: downsample(metrics.roc),
+    scenarios: evaluator.summarizeScenarios(predictions, threshold),
+  };
+
+  printSummary(report);
+
+  fs.mkdirSync(values['out-dir'], { recursive: true });
+  const jsonPath = path.join(values['out-dir'], 'matcher-evaluation.json');
+  const htmlPath = path.join(values['out-dir'], 'matcher-evaluation.html');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderHtml(report));
+
+  console.log(`\n✓ Report written to ${jsonPath} and ${htmlPath}`);
+}
+
+export default MatcherEvaluator;
@@ -68,8 +68,13 @@ const FONTS = [
 ];
 
 class TestDataGenerator {
-  constructor() {
+  /**
+   * @param {Object} options - `random`: function returning [0, 1) (defaults to
+   *   Math.random; pass a seeded generator for reproducible data)
+   */
+  constructor(options = {}) {
     this.generatedUsers = [];
+    this.random = options.random || Math.random;
   }
 
   /**
@@ -83,14 +88,14 @@ class TestDataGenerator {
    * Generate a random hash
    */
   generateHash(input) {
-    return crypto.createHash('sha256').update(input + Math.random()).digest('hex');
+    return crypto.createHash('sha256').update(input + this.random()).digest('hex');
   }
 
   /**
    * Pick random item from array
    */
   randomItem(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(this.random() * array.length)];
   }
 
   /**
@@ -283,7 +288,7 @@ class TestDataGenerator {
     const users = [];
     
     for (let i = 0; i < count; i++) {
-      const sessionsCount = Math.floor(Math.random() * 8) + 3; // 3-10 sessions
+      const sessionsCount = Math.floor(this.random() * 8) + 3; // 3-10 sessions
       const user = this.generateUser(`test_user_${i + 1}`, sessionsCount);
       users.push(user);
     }